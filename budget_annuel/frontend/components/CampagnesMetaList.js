@@ -4,6 +4,7 @@ import { fmtCurrency } from "../utils/format";
 import { CampagnesSubList } from "./CampagnesSubList";
 import { CampaignBudget } from "./CampaignBudget";
 import { LIST_COLS, GRID_TEMPLATE } from "./listColumns";
+import { isDrafted, readCell } from "../utils/scenario";
 
 
 {/*Design des chevrons*/}
@@ -42,8 +43,10 @@ const ChevronRight = ({ className = "" }) => (
 // `extraUpdates(parsed)` returns additional `{ fieldId: value }` pairs to write
 // in the same transaction — used to keep a sibling field in sync (e.g. write
 // Ratio Budget when budget changes).
-function EditableCurrencyCell({ record, table, field, extraUpdates }) {
-  const current = field ? record.getCellValue(field) : null;
+// `scenario` (scénario mode, see utils/scenario.js): reads show the draft and
+// saves go to `scenario.apply` instead of the record.
+function EditableCurrencyCell({ record, table, field, extraUpdates, scenario }) {
+  const current = field ? readCell(scenario, record, field) : null;
   const rawString = current == null ? "" : String(current).replace(".", ",");
   const [draft, setDraft] = useState(rawString);
   const [focused, setFocused] = useState(false);
@@ -69,6 +72,10 @@ function EditableCurrencyCell({ record, table, field, extraUpdates }) {
     if (parsed === current) return;
     const updates = { [field.id]: parsed };
     if (extraUpdates) Object.assign(updates, extraUpdates(parsed));
+    if (scenario) {
+      scenario.apply(record, updates);
+      return;
+    }
     try {
       await table.updateRecordAsync(record, updates);
     } catch (e) {
@@ -102,7 +109,7 @@ function EditableCurrencyCell({ record, table, field, extraUpdates }) {
         }
       }}
       placeholder="-"
-      className="editable w-full text-right px-2 py-0.5 rounded border border-transparent hover:border-gray-gray200 dark:hover:border-gray-gray600 focus:border-blue-blue focus:bg-white dark:focus:bg-gray-gray700 bg-transparent text-sm tabular-nums outline-none"
+      className={`editable ${isDrafted(scenario, record, field) ? "editable--draft" : ""} w-full text-right px-2 py-0.5 rounded border border-transparent hover:border-gray-gray200 dark:hover:border-gray-gray600 focus:border-blue-blue focus:bg-white dark:focus:bg-gray-gray700 bg-transparent text-sm tabular-nums outline-none`}
     />
   );
 }
@@ -112,8 +119,8 @@ function EditableCurrencyCell({ record, table, field, extraUpdates }) {
 //     (annualBudget) — when budget changes elsewhere, this cell re-renders.
 //   - On save, writes the decimal to its own `field` AND back-propagates
 //     decimal × factor to `sourceField` in the same transaction.
-function EditablePercentageCell({ record, table, field, sourceField, factor }) {
-  const sourceValue = sourceField ? record.getCellValue(sourceField) : null;
+function EditablePercentageCell({ record, table, field, sourceField, factor, scenario }) {
+  const sourceValue = sourceField ? readCell(scenario, record, sourceField) : null;
   const current =
     sourceValue != null && factor ? sourceValue / factor : null;
   const draftFromCurrent =
@@ -149,6 +156,10 @@ function EditablePercentageCell({ record, table, field, sourceField, factor }) {
       [field.id]: decimal,
       [sourceField.id]: decimal == null ? null : decimal * factor,
     };
+    if (scenario) {
+      scenario.apply(record, updates);
+      return;
+    }
     try {
       await table.updateRecordAsync(record, updates);
     } catch (e) {
@@ -185,7 +196,7 @@ function EditablePercentageCell({ record, table, field, sourceField, factor }) {
         }
       }}
       placeholder="-"
-      className="editable w-full text-right px-2 py-0.5 rounded border border-transparent hover:border-gray-gray200 dark:hover:border-gray-gray600 focus:border-blue-blue focus:bg-white dark:focus:bg-gray-gray700 bg-transparent text-sm tabular-nums outline-none"
+      className={`editable ${isDrafted(scenario, record, field) ? "editable--draft" : ""} w-full text-right px-2 py-0.5 rounded border border-transparent hover:border-gray-gray200 dark:hover:border-gray-gray600 focus:border-blue-blue focus:bg-white dark:focus:bg-gray-gray700 bg-transparent text-sm tabular-nums outline-none`}
     />
   );
 }
@@ -208,6 +219,7 @@ export function CampagnesMetaList({
   budgetSpendMediaField,
   budgetSpendProdField,
   annualBudget,
+  scenario = null,
 }) {
   const [expandedIds, setExpandedIds] = useState(() => new Set());
 
@@ -248,10 +260,10 @@ export function CampagnesMetaList({
       <div className="bn-list-body">
         {records.map((r) => {
           const name = nameField ? r.getCellValueAsString(nameField) : "";
-          const spendBudget = spendBudgetField ? r.getCellValue(spendBudgetField) : null;
-          const budget = budgetField ? r.getCellValue(budgetField) : null;
-          const budgetRevise = budgetReviseField ? r.getCellValue(budgetReviseField) : null;
-          const probable = probableField ? r.getCellValue(probableField) : null;
+          const spendBudget = readCell(scenario, r, spendBudgetField);
+          const budget = readCell(scenario, r, budgetField);
+          const budgetRevise = readCell(scenario, r, budgetReviseField);
+          const probable = readCell(scenario, r, probableField);
           const spendMedia = spendMediaField ? r.getCellValue(spendMediaField) : null;
           const spendProd = spendProdField ? r.getCellValue(spendProdField) : null;
           const expanded = expandedIds.has(r.id);
@@ -286,13 +298,14 @@ export function CampagnesMetaList({
                 <CampaignBudget spent={spendBudget} probable={probable} budget={budget} revise={budgetRevise} />
               </div>
               <div className="bn-list-cell bn-list-cell-probable px-3 min-w-0 tabular-nums text-right">
-                <EditableCurrencyCell record={r} table={campagnesTable} field={probableField} />
+                <EditableCurrencyCell record={r} table={campagnesTable} field={probableField} scenario={scenario} />
               </div>
               <div className="bn-list-cell bn-list-cell-budget-revise px-3 min-w-0 tabular-nums text-right">
                 <EditableCurrencyCell
                   record={r}
                   table={campagnesTable}
                   field={budgetReviseField}
+                  scenario={scenario}
                 />
               </div>
               <div className="bn-list-cell bn-list-cell-budget px-3 min-w-0 tabular-nums text-right">
@@ -307,6 +320,7 @@ export function CampagnesMetaList({
                         })
                       : undefined
                   }
+                  scenario={scenario}
                 />
               </div>
               <div className="bn-list-cell bn-list-cell-percent px-3 min-w-0 tabular-nums text-right">
@@ -316,6 +330,7 @@ export function CampagnesMetaList({
                   field={percentField}
                   sourceField={budgetField}
                   factor={annualBudget}
+                  scenario={scenario}
                 />
               </div>
               <div className="bn-list-cell bn-list-cell-spend-media px-3 min-w-0 tabular-nums text-right">
@@ -0,0 +1,119 @@
+import { useState } from "react";
+import { useGlobalConfig } from "@airtable/blocks/interface/ui";
+import { SCENARIOS_KEY, countChanges } from "../utils/scenario";
+
+// Toolbar of the scénario mode: change count, save under a name, reload or
+// delete a scenario saved for the selected year, open the diff screen, clear
+// the draft, or leave the mode (the draft is kept until the page is closed).
+// Saved scenarios live in globalConfig (see utils/scenario.js), so every
+// collaborator of the page sees them.
+export function ScenarioBar({ year, draft, name, onNameChange, onLoad, onClear, onExit, onShowDiff }) {
+  const globalConfig = useGlobalConfig();
+  const [error, setError] = useState(null);
+  const stored = globalConfig.get(SCENARIOS_KEY);
+  const saved = Object.entries(stored && typeof stored === "object" ? stored : {})
+    .filter(([, s]) => s && s.year === year)
+    .sort(([, a], [, b]) => (a.name || "").localeCompare(b.name || "", "fr"));
+  const changes = countChanges(draft);
+
+  const save = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setError("Donnez un nom au scénario.");
+      return;
+    }
+    // Same name and year: overwrite rather than pile up copies.
+    const existing = saved.find(([, s]) => s.name === trimmed);
+    const id = existing ? existing[0] : `s${Date.now()}`;
+    const path = [SCENARIOS_KEY, id];
+    const value = { name: trimmed, year, draft, savedAt: new Date().toISOString() };
+    if (!globalConfig.hasPermissionToSet(path, value)) {
+      setError("Vous n'avez pas la permission d'enregistrer des scénarios.");
+      return;
+    }
+    setError(null);
+    try {
+      await globalConfig.setAsync(path, value);
+    } catch (e) {
+      setError(`Échec de l'enregistrement : ${e.message}`);
+    }
+  };
+
+  const remove = async (id) => {
+    const path = [SCENARIOS_KEY, id];
+    if (!globalConfig.hasPermissionToSet(path, undefined)) {
+      setError("Vous n'avez pas la permission de supprimer ce scénario.");
+      return;
+    }
+    setError(null);
+    try {
+      await globalConfig.setAsync(path, undefined);
+    } catch (e) {
+      setError(`Échec de la suppression : ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="bn-scenario-bar flex flex-wrap items-center gap-2 px-3 py-2 rounded-md text-sm">
+      <span className="bn-scenario-bar-title font-medium">Scénario</span>
+      <span className="bn-scenario-bar-count text-gray-gray500">
+        {changes === 0
+          ? "aucune modification"
+          : `${changes} modification${changes > 1 ? "s" : ""}`}
+      </span>
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => onNameChange(e.target.value)}
+        placeholder="Nom du scénario"
+        className="bn-scenario-bar-name px-2 py-0.5 rounded border border-gray-gray200 bg-white text-sm outline-none focus:border-blue-blue"
+      />
+      <button type="button" onClick={save} className="bn-scenario-btn">
+        Enregistrer
+      </button>
+      {saved.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => {
+            const entry = saved.find(([id]) => id === e.target.value);
+            if (entry) onLoad(entry[1].draft || {}, entry[1].name);
+          }}
+          className="bn-scenario-bar-load px-2 py-0.5 rounded border border-gray-gray200 bg-white text-sm"
+        >
+          <option value="">Charger un scénario…</option>
+          {saved.map(([id, s]) => (
+            <option key={id} value={id}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+      )}
+      {saved.some(([, s]) => s.name === name.trim()) && (
+        <button
+          type="button"
+          onClick={() => remove(saved.find(([, s]) => s.name === name.trim())[0])}
+          className="bn-scenario-btn"
+        >
+          Supprimer
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={onShowDiff}
+        disabled={changes === 0}
+        className="bn-scenario-btn bn-scenario-btn--primary"
+      >
+        Voir les modifications
+      </button>
+      {changes > 0 && (
+        <button type="button" onClick={onClear} className="bn-scenario-btn">
+          Vider le brouillon
+        </button>
+      )}
+      <button type="button" onClick={onExit} className="bn-scenario-btn">
+        Quitter le scénario
+      </button>
+      {error && <span className="bn-scenario-bar-error text-red-red">{error}</span>}
+    </div>
+  );
+}
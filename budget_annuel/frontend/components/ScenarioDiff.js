@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { fmtCurrency } from "../utils/format";
+
+// Review screen of the scénario: every drafted field with its current and
+// scenario value, then one confirmation that writes them all. `reviseTotal`
+// ({ before, after }) shows how the year's "Budget Révisé Total" will move —
+// it is not part of the batch, the usual sync in AppInner rewrites it once
+// the campagnes are updated.
+export function ScenarioDiff({ rows, reviseTotal, onApply, onClose }) {
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const apply = async () => {
+    setApplying(true);
+    setError(null);
+    try {
+      await onApply();
+    } catch (e) {
+      setError(e.message);
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="bn-scenario-diff space-y-3">
+      <div className="bn-scenario-diff-title text-xs uppercase tracking-wider text-gray-gray500 dark:text-gray-gray400">
+        MODIFICATIONS DU SCÉNARIO
+      </div>
+      <table className="bn-scenario-diff-table text-sm tabular-nums">
+        <thead>
+          <tr className="text-xs text-gray-gray500 dark:text-gray-gray400 border-b border-gray-gray100 dark:border-gray-gray600">
+            <th className="px-3 py-1 text-left font-medium">Campagne META</th>
+            <th className="px-3 py-1 text-left font-medium">Champ</th>
+            <th className="px-3 py-1 text-right font-medium">Actuel</th>
+            <th className="px-3 py-1 text-right font-medium">Scénario</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.key} className="bn-scenario-diff-row border-b border-gray-gray100 dark:border-gray-gray600">
+              <td className="px-3 py-1">{row.recordName}</td>
+              <td className="px-3 py-1 text-gray-gray600 dark:text-gray-gray300">{row.fieldName}</td>
+              <td className="px-3 py-1 text-right text-gray-gray500 line-through">{row.before}</td>
+              <td className="px-3 py-1 text-right font-medium">{row.after}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {reviseTotal && reviseTotal.before !== reviseTotal.after && (
+        <div className="text-sm text-gray-gray600 dark:text-gray-gray300">
+          Budget Révisé Total de l&apos;année : {fmtCurrency(reviseTotal.before)} → {fmtCurrency(reviseTotal.after)}
+          {" "}(mis à jour automatiquement après l&apos;application)
+        </div>
+      )}
+      <div className="flex items-center gap-2">
+        <button type="button" onClick={onClose} disabled={applying} className="bn-scenario-btn">
+          Retour au scénario
+        </button>
+        <button
+          type="button"
+          onClick={apply}
+          disabled={applying || rows.length === 0}
+          className="bn-scenario-btn bn-scenario-btn--primary"
+        >
+          {applying
+            ? "Application…"
+            : `Appliquer ${rows.length} modification${rows.length > 1 ? "s" : ""}`}
+        </button>
+        {error && <span className="text-sm text-red-red">{error}</span>}
+      </div>
+    </div>
+  );
+}
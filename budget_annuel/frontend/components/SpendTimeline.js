@@ -0,0 +1,128 @@
+import {
+  ComposedChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { fmtCurrency } from "../utils/format";
+
+const fmtAxis = (v) =>
+  `$${Math.abs(v) >= 1000 ? `${Math.round(v / 1000).toLocaleString("fr-FR")}k` : v}`;
+
+// Cumulative spend of the selected year by month against the annual budget.
+// `timeline` comes from buildTimeline (utils/timeline.js):
+//   blue solid     = dépensé cumulé (actual)
+//   gray dashed    = objectif linéaire (annual total spread evenly)
+//   green dashed   = objectif saisonnier (spread like previous years' spend)
+//   orange dotted  = projection at the current burn rate, to year end
+//   red reference  = annual total
+// The banner above the chart warns when the projection ends past the annual
+// budget — the same red as the over-budget bar in AnnualBudget.
+export function SpendTimeline({ timeline, annualBudget, hasSeasonal }) {
+  const { rows, forecast, overBy } = timeline;
+
+  return (
+    <div className="bn-spend-timeline px-1 py-2">
+      <div className="bn-spend-timeline-title text-xs uppercase tracking-wider text-gray-gray500 dark:text-gray-gray400 mb-1">
+        DÉPENSES CUMULÉES PAR MOIS
+      </div>
+      {forecast != null && (
+        <div
+          className={`bn-spend-timeline-forecast text-sm mb-2 ${overBy > 0 ? "bn-spend-timeline-forecast--over" : "text-gray-gray600 dark:text-gray-gray300"}`}
+        >
+          {overBy > 0 ? (
+            <>
+              Au rythme actuel, la dépense atteindrait <strong>{fmtCurrency(forecast)}</strong> fin
+              décembre, soit <strong>{fmtCurrency(overBy)}</strong> au-delà du budget annuel.
+            </>
+          ) : (
+            <>
+              Projection fin d&apos;année au rythme actuel : <strong>{fmtCurrency(forecast)}</strong>
+            </>
+          )}
+        </div>
+      )}
+      {!hasSeasonal && annualBudget != null && (
+        <div className="text-xs text-gray-gray400 mb-1">
+          Objectif saisonnier indisponible : aucune dépense datée des campagnes des années précédentes.
+        </div>
+      )}
+      <div style={{ width: "100%", height: 300 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={rows} margin={{ top: 10, right: 20, bottom: 5, left: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e8e8e8" vertical={false} />
+            <XAxis dataKey="month" tick={{ fontSize: 11 }} />
+            <YAxis tick={{ fontSize: 10 }} tickFormatter={fmtAxis} width={60} />
+            <Tooltip
+              contentStyle={{
+                fontSize: 12,
+                borderRadius: 8,
+                border: "1px solid #e0e0e0",
+                boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+              }}
+              formatter={(value, name) => [value == null ? "—" : fmtCurrency(value), name]}
+            />
+            <Legend wrapperStyle={{ fontSize: 11, paddingTop: 8 }} />
+            {annualBudget != null && (
+              <ReferenceLine
+                y={annualBudget}
+                stroke="#dc2626"
+                strokeDasharray="4 4"
+                label={{ value: "Budget annuel", position: "insideTopLeft", fontSize: 10, fill: "#dc2626" }}
+              />
+            )}
+            {annualBudget != null && (
+              <Line
+                type="linear"
+                dataKey="lineaire"
+                name="Objectif linéaire"
+                stroke="#9ca3af"
+                strokeDasharray="6 4"
+                dot={false}
+                isAnimationActive={false}
+              />
+            )}
+            {annualBudget != null && hasSeasonal && (
+              <Line
+                type="monotone"
+                dataKey="saisonnier"
+                name="Objectif saisonnier"
+                stroke="#16a34a"
+                strokeDasharray="6 4"
+                dot={false}
+                isAnimationActive={false}
+              />
+            )}
+            <Line
+              type="linear"
+              dataKey="depense"
+              name="Dépensé cumulé"
+              stroke="#0177E4"
+              strokeWidth={2}
+              dot={{ r: 3 }}
+              connectNulls={false}
+              isAnimationActive={false}
+            />
+            {forecast != null && (
+              <Line
+                type="linear"
+                dataKey="projection"
+                name="Projection (rythme actuel)"
+                stroke="#f59e0b"
+                strokeWidth={2}
+                strokeDasharray="2 4"
+                dot={false}
+                isAnimationActive={false}
+              />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
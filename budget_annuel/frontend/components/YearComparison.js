@@ -0,0 +1,148 @@
+import { fmtCurrency } from "../utils/format";
+import { COMPARE_METRICS, variance } from "../utils/compare";
+
+// Year-over-year table. One column per selected year under each metric, then
+// the variance of the newest year against the oldest (absolute and %).
+// CSS hooks:
+//   .bn-compare                — wrapper
+//   .bn-compare-head           — header rows (metric groups, then years)
+//   .bn-compare-row            — one campagne
+//   .bn-compare-row--total     — summary rows (campagne totals, annual budget)
+//   .bn-compare-cell-variance  — Δ and Δ % cells (--up / --down)
+
+const NAME_COL = "260px";
+const YEAR_COL = "130px";
+const DELTA_COL = "120px";
+const PCT_COL = "80px";
+
+const fmtPct = (v) =>
+  v == null
+    ? "—"
+    : `${v > 0 ? "+" : ""}${(v * 100).toLocaleString("fr-FR", {
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1,
+      })} %`;
+
+const fmtDelta = (v) => (v > 0 ? `+${fmtCurrency(v)}` : fmtCurrency(v));
+
+function VarianceCells({ from, to }) {
+  const v = variance(from, to);
+  const tone = !v || v.abs === 0 ? "" : v.abs > 0 ? "bn-compare-cell-variance--up" : "bn-compare-cell-variance--down";
+  return (
+    <>
+      <div className={`bn-compare-cell bn-compare-cell-variance ${tone} px-3 text-right tabular-nums`}>
+        {v ? fmtDelta(v.abs) : "—"}
+      </div>
+      <div className={`bn-compare-cell bn-compare-cell-variance ${tone} px-3 text-right tabular-nums`}>
+        {v ? fmtPct(v.pct) : "—"}
+      </div>
+    </>
+  );
+}
+
+// `values(year, metricKey)` → number | null for one row.
+function CompareRow({ label, years, values, metrics, className = "" }) {
+  const first = years[0];
+  const last = years[years.length - 1];
+  return (
+    <>
+      <div className={`bn-compare-cell bn-compare-cell-name px-3 truncate ${className}`} title={label}>
+        {label}
+      </div>
+      {metrics.map((m) => (
+        <div key={m.key} className="contents">
+          {years.map((y) => {
+            const v = values(y, m.key);
+            return (
+              <div key={y} className={`bn-compare-cell px-3 text-right tabular-nums ${className}`}>
+                {v == null ? "—" : fmtCurrency(v)}
+              </div>
+            );
+          })}
+          <VarianceCells from={values(first, m.key)} to={values(last, m.key)} />
+        </div>
+      ))}
+    </>
+  );
+}
+
+export function YearComparison({ years, rows, totals, annualByYear }) {
+  if (years.length < 2) {
+    return (
+      <div className="bn-list-empty py-10 text-center text-sm text-gray-gray400">
+        Sélectionnez au moins deux années à comparer.
+      </div>
+    );
+  }
+
+  const first = years[0];
+  const last = years[years.length - 1];
+  const groupCols = [...years.map(() => YEAR_COL), DELTA_COL, PCT_COL];
+  const template = [NAME_COL, ...COMPARE_METRICS.flatMap(() => groupCols)].join(" ");
+  const groupSpan = groupCols.length;
+  const rowClass =
+    "bn-compare-row grid items-center min-h-[36px] text-sm text-gray-gray800 dark:text-gray-gray100 border-b border-gray-gray100 dark:border-gray-gray600";
+
+  return (
+    <div className="bn-compare overflow-x-auto">
+      <div
+        className="bn-compare-head grid items-center text-xs font-medium text-gray-gray500 dark:text-gray-gray400 border-b border-gray-gray100 dark:border-gray-gray600"
+        style={{ gridTemplateColumns: template }}
+      >
+        <div className="px-3 row-span-2">Campagne META</div>
+        {COMPARE_METRICS.map((m) => (
+          <div
+            key={m.key}
+            className="bn-compare-head-group px-3 pt-1 text-center uppercase tracking-wider"
+            style={{ gridColumn: `span ${groupSpan}` }}
+          >
+            {m.label}
+          </div>
+        ))}
+        {COMPARE_METRICS.map((m) => (
+          <div key={m.key} className="contents">
+            {years.map((y) => (
+              <div key={y} className="px-3 py-1 text-right">{y}</div>
+            ))}
+            <div className="px-3 py-1 text-right">Écart {last}/{first}</div>
+            <div className="px-3 py-1 text-right">Écart %</div>
+          </div>
+        ))}
+      </div>
+
+      <div className={`${rowClass} bn-compare-row--total font-semibold`} style={{ gridTemplateColumns: template }}>
+        <CompareRow
+          label="Total des campagnes"
+          years={years}
+          metrics={COMPARE_METRICS}
+          values={(y, key) => totals[y][key]}
+        />
+      </div>
+      <div className={`${rowClass} bn-compare-row--total`} style={{ gridTemplateColumns: template }}>
+        <CompareRow
+          label="Budget annuel total"
+          years={years}
+          metrics={COMPARE_METRICS}
+          values={(y, key) => (key === "budget" ? annualByYear.get(y) ?? null : null)}
+        />
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="bn-list-empty py-10 text-center text-sm text-gray-gray400">
+          Aucune campagne.
+        </div>
+      ) : (
+        rows.map((row) => (
+          <div key={row.key} className={rowClass} style={{ gridTemplateColumns: template }}>
+            <CompareRow
+              label={row.name}
+              years={years}
+              metrics={COMPARE_METRICS}
+              values={(y, key) => (row.byYear[y] ? row.byYear[y][key] : null)}
+            />
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -19,7 +19,9 @@ const ChevronDown = ({ className = "" }) => (
   </svg>
 );
 
-export function YearDropdown({ options = [], value = null, onChange, label = "" }) {
+// `multiple`: `value` is an array of names, a click toggles one and the menu
+// stays open (comparison mode).
+export function YearDropdown({ options = [], value = null, onChange, label = "", multiple = false }) {
   const [open, setOpen] = useState(false);
   const wrapperRef = useRef(null);
 
@@ -35,10 +37,20 @@ export function YearDropdown({ options = [], value = null, onChange, label = ""
   }, [open]);
 
   const select = (v) => {
+    if (multiple) {
+      const current = Array.isArray(value) ? value : [];
+      const next = current.includes(v) ? current.filter((x) => x !== v) : [...current, v];
+      if (typeof onChange === "function") onChange(next);
+      return;
+    }
     if (typeof onChange === "function") onChange(v);
     setOpen(false);
   };
 
+  const buttonLabel = multiple
+    ? (Array.isArray(value) && value.length ? [...value].sort().join(", ") : label)
+    : value || label;
+
   return (
     <div className="bn-year-dropdown relative inline-block" ref={wrapperRef}>
       <button
@@ -46,7 +58,7 @@ export function YearDropdown({ options = [], value = null, onChange, label = ""
         onClick={() => setOpen((o) => !o)}
         className="bn-year-dropdown-button inline-flex items-center gap-1.5 px-2.5 py-1 rounded-md border border-gray-gray200 dark:border-gray-gray600 bg-white dark:bg-gray-gray700 hover:bg-gray-gray50 dark:hover:bg-gray-gray800 text-sm text-gray-gray700 dark:text-gray-gray200 transition-colors"
       >
-        <span className="bn-year-dropdown-label">{value || label}</span>
+        <span className="bn-year-dropdown-label">{buttonLabel}</span>
         <ChevronDown className="bn-year-dropdown-caret text-gray-gray500 dark:text-gray-gray400" />
       </button>
 
@@ -60,7 +72,9 @@ export function YearDropdown({ options = [], value = null, onChange, label = ""
             options.map((opt) => {
               const name = typeof opt === "string" ? opt : opt?.name;
               if (!name) return null;
-              const active = value === name;
+              const active = multiple
+                ? Array.isArray(value) && value.includes(name)
+                : value === name;
               return (
                 <button
                   key={name}
@@ -72,6 +86,14 @@ export function YearDropdown({ options = [], value = null, onChange, label = ""
                       : "text-gray-gray700 dark:text-gray-gray200 hover:bg-gray-gray50 dark:hover:bg-gray-gray800"
                   }`}
                 >
+                  {multiple && (
+                    <input
+                      type="checkbox"
+                      readOnly
+                      checked={active}
+                      className="bn-year-dropdown-check mr-2 align-middle pointer-events-none"
+                    />
+                  )}
                   {name}
                 </button>
               );
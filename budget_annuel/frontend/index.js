@@ -1,12 +1,30 @@
-import { useState, useMemo, useEffect } from "react";
+import { useState, useMemo, useEffect, useCallback } from "react";
 import {
   initializeBlock,
   useRecords,
   useCustomProperties,
 } from "@airtable/blocks/interface/ui";
+import { FieldType } from "@airtable/blocks/interface/models";
 import { YearDropdown } from "./components/YearDropdown";
 import { AnnualBudget } from "./components/AnnualBudget";
 import { CampagnesMetaList } from "./components/CampagnesMetaList";
+import { SpendTimeline } from "./components/SpendTimeline";
+import { YearComparison } from "./components/YearComparison";
+import { ScenarioBar } from "./components/ScenarioBar";
+import { ScenarioDiff } from "./components/ScenarioDiff";
+import { buildComparison, campagneIdsByYear } from "./utils/compare";
+import {
+  diffRows,
+  draftToBatches,
+  readCell,
+  setDraftValues,
+} from "./utils/scenario";
+import {
+  buildTimeline,
+  monthlySpend,
+  parseYearNumber,
+  seasonalWeights,
+} from "./utils/timeline";
 import "./style.css";
 
 // --- Custom Properties Definition ---
@@ -17,6 +35,13 @@ import "./style.css";
 
 const anyField = () => true;
 
+// Fields holding a date: date/time fields, creation dates, and formulas or
+// lookups whose result is a date.
+const DATE_TYPES = [FieldType.DATE, FieldType.DATE_TIME, FieldType.CREATED_TIME];
+const dateField = (f) =>
+  DATE_TYPES.includes(f.config.type) ||
+  DATE_TYPES.includes(f.config.options?.result?.type);
+
 // Resolve a Field by trying each candidate name in order (case-insensitive).
 const findField = (table, ...names) => {
   if (!table) return undefined;
@@ -76,6 +101,7 @@ function getCustomProperties(base) {
     { key: "budgetSpendMediaField", label: "Champ spend_media (Budgets)", type: "field", table: bT, shouldFieldBeAllowed: anyField, defaultValue: findField(budgetTable, "spend_media") },
     { key: "budgetSpendProdField", label: "Champ spend_prod (Budgets)", type: "field", table: bT, shouldFieldBeAllowed: anyField, defaultValue: findField(budgetTable, "spend_prod") },
     { key: "budgetCampagneMetaLinkField", label: "Lien Campagnes_META (Budgets)", type: "field", table: bT, shouldFieldBeAllowed: anyField, defaultValue: findField(budgetTable, "campagnes_meta") },
+    { key: "budgetDateField", label: "Champ date de dépense (Budgets)", type: "field", table: bT, shouldFieldBeAllowed: dateField, defaultValue: findField(budgetTable, "date", "date de dépense", "mois") },
   ];
 }
 
@@ -135,9 +161,43 @@ function AppInner({ cfg }) {
     budgetSpendMediaField,
     budgetSpendProdField,
     budgetCampagneMetaLinkField,
+    budgetDateField,
   } = cfg;
 
   const [year, setYear] = useState(null);
+  // Comparison mode: several years side by side instead of the single-year view.
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareYears, setCompareYears] = useState([]);
+  // Scénario mode: edits go to `draft` (see utils/scenario.js) until applied.
+  const [scenarioMode, setScenarioMode] = useState(false);
+  // One draft per year: the diff, the apply and the "Budget Révisé Total"
+  // preview only ever cover the year on screen, and a saved scenario is
+  // stamped with that year.
+  const [draftsByYear, setDraftsByYear] = useState({});
+  const draft = useMemo(() => draftsByYear[year] || {}, [draftsByYear, year]);
+  const setDraft = useCallback(
+    (update) =>
+      setDraftsByYear((all) => ({
+        ...all,
+        [year]: typeof update === "function" ? update(all[year] || {}) : update,
+      })),
+    [year],
+  );
+  const [scenarioName, setScenarioName] = useState("");
+  const [showDiff, setShowDiff] = useState(false);
+
+  // Passed to every reader of Campagnes_META values; null outside the mode.
+  const scenario = useMemo(
+    () =>
+      scenarioMode
+        ? {
+            draft,
+            apply: (record, updates) =>
+              setDraft((d) => setDraftValues(d, record, updates)),
+          }
+        : null,
+    [scenarioMode, draft, setDraft],
+  );
 
   // Records — useRecords always needs a real table, so optional tables fall
   // back to yearsTable when missing and we discard the result.
@@ -219,33 +279,33 @@ function AppInner({ cfg }) {
     if (!visibleCampagnes || !budgetField) return 0;
     let sum = 0;
     for (const r of visibleCampagnes) {
-      const v = r.getCellValue(budgetField);
+      const v = readCell(scenario, r, budgetField);
       if (typeof v === "number") sum += v;
     }
     return sum;
-  }, [visibleCampagnes, budgetField]);
+  }, [visibleCampagnes, budgetField, scenario]);
 
   // Sum of `spend_budget` across the visible campagnes — what's been spent.
   const sumOfSpent = useMemo(() => {
     if (!visibleCampagnes || !spendBudgetField) return 0;
     let sum = 0;
     for (const r of visibleCampagnes) {
-      const v = r.getCellValue(spendBudgetField);
+      const v = readCell(scenario, r, spendBudgetField);
       if (typeof v === "number") sum += v;
     }
     return sum;
-  }, [visibleCampagnes, spendBudgetField]);
+  }, [visibleCampagnes, spendBudgetField, scenario]);
 
   // Sum of `Probable` across the visible campagnes — committed/expected amount.
   const sumProbable = useMemo(() => {
     if (!visibleCampagnes || !probableField) return 0;
     let sum = 0;
     for (const r of visibleCampagnes) {
-      const v = r.getCellValue(probableField);
+      const v = readCell(scenario, r, probableField);
       if (typeof v === "number") sum += v;
     }
     return sum;
-  }, [visibleCampagnes, probableField]);
+  }, [visibleCampagnes, probableField, scenario]);
 
   // Sum of `Budget Révisé` across the visible campagnes — the revised target.
   // This is the live source of truth; the year-level "Budget Révisé Total"
@@ -254,16 +314,18 @@ function AppInner({ cfg }) {
     if (!visibleCampagnes || !budgetReviseField) return 0;
     let sum = 0;
     for (const r of visibleCampagnes) {
-      const v = r.getCellValue(budgetReviseField);
+      const v = readCell(scenario, r, budgetReviseField);
       if (typeof v === "number") sum += v;
     }
     return sum;
-  }, [visibleCampagnes, budgetReviseField]);
+  }, [visibleCampagnes, budgetReviseField, scenario]);
 
   // Write-back: whenever the sum changes and differs from the year record's
   // stored value, push the new sum into "Budget Révisé Total". This keeps
   // the year-level rollup in sync with the per-campagne Révisé column.
+  // Suspended in scénario mode: the sum then previews the draft.
   useEffect(() => {
+    if (scenario) return;
     if (!year || !yearRecords || !yearField || !budgetReviseTotalField) return;
     const rec = yearRecords.find(
       (r) => r.getCellValueAsString(yearField) === year,
@@ -277,6 +339,7 @@ function AppInner({ cfg }) {
         console.error("Failed to sync Budget Révisé Total:", e);
       });
   }, [
+    scenario,
     sumOfRevise,
     year,
     yearRecords,
@@ -304,11 +367,176 @@ function AppInner({ cfg }) {
     return map;
   }, [budgetRecords, budgetCampagneMetaLinkField]);
 
+  // Monthly timeline of the year's spend, from the dated Budgets records of
+  // the visible campagnes. Needs a calendar year in the year's name.
+  const yearNumber = parseYearNumber(year);
+  const timelineRecords = useMemo(() => {
+    if (!budgetRecords) return null;
+    if (!allowedIds || !budgetCampagneMetaLinkField) return budgetRecords;
+    return budgetRecords.filter((b) => {
+      const links = b.getCellValue(budgetCampagneMetaLinkField);
+      return Array.isArray(links) && links.some((l) => allowedIds.has(l?.id));
+    });
+  }, [budgetRecords, allowedIds, budgetCampagneMetaLinkField]);
+
+  // Seasonal profile from the spend of the previous years' campagnes (a
+  // campagne is a new record each year, so this year's have no history).
+  // Without the links to tell them apart, every Budgets record counts.
+  const weights = useMemo(() => {
+    if (yearNumber == null) return null;
+    let records = budgetRecords;
+    if (budgetRecords && campagnesLinkField && budgetCampagneMetaLinkField) {
+      const pastIds = new Set();
+      for (const [name, ids] of campagneIdsByYear(yearRecords, yearField, campagnesLinkField)) {
+        const n = parseYearNumber(name);
+        if (n != null && n < yearNumber) ids.forEach((id) => pastIds.add(id));
+      }
+      records = budgetRecords.filter((b) => {
+        const links = b.getCellValue(budgetCampagneMetaLinkField);
+        return Array.isArray(links) && links.some((l) => pastIds.has(l?.id));
+      });
+    }
+    return seasonalWeights(records, budgetDateField, budgetSpendTotalField, yearNumber);
+  }, [
+    budgetRecords,
+    yearRecords,
+    yearField,
+    campagnesLinkField,
+    budgetCampagneMetaLinkField,
+    budgetDateField,
+    budgetSpendTotalField,
+    yearNumber,
+  ]);
+
+  const timeline = useMemo(() => {
+    if (yearNumber == null || !timelineRecords || !budgetDateField || !budgetSpendTotalField) return null;
+    return buildTimeline({
+      monthly: monthlySpend(timelineRecords, budgetDateField, budgetSpendTotalField, yearNumber),
+      annualTotal: annualBudgetForYear,
+      weights,
+      year: yearNumber,
+    });
+  }, [timelineRecords, budgetDateField, budgetSpendTotalField, yearNumber, annualBudgetForYear, weights]);
+
+  // --- Scénario mode ---
+  const scenarioDiff = useMemo(
+    () => (showDiff ? diffRows(draft, visibleCampagnes, campagnesMetaTable, nameField) : null),
+    [showDiff, draft, visibleCampagnes, campagnesMetaTable, nameField],
+  );
+
+  const storedReviseTotal = useMemo(() => {
+    if (!year || !yearRecords || !yearField || !budgetReviseTotalField) return null;
+    const rec = yearRecords.find((r) => r.getCellValueAsString(yearField) === year);
+    const v = rec ? rec.getCellValue(budgetReviseTotalField) : null;
+    return typeof v === "number" ? v : null;
+  }, [year, yearRecords, yearField, budgetReviseTotalField]);
+
+  // Writes the whole draft, 50 records per call. Each applied batch leaves the
+  // draft, so a failure midway only keeps what is still to write.
+  const applyScenario = async () => {
+    const batches = draftToBatches(draft, visibleCampagnes, campagnesMetaTable);
+    if (!campagnesMetaTable.hasPermissionToUpdateRecords(batches.flat())) {
+      throw new Error("Vous n'avez pas la permission de modifier les campagnes.");
+    }
+    for (const batch of batches) {
+      await campagnesMetaTable.updateRecordsAsync(batch);
+      setDraft((d) => {
+        const next = { ...d };
+        for (const u of batch) delete next[u.id];
+        return next;
+      });
+    }
+    // What is left names fields or campagnes gone from this year: nothing to keep.
+    setDraft({});
+    setShowDiff(false);
+    setScenarioMode(false);
+    setScenarioName("");
+  };
+
+  // --- Comparison mode ---
+  const toggleCompare = () => {
+    if (!compareMode && compareYears.length === 0) {
+      // Start from the selected year and the one before it.
+      const i = options.indexOf(year);
+      setCompareYears(options.slice(Math.max(0, i), Math.max(0, i) + 2));
+    }
+    setCompareMode((m) => !m);
+  };
+
+  const sortedCompareYears = useMemo(
+    () => [...compareYears].sort((a, b) => a.localeCompare(b)),
+    [compareYears],
+  );
+
+  const comparison = useMemo(() => {
+    if (!compareMode) return null;
+    return buildComparison({
+      years: sortedCompareYears,
+      idsByYear: campagneIdsByYear(yearRecords, yearField, campagnesLinkField),
+      campagneRecords,
+      fields: { nameField, budgetField, spendBudgetField, probableField, budgetReviseField },
+    });
+  }, [compareMode, sortedCompareYears, yearRecords, yearField, campagnesLinkField, campagneRecords, nameField, budgetField, spendBudgetField, probableField, budgetReviseField]);
+
+  // Budget Annuel Total of each compared year.
+  const annualByYear = useMemo(() => {
+    const map = new Map();
+    if (!compareMode || !yearRecords || !yearField || !budgetAnnualTotalField) return map;
+    for (const r of yearRecords) {
+      const name = r.getCellValueAsString(yearField);
+      const v = r.getCellValue(budgetAnnualTotalField);
+      if (name && !map.has(name) && typeof v === "number") map.set(name, v);
+    }
+    return map;
+  }, [compareMode, yearRecords, yearField, budgetAnnualTotalField]);
+
+  if (compareMode) {
+    return (
+      <div className="bn-app p-4 min-h-screen bg-white dark:bg-gray-gray800 space-y-4">
+        <div className="bn-budget-cards flex items-start gap-4 py-2">
+          <YearDropdown
+            options={options}
+            value={compareYears}
+            onChange={setCompareYears}
+            label="Années"
+            multiple
+          />
+          <button type="button" onClick={toggleCompare} className="bn-compare-toggle bn-compare-toggle--active">
+            Quitter la comparaison
+          </button>
+        </div>
+        <YearComparison
+          years={sortedCompareYears}
+          rows={comparison.rows}
+          totals={comparison.totals}
+          annualByYear={annualByYear}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="bn-app p-4 min-h-screen bg-white dark:bg-gray-gray800 space-y-4">
-      <div className="bn-budget-card-container">
+      <div className={`bn-budget-card-container${scenario ? " bn-budget-card-container--scenario" : ""}`}>
         <div className="bn-budget-cards flex items-start gap-4 py-2">
-          <YearDropdown options={options} value={year} onChange={setYear} />
+          <YearDropdown
+            options={options}
+            value={year}
+            onChange={(y) => {
+              // The other year has its own draft; the name and diff were this one's.
+              setYear(y);
+              setScenarioName("");
+              setShowDiff(false);
+            }}
+          />
+          <button type="button" onClick={toggleCompare} className="bn-compare-toggle" disabled={options.length < 2}>
+            Comparer les années
+          </button>
+          {!scenarioMode && campagnesMetaTable && (
+            <button type="button" onClick={() => setScenarioMode(true)} className="bn-compare-toggle">
+              Mode scénario
+            </button>
+          )}
           <AnnualBudget
             sumOfSpent={sumOfSpent}
             sumProbable={sumProbable}
@@ -318,26 +546,63 @@ function AppInner({ cfg }) {
           />
         </div>
       </div>
-      <CampagnesMetaList
-        records={visibleCampagnes}
-        campagnesTable={campagnesMetaTable}
-        nameField={nameField}
-        spendBudgetField={spendBudgetField}
-        budgetField={budgetField}
-        percentField={percentField}
-        budgetReviseField={budgetReviseField}
-        probableField={probableField}
-        spendMediaField={spendMediaField}
-        spendProdField={spendProdField}
-        yearByCampagneId={yearByCampagneId}
-        budgetsByCampagneMetaId={budgetsByCampagneMetaId}
-        budgetNameField={budgetNameField}
-        budgetIdentifiantField={budgetIdentifiantField}
-        budgetSpendTotalField={budgetSpendTotalField}
-        budgetSpendMediaField={budgetSpendMediaField}
-        budgetSpendProdField={budgetSpendProdField}
-        annualBudget={annualBudgetForYear}
-      />
+      {scenarioMode && (
+        <ScenarioBar
+          year={year}
+          draft={draft}
+          name={scenarioName}
+          onNameChange={setScenarioName}
+          onLoad={(saved, name) => {
+            setDraft(saved);
+            setScenarioName(name);
+          }}
+          onClear={() => setDraft({})}
+          onExit={() => {
+            setShowDiff(false);
+            setScenarioMode(false);
+          }}
+          onShowDiff={() => setShowDiff(true)}
+        />
+      )}
+      {scenarioDiff ? (
+        <ScenarioDiff
+          rows={scenarioDiff}
+          reviseTotal={{ before: storedReviseTotal, after: sumOfRevise }}
+          onApply={applyScenario}
+          onClose={() => setShowDiff(false)}
+        />
+      ) : (
+        <>
+          {timeline && (
+            <SpendTimeline
+              timeline={timeline}
+              annualBudget={annualBudgetForYear}
+              hasSeasonal={!!weights}
+            />
+          )}
+          <CampagnesMetaList
+            records={visibleCampagnes}
+            scenario={scenario}
+            campagnesTable={campagnesMetaTable}
+            nameField={nameField}
+            spendBudgetField={spendBudgetField}
+            budgetField={budgetField}
+            percentField={percentField}
+            budgetReviseField={budgetReviseField}
+            probableField={probableField}
+            spendMediaField={spendMediaField}
+            spendProdField={spendProdField}
+            yearByCampagneId={yearByCampagneId}
+            budgetsByCampagneMetaId={budgetsByCampagneMetaId}
+            budgetNameField={budgetNameField}
+            budgetIdentifiantField={budgetIdentifiantField}
+            budgetSpendTotalField={budgetSpendTotalField}
+            budgetSpendMediaField={budgetSpendMediaField}
+            budgetSpendProdField={budgetSpendProdField}
+            annualBudget={annualBudgetForYear}
+          />
+        </>
+      )}
     </div>
   );
 }
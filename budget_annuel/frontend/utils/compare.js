@@ -0,0 +1,80 @@
+// Year-over-year comparison of Campagnes_META. A campagne is a new record each
+// year, so rows are matched across years by name (trimmed, case-insensitive);
+// two campagnes with the same name in one year are added together.
+
+export const COMPARE_METRICS = [
+  { key: "budget", label: "Annuel alloué" },
+  { key: "spent", label: "Dépensé à ce jour" },
+  { key: "probable", label: "Probable" },
+  { key: "revise", label: "Révisé" },
+];
+
+const normalizeName = (name) => (name || "").trim().toLowerCase();
+
+const num = (record, field) => {
+  const v = field ? record.getCellValue(field) : null;
+  return typeof v === "number" ? v : 0;
+};
+
+const emptyTotals = () => ({ budget: 0, spent: 0, probable: 0, revise: 0 });
+
+// Campagne ids linked from each year record: year name → Set of ids.
+export function campagneIdsByYear(yearRecords, yearField, campagnesLinkField) {
+  const map = new Map();
+  if (!yearRecords || !yearField || !campagnesLinkField) return map;
+  for (const y of yearRecords) {
+    const name = y.getCellValueAsString(yearField);
+    if (!name) continue;
+    const links = y.getCellValue(campagnesLinkField);
+    const ids = map.get(name) || new Set();
+    if (Array.isArray(links)) for (const l of links) if (l?.id) ids.add(l.id);
+    map.set(name, ids);
+  }
+  return map;
+}
+
+// Rows for `years` (oldest first). Each row: { key, name, byYear: { [year]:
+// totals | null } } where totals is { budget, spent, probable, revise }; null
+// when the campagne did not exist that year. `totals` sums each year the same
+// way AnnualBudget does (sumOfBudgets, sumOfSpent, sumProbable, sumOfRevise).
+export function buildComparison({ years, idsByYear, campagneRecords, fields }) {
+  const { nameField, budgetField, spendBudgetField, probableField, budgetReviseField } = fields;
+  const byId = new Map((campagneRecords || []).map((r) => [r.id, r]));
+  const rowsByKey = new Map();
+  const totals = {};
+
+  for (const year of years) {
+    totals[year] = emptyTotals();
+    for (const id of idsByYear.get(year) || []) {
+      const r = byId.get(id);
+      if (!r) continue;
+      const name = nameField ? r.getCellValueAsString(nameField) : "";
+      const key = normalizeName(name) || r.id;
+      if (!rowsByKey.has(key)) rowsByKey.set(key, { key, name: name || "—", byYear: {} });
+      const row = rowsByKey.get(key);
+      const cell = row.byYear[year] || (row.byYear[year] = emptyTotals());
+      const values = {
+        budget: num(r, budgetField),
+        spent: num(r, spendBudgetField),
+        probable: num(r, probableField),
+        revise: num(r, budgetReviseField),
+      };
+      for (const m of COMPARE_METRICS) {
+        cell[m.key] += values[m.key];
+        totals[year][m.key] += values[m.key];
+      }
+    }
+  }
+
+  const rows = [...rowsByKey.values()].sort((a, b) => a.name.localeCompare(b.name, "fr"));
+  for (const row of rows) for (const year of years) if (!row.byYear[year]) row.byYear[year] = null;
+  return { rows, totals };
+}
+
+// Variance of `to` against `from`: { abs, pct } (pct null when `from` is 0).
+// null when either side is missing.
+export function variance(from, to) {
+  if (from == null || to == null) return null;
+  const abs = to - from;
+  return { abs, pct: from !== 0 ? abs / Math.abs(from) : null };
+}
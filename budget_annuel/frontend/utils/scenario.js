@@ -0,0 +1,106 @@
+import { FieldType } from "@airtable/blocks/interface/models";
+import { fmtCurrency } from "./format";
+
+// --- Scénario mode ---
+// Edits to Campagnes_META go into a local draft instead of the records:
+//
+//   draft = { [recordId]: { [fieldId]: value } }
+//
+// Every read in the list and the totals goes through `readCell`, so the
+// draft previews live; nothing is written until the diff screen applies it
+// in batched updateRecordsAsync calls. Named drafts are saved in globalConfig
+// under [SCENARIOS_KEY, scenarioId] = { name, year, draft, savedAt }.
+
+export const SCENARIOS_KEY = "budgetScenarios";
+
+// updateRecordsAsync accepts at most 50 records per call.
+const MAX_RECORDS_PER_UPDATE = 50;
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj || {}, key);
+
+// Cell value of `record`, with the scenario's draft value when there is one.
+// `scenario` is null outside scénario mode.
+export function readCell(scenario, record, field) {
+  if (!field) return null;
+  if (scenario && hasOwn(scenario.draft[record.id], field.id)) {
+    return scenario.draft[record.id][field.id];
+  }
+  return record.getCellValue(field);
+}
+
+export function isDrafted(scenario, record, field) {
+  return !!scenario && !!field && hasOwn(scenario.draft[record.id], field.id);
+}
+
+// `draft` with `updates` ({ fieldId: value }) applied to `record`. A value
+// equal to the record's own drops the entry, so undoing an edit by hand
+// leaves no empty change behind.
+export function setDraftValues(draft, record, updates) {
+  const fields = { ...(draft[record.id] || {}) };
+  for (const [fieldId, value] of Object.entries(updates)) {
+    if (value === record.getCellValue(fieldId)) delete fields[fieldId];
+    else fields[fieldId] = value;
+  }
+  const next = { ...draft };
+  if (Object.keys(fields).length) next[record.id] = fields;
+  else delete next[record.id];
+  return next;
+}
+
+export function countChanges(draft) {
+  return Object.values(draft).reduce((n, fields) => n + Object.keys(fields).length, 0);
+}
+
+function fmtValue(field, value) {
+  if (value == null || value === "") return "—";
+  if (field?.config.type === FieldType.PERCENT && typeof value === "number") {
+    return `${(value * 100).toLocaleString("fr-FR", { maximumFractionDigits: 2 })} %`;
+  }
+  return typeof value === "number" ? fmtCurrency(value) : String(value);
+}
+
+// One row per drafted field, for the diff screen: { key, recordName,
+// fieldName, before, after } (formatted). Records deleted since the draft was
+// made are skipped — and left out of the update.
+export function diffRows(draft, records, table, nameField) {
+  const byId = new Map((records || []).map((r) => [r.id, r]));
+  const rows = [];
+  for (const [recordId, fields] of Object.entries(draft)) {
+    const record = byId.get(recordId);
+    if (!record) continue;
+    const recordName = (nameField && record.getCellValueAsString(nameField)) || "—";
+    for (const [fieldId, value] of Object.entries(fields)) {
+      const field = table?.getFieldByIdIfExists(fieldId);
+      if (!field) continue;
+      rows.push({
+        key: `${recordId}|${fieldId}`,
+        recordName,
+        fieldName: field.name,
+        before: fmtValue(field, record.getCellValue(field)),
+        after: fmtValue(field, value),
+      });
+    }
+  }
+  return rows.sort((a, b) => a.recordName.localeCompare(b.recordName, "fr"));
+}
+
+// The draft as updateRecordsAsync batches: [[{ id, fields }]] of at most
+// MAX_RECORDS_PER_UPDATE records, limited — like diffRows — to records still in
+// `records` and fields still in `table`.
+export function draftToBatches(draft, records, table) {
+  const ids = new Set((records || []).map((r) => r.id));
+  const updates = Object.entries(draft)
+    .filter(([id]) => ids.has(id))
+    .map(([id, fields]) => ({
+      id,
+      fields: Object.fromEntries(
+        Object.entries(fields).filter(([fieldId]) => table?.getFieldByIdIfExists(fieldId)),
+      ),
+    }))
+    .filter((u) => Object.keys(u.fields).length);
+  const batches = [];
+  for (let i = 0; i < updates.length; i += MAX_RECORDS_PER_UPDATE) {
+    batches.push(updates.slice(i, i + MAX_RECORDS_PER_UPDATE));
+  }
+  return batches;
+}
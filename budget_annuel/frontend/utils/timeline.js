@@ -0,0 +1,115 @@
+// Monthly spend timeline for the selected year, built from the Budgets
+// records (one dated spend_total each). Pure functions: the component only
+// draws what `buildTimeline` returns.
+
+export const MONTHS_SHORT = [
+  "janv.", "févr.", "mars", "avr.", "mai", "juin",
+  "juil.", "août", "sept.", "oct.", "nov.", "déc.",
+];
+
+// Year names are free text ("2026", "Budget 2026", "2025-2026"): the first
+// four-digit number is the calendar year. null when there is none.
+export function parseYearNumber(name) {
+  const m = /\b(\d{4})\b/.exec(name || "");
+  return m ? Number(m[1]) : null;
+}
+
+// { year, month (0-11) } of a date cell. Date-only values ("2026-03-15") are
+// read as written; date-times are placed in the user's timezone, as Airtable
+// shows them. Lookups ([{ linkedRecordId, value }]) use their first value.
+export function readYearMonth(record, field) {
+  if (!record || !field) return null;
+  let raw = record.getCellValue(field);
+  if (Array.isArray(raw)) raw = raw[0]?.value;
+  if (typeof raw !== "string" || !raw) return null;
+  if (!raw.includes("T")) {
+    const [y, m] = raw.split("-").map(Number);
+    return y && m ? { year: y, month: m - 1 } : null;
+  }
+  const d = new Date(raw);
+  if (isNaN(d.getTime())) return null;
+  return { year: d.getFullYear(), month: d.getMonth() };
+}
+
+// Spend per month (12 numbers) of `records` dated in `year`.
+export function monthlySpend(records, dateField, amountField, year) {
+  const months = new Array(12).fill(0);
+  if (!records || !dateField || !amountField) return months;
+  for (const r of records) {
+    const ym = readYearMonth(r, dateField);
+    if (!ym || ym.year !== year) continue;
+    const v = r.getCellValue(amountField);
+    if (typeof v === "number") months[ym.month] += v;
+  }
+  return months;
+}
+
+// Share of the yearly spend falling in each month, over every year before
+// `year` — the seasonal profile. null without any history (the seasonal curve
+// is then not drawn rather than faked as linear).
+export function seasonalWeights(records, dateField, amountField, year) {
+  if (!records || !dateField || !amountField) return null;
+  const months = new Array(12).fill(0);
+  for (const r of records) {
+    const ym = readYearMonth(r, dateField);
+    if (!ym || ym.year >= year) continue;
+    const v = r.getCellValue(amountField);
+    if (typeof v === "number") months[ym.month] += v;
+  }
+  // Months with net refunds count as no spend, so the weights still sum to 1.
+  const positive = months.map((v) => Math.max(0, v));
+  const total = positive.reduce((a, b) => a + b, 0);
+  if (total <= 0) return null;
+  return positive.map((v) => v / total);
+}
+
+// Months elapsed in `year` at `today`, fractional (0 before the year, 12 after).
+export function monthsElapsed(year, today) {
+  if (today.getFullYear() < year) return 0;
+  if (today.getFullYear() > year) return 12;
+  const daysInMonth = new Date(year, today.getMonth() + 1, 0).getDate();
+  return today.getMonth() + today.getDate() / daysInMonth;
+}
+
+// Chart rows, one per month, values at the END of the month:
+//   depense     cumulative spend (up to the current month only)
+//   lineaire    annualTotal spread evenly
+//   saisonnier  annualTotal spread along `weights` (when available)
+//   projection  burn-rate projection: spend to date + average monthly spend
+//               so far × months left (current year only; starts at the last
+//               complete month so the line joins the actual curve)
+// plus `forecast` (projected year-end spend, null outside the current year)
+// and `overBy` (forecast − annualTotal when positive, else 0).
+export function buildTimeline({ monthly, annualTotal, weights, year, today = new Date() }) {
+  const elapsed = monthsElapsed(year, today);
+  const currentMonth = elapsed > 0 && elapsed < 12 ? Math.floor(elapsed) : null;
+  // Last month with actual spend to plot: all of a past year, none of a future one.
+  const lastActual = elapsed >= 12 ? 11 : currentMonth;
+  const cumulative = [];
+  let sum = 0;
+  for (const v of monthly) cumulative.push((sum += v));
+
+  const spentToDate = currentMonth != null ? cumulative[currentMonth] : null;
+  const rate = currentMonth != null ? spentToDate / elapsed : null;
+  const forecast = rate != null ? spentToDate + rate * (12 - elapsed) : null;
+
+  let seasonalCum = 0;
+  const rows = monthly.map((_, i) => {
+    seasonalCum += weights ? weights[i] : 0;
+    let projection = null;
+    if (rate != null) {
+      if (i === currentMonth - 1) projection = cumulative[i];
+      else if (i >= currentMonth) projection = spentToDate + rate * (i + 1 - elapsed);
+    }
+    return {
+      month: MONTHS_SHORT[i],
+      depense: lastActual != null && i <= lastActual ? cumulative[i] : null,
+      lineaire: annualTotal != null ? (annualTotal * (i + 1)) / 12 : null,
+      saisonnier: annualTotal != null && weights ? annualTotal * seasonalCum : null,
+      projection,
+    };
+  });
+
+  const overBy = forecast != null && annualTotal != null ? Math.max(0, forecast - annualTotal) : 0;
+  return { rows, forecast, overBy, spentToDate };
+}
@@ -0,0 +1,139 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { getEventColor } from "../utils/colors";
+import { buildDaysGrid, fmtDayLabel, fmtTime, parseIsoDate, parseIsoTime, readDateCell, toDateKey } from "../utils/dates";
+import { readFieldLabel } from "../utils/fields";
+
+export const AGENDA_HORIZONS = [30, 90, 365];
+// Days added to the list each time its end scrolls into view.
+const CHUNK_DAYS = 21;
+
+function endLabel(record, endDateField, startKey) {
+  const parsed = parseIsoDate(readDateCell(record, endDateField));
+  if (!parsed) return null;
+  const endKey = toDateKey(parsed.year, parsed.month, parsed.day);
+  return endKey > startKey ? `jusqu'au ${fmtDayLabel(endKey)}` : null;
+}
+
+function AgendaRow({ record, dateKey, dateField, endDateField, nameField1, nameField2, colorField, base, onEventClick }) {
+  const color = getEventColor(record, colorField, base);
+  const time = parseIsoTime(readDateCell(record, dateField));
+  const part1 = readFieldLabel(record, nameField1);
+  const part2 = readFieldLabel(record, nameField2);
+  const until = endDateField ? endLabel(record, endDateField, dateKey) : null;
+
+  return (
+    <button
+      onClick={() => onEventClick(record)}
+      className="w-full flex items-baseline gap-3 px-2 py-1 text-left text-sm rounded hover:bg-gray-gray100 dark:hover:bg-gray-gray700"
+    >
+      <span className="w-14 shrink-0 text-xs text-gray-gray500 dark:text-gray-gray400">
+        {time ? fmtTime(time.hour, time.minute) : "Journee"}
+      </span>
+      <span className="inline-block w-2.5 h-2.5 rounded-sm shrink-0 self-center" style={{ backgroundColor: color.bg }} />
+      <span className="truncate">
+        <span className="font-medium">{part1 || record.name}</span>
+        {part2 && <span className="text-gray-gray500 dark:text-gray-gray400"> - {part2}</span>}
+      </span>
+      {until && <span className="ml-auto shrink-0 text-xs text-gray-gray400 dark:text-gray-gray500">{until}</span>}
+    </button>
+  );
+}
+
+// Chronological list: the days from `startDate` holding at least one event
+// (by start day, as groupEventsByDate files them), over `horizon` days. Days
+// are added by chunks as the bottom of the list scrolls into view; the parent
+// keys the view on start date and horizon so both reset the list.
+export function AgendaView({ startDate, horizon, onChangeHorizon, eventsByDate, dateField, onEventClick, ...rowProps }) {
+  const [loadedDays, setLoadedDays] = useState(Math.min(CHUNK_DAYS, horizon));
+  const scrollRef = useRef(null);
+  const sentinelRef = useRef(null);
+
+  // [{ cell, events }], events sorted by start time (all-day ones first).
+  const days = useMemo(
+    () =>
+      buildDaysGrid(startDate, loadedDays)
+        .filter((cell) => eventsByDate.has(cell.dateKey))
+        .map((cell) => ({
+          cell,
+          events: [...eventsByDate.get(cell.dateKey)].sort((a, b) =>
+            (readDateCell(a, dateField) || "").localeCompare(readDateCell(b, dateField) || "")
+          ),
+        })),
+    [startDate, loadedDays, eventsByDate, dateField]
+  );
+  const complete = loadedDays >= horizon;
+
+  // Re-observed after each chunk: if the new days still leave the sentinel in
+  // view (few events), the next chunk loads without any scroll.
+  useEffect(() => {
+    if (complete || !sentinelRef.current) return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) setLoadedDays((n) => Math.min(n + CHUNK_DAYS, horizon));
+      },
+      { root: scrollRef.current, rootMargin: "200px" }
+    );
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [complete, horizon, loadedDays]);
+
+  const horizonBtnClass = (value) =>
+    `px-2.5 py-0.5 text-xs rounded-md transition-colors ${
+      horizon === value
+        ? "bg-blue-blueBright text-white"
+        : "border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray700 text-gray-gray600 dark:text-gray-gray300"
+    }`;
+
+  return (
+    <>
+      <div className="flex items-center gap-2 mb-2">
+        {AGENDA_HORIZONS.map((value) => (
+          <button key={value} onClick={() => onChangeHorizon(value)} className={horizonBtnClass(value)}>
+            {value} jours
+          </button>
+        ))}
+      </div>
+      <div
+        ref={scrollRef}
+        className="overflow-y-auto border border-gray-gray200 dark:border-gray-gray700 rounded-md"
+        style={{ maxHeight: "calc(80vh - 140px)" }}
+      >
+        {days.map(({ cell, events }) => (
+          <div key={cell.dateKey} className="border-b border-gray-gray100 dark:border-gray-gray700">
+            <div
+              className={`sticky top-0 z-10 px-2 py-1 text-xs font-semibold ${
+                cell.isToday
+                  ? "bg-blue-blueLight2 dark:bg-[#1a2a4a] text-blue-blueBright"
+                  : "bg-gray-gray50 dark:bg-gray-gray800 text-gray-gray500 dark:text-gray-gray300"
+              }`}
+            >
+              {fmtDayLabel(cell.dateKey)} {cell.year}
+              {cell.isToday ? " - Aujourd'hui" : ""}
+            </div>
+            <div className="py-0.5">
+              {events.map((record) => (
+                <AgendaRow
+                  key={record.id}
+                  record={record}
+                  dateKey={cell.dateKey}
+                  dateField={dateField}
+                  onEventClick={onEventClick}
+                  {...rowProps}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+        {complete ? (
+          <div className="p-4 text-center text-xs text-gray-gray400 dark:text-gray-gray500">
+            {days.length ? `Fin des ${horizon} jours affiches.` : `Aucun evenement sur les ${horizon} prochains jours.`}
+          </div>
+        ) : (
+          <div ref={sentinelRef} className="p-4 text-center text-xs text-gray-gray400 dark:text-gray-gray500">
+            Chargement...
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
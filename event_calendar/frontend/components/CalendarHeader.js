@@ -1,3 +1,5 @@
+import { useEffect, useState } from "react";
+
 const ChevronLeft = () => (
   <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
     <path d="M10 12L6 8l4-4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
@@ -10,7 +12,52 @@ const ChevronRight = () => (
   </svg>
 );
 
-export function CalendarHeader({ title, viewMode, onPrev, onNext, onToday, onChangeView }) {
+// Keyboard shortcuts -> view mode (arrows and T are handled separately).
+const VIEW_KEYS = { m: "month", w: "week", d: "day", a: "agenda" };
+
+// Typing in a field (search, quick-create form...) must not trigger shortcuts.
+const isTyping = (target) =>
+  !!target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+export function CalendarHeader({
+  title,
+  viewMode,
+  onPrev,
+  onNext,
+  onToday,
+  onChangeView,
+  filterCount,
+  filtersOpen,
+  onToggleFilters,
+  onExportIcs,
+  canSplitByVenue,
+  canSplitByProjet,
+  canPrint,
+  onPrint,
+}) {
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // ←/→ previous/next period, T today, M/W/D/A month/week/day/agenda view.
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (e.key === "ArrowLeft") onPrev();
+      else if (e.key === "ArrowRight") onNext();
+      else if (key === "t") onToday();
+      else if (VIEW_KEYS[key]) onChangeView(VIEW_KEYS[key]);
+      else return;
+      e.preventDefault();
+    }
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onPrev, onNext, onToday, onChangeView]);
+  const exportItems = [
+    { split: null, label: "Un seul fichier", enabled: true },
+    { split: "venue", label: "Un fichier par salle", enabled: canSplitByVenue },
+    { split: "projet", label: "Un fichier par projet", enabled: canSplitByProjet },
+  ];
+
   const viewBtnClass = (mode) =>
     `px-3 py-1 text-sm rounded-md transition-colors ${
       viewMode === mode
@@ -21,14 +68,27 @@ export function CalendarHeader({ title, viewMode, onPrev, onNext, onToday, onCha
   return (
     <div className="flex items-center justify-between mb-3">
       <div className="flex items-center gap-2">
+        <button
+          onClick={onToggleFilters}
+          className={`px-3 py-1 text-sm rounded-md border transition-colors ${
+            filtersOpen
+              ? "border-blue-blueBright text-blue-blueBright"
+              : "border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray700 text-gray-gray600 dark:text-gray-gray300"
+          }`}
+          title={filtersOpen ? "Masquer les filtres" : "Afficher les filtres"}
+        >
+          Filtres{filterCount > 0 ? ` (${filterCount})` : ""}
+        </button>
         <button
           onClick={onPrev}
+          title="Periode precedente (fleche gauche)"
           className="w-8 h-8 flex items-center justify-center rounded-md hover:bg-gray-gray100 dark:hover:bg-gray-gray700 text-gray-gray600 dark:text-gray-gray300 transition-colors"
         >
           <ChevronLeft />
         </button>
         <button
           onClick={onNext}
+          title="Periode suivante (fleche droite)"
           className="w-8 h-8 flex items-center justify-center rounded-md hover:bg-gray-gray100 dark:hover:bg-gray-gray700 text-gray-gray600 dark:text-gray-gray300 transition-colors"
         >
           <ChevronRight />
@@ -37,16 +97,57 @@ export function CalendarHeader({ title, viewMode, onPrev, onNext, onToday, onCha
       </div>
       <div className="flex items-center gap-2">
         <div className="flex items-center gap-1">
-          <button onClick={() => onChangeView("month")} className={viewBtnClass("month")}>Mois</button>
+          <button onClick={() => onChangeView("year")} className={viewBtnClass("year")}>Annee</button>
+          <button onClick={() => onChangeView("month")} className={viewBtnClass("month")} title="Mois (M)">Mois</button>
           <button onClick={() => onChangeView("2weeks")} className={viewBtnClass("2weeks")}>2 Sem.</button>
+          <button onClick={() => onChangeView("week")} className={viewBtnClass("week")} title="Semaine (W)">Semaine</button>
           <button onClick={() => onChangeView("3days")} className={viewBtnClass("3days")}>3 Jours</button>
+          <button onClick={() => onChangeView("day")} className={viewBtnClass("day")} title="Jour (D)">Jour</button>
+          <button onClick={() => onChangeView("agenda")} className={viewBtnClass("agenda")} title="Agenda (A)">Agenda</button>
+          <button onClick={() => onChangeView("venues")} className={viewBtnClass("venues")}>Salles</button>
         </div>
         <button
           onClick={onToday}
+          title="Aujourd'hui (T)"
           className="px-3 py-1 text-sm rounded-md border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray700 text-gray-gray600 dark:text-gray-gray300 transition-colors"
         >
           Aujourd&apos;hui
         </button>
+        <button
+          onClick={onPrint}
+          disabled={!canPrint}
+          className="px-3 py-1 text-sm rounded-md border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray700 text-gray-gray600 dark:text-gray-gray300 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          title={canPrint ? "Affiche imprimable et PDF de la periode affichee" : "Disponible en vue Mois ou 2 Sem."}
+        >
+          Affiche
+        </button>
+        {/* .ics export of the events currently shown (period + filters) */}
+        <div className="relative">
+          <button
+            onClick={() => setExportOpen((o) => !o)}
+            className="px-3 py-1 text-sm rounded-md border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray700 text-gray-gray600 dark:text-gray-gray300 transition-colors"
+            title="Exporter les evenements affiches au format iCalendar (.ics)"
+          >
+            Exporter .ics
+          </button>
+          {exportOpen && (
+            <div className="absolute right-0 mt-1 z-20 w-48 py-1 rounded-md shadow-md border border-gray-gray200 dark:border-gray-gray600 bg-white dark:bg-gray-gray800">
+              {exportItems.map((item) => (
+                <button
+                  key={item.label}
+                  disabled={!item.enabled}
+                  onClick={() => {
+                    setExportOpen(false);
+                    onExportIcs(item.split);
+                  }}
+                  className="block w-full text-left px-3 py-1.5 text-sm hover:bg-gray-gray100 dark:hover:bg-gray-gray700 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
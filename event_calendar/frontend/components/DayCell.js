@@ -1,25 +1,41 @@
 import { EventPill } from "./EventPill";
 
-export function DayCell({ cell, events, nameField1, nameField2, colorField, base, onEventClick }) {
+export function DayCell({
+  cell,
+  events,
+  laneSpace = 0,
+  nameField1,
+  nameField2,
+  colorField,
+  base,
+  onEventClick,
+  onSlotClick,
+}) {
   if (!cell.day) {
     return <div className="bg-gray-gray50 dark:bg-gray-gray900" />;
   }
 
   return (
     <div
+      onClick={onSlotClick ? () => onSlotClick(cell.dateKey, null) : undefined}
+      title={onSlotClick ? "Cliquer pour creer un evenement" : undefined}
       className={`p-1 border-t border-gray-gray100 dark:border-gray-gray700 ${
         cell.isToday ? "bg-blue-blueLight2 dark:bg-[#1a2a4a]" : "bg-white dark:bg-gray-gray800"
-      }`}
+      } ${onSlotClick ? "cursor-copy" : ""}`}
     >
-      <span
-        className={`text-xs font-medium inline-block mb-0.5 ${
-          cell.isToday
-            ? "bg-blue-blueBright text-white rounded-full w-5 h-5 flex items-center justify-center"
-            : "text-gray-gray500 dark:text-gray-gray300"
-        }`}
-      >
-        {cell.day}
-      </span>
+      {/* Fixed height: WeeksGridView draws the multi-day bars right below it */}
+      <div className="h-5 mb-0.5">
+        <span
+          className={`text-xs font-medium inline-block ${
+            cell.isToday
+              ? "bg-blue-blueBright text-white rounded-full w-5 h-5 flex items-center justify-center"
+              : "text-gray-gray500 dark:text-gray-gray300"
+          }`}
+        >
+          {cell.day}
+        </span>
+      </div>
+      {laneSpace > 0 && <div style={{ height: laneSpace }} />}
       <div className="space-y-0.5">
         {events.map((record) => (
           <EventPill
@@ -0,0 +1,38 @@
+import { getEventColor } from "../utils/colors";
+import { readFieldLabel } from "../utils/fields";
+import { LANE_HEIGHT } from "../utils/spans";
+
+const fmtKey = (key) => key.split("-").reverse().join("/");
+
+// One segment of a multi-day / all-day event (see layoutSpanRow), positioned
+// over a row of `colCount` day columns, `top` px below the row's top. Square
+// ends mark a bar continuing on the previous / next row.
+export function EventSpanBar({ segment, colCount, top, nameField1, nameField2, colorField, base, onClick }) {
+  const { span, startCol, endCol, lane, continuesLeft, continuesRight } = segment;
+  const color = getEventColor(span.record, colorField, base);
+  const part1 = readFieldLabel(span.record, nameField1);
+  const part2 = readFieldLabel(span.record, nameField2);
+  const label = [part1, part2].filter(Boolean).join(" - ") || span.record.name;
+  const dates = span.multiDay ? `${fmtKey(span.startKey)} - ${fmtKey(span.endKey)}` : fmtKey(span.startKey);
+
+  return (
+    <button
+      onClick={(e) => { e.stopPropagation(); onClick(span.record); }}
+      className={`absolute text-left text-[11px] leading-tight truncate px-1.5 cursor-pointer hover:opacity-80 transition-opacity ${
+        continuesLeft ? "" : "rounded-l"
+      } ${continuesRight ? "" : "rounded-r"}`}
+      style={{
+        top: top + lane * LANE_HEIGHT,
+        height: LANE_HEIGHT - 2,
+        left: `calc(${(startCol / colCount) * 100}% + ${continuesLeft ? 0 : 2}px)`,
+        width: `calc(${((endCol - startCol + 1) / colCount) * 100}% - ${(continuesLeft ? 0 : 2) + (continuesRight ? 0 : 2)}px)`,
+        backgroundColor: color.bg,
+        color: color.text,
+      }}
+      title={`${label}\n${dates}`}
+    >
+      {continuesLeft ? "‹ " : ""}
+      {label}
+    </button>
+  );
+}
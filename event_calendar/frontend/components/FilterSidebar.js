@@ -0,0 +1,124 @@
+import { useMemo, useState } from "react";
+import { AIRTABLE_COLORS } from "../utils/colors";
+import { EMPTY_FILTERS, countActiveFilters, legendEntries, projetEntries } from "../utils/filters";
+
+const SECTION_TITLE = "text-[11px] font-semibold uppercase tracking-wide text-gray-gray400 dark:text-gray-gray500 mb-1";
+
+const toggle = (list, key) => (list.includes(key) ? list.filter((k) => k !== key) : [...list, key]);
+
+// Clickable legend: every entry is shown by default, a click hides it (struck
+// through) and a second click shows it again.
+function Legend({ entries, hidden, onChange }) {
+  return (
+    <div className="space-y-0.5">
+      {entries.map((entry) => {
+        const isHidden = hidden.includes(entry.key);
+        const swatch = entry.color ? AIRTABLE_COLORS[entry.color]?.bg : null;
+        return (
+          <button
+            key={entry.key}
+            onClick={() => onChange(toggle(hidden, entry.key))}
+            className={`w-full flex items-center gap-1.5 text-left text-xs rounded px-1 py-0.5 hover:bg-gray-gray100 dark:hover:bg-gray-gray700 ${
+              isHidden ? "opacity-40 line-through" : ""
+            }`}
+            title={isHidden ? "Afficher" : "Masquer"}
+          >
+            <span
+              className="inline-block w-2.5 h-2.5 rounded-sm shrink-0 border border-gray-gray200 dark:border-gray-gray600"
+              style={{ backgroundColor: swatch || "#e5e9f0" }}
+            />
+            <span className="truncate flex-1">{entry.name}</span>
+            <span className="text-gray-gray400 dark:text-gray-gray500">{entry.count}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Filter sidebar: free-text search over the labels, colour legend, projects
+// and (when `statusField` is set) statuses. The filters live in CalendarApp,
+// so they survive view switches.
+export function FilterSidebar({
+  records,
+  filters,
+  onChange,
+  colorField,
+  projetLinkField,
+  statusField,
+  base,
+}) {
+  const [projetSearch, setProjetSearch] = useState("");
+  const colorEntries = useMemo(() => legendEntries(records, colorField, base), [records, colorField, base]);
+  const statusEntries = useMemo(() => legendEntries(records, statusField, base), [records, statusField, base]);
+  const projets = useMemo(() => projetEntries(records, projetLinkField), [records, projetLinkField]);
+  const visibleProjets = projetSearch.trim()
+    ? projets.filter((p) => p.name.toLowerCase().includes(projetSearch.trim().toLowerCase()))
+    : projets;
+  const set = (patch) => onChange({ ...filters, ...patch });
+
+  return (
+    <aside className="w-52 shrink-0 pr-3 mr-3 border-r border-gray-gray200 dark:border-gray-gray700 space-y-4 overflow-y-auto" style={{ maxHeight: "calc(80vh - 60px)" }}>
+      <div>
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => set({ search: e.target.value })}
+          placeholder="Rechercher un evenement"
+          className="w-full text-xs rounded-md border border-gray-gray200 dark:border-gray-gray600 bg-white dark:bg-gray-gray800 px-2 py-1"
+        />
+      </div>
+
+      {colorEntries.length > 0 && (
+        <div>
+          <div className={SECTION_TITLE}>{colorField.name}</div>
+          <Legend entries={colorEntries} hidden={filters.hiddenColors} onChange={(hiddenColors) => set({ hiddenColors })} />
+        </div>
+      )}
+
+      {statusEntries.length > 0 && (
+        <div>
+          <div className={SECTION_TITLE}>{statusField.name}</div>
+          <Legend entries={statusEntries} hidden={filters.hiddenStatuses} onChange={(hiddenStatuses) => set({ hiddenStatuses })} />
+        </div>
+      )}
+
+      {projets.length > 0 && (
+        <div>
+          <div className={SECTION_TITLE}>Projets</div>
+          {projets.length > 8 && (
+            <input
+              type="search"
+              value={projetSearch}
+              onChange={(e) => setProjetSearch(e.target.value)}
+              placeholder="Filtrer la liste"
+              className="w-full mb-1 text-xs rounded-md border border-gray-gray200 dark:border-gray-gray600 bg-white dark:bg-gray-gray800 px-2 py-0.5"
+            />
+          )}
+          <div className="space-y-0.5 max-h-60 overflow-y-auto">
+            {visibleProjets.map((p) => (
+              <label key={p.id} className="flex items-center gap-1.5 text-xs px-1 py-0.5 rounded hover:bg-gray-gray100 dark:hover:bg-gray-gray700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={filters.projetIds.includes(p.id)}
+                  onChange={() => set({ projetIds: toggle(filters.projetIds, p.id) })}
+                />
+                <span className="truncate flex-1">{p.name}</span>
+                <span className="text-gray-gray400 dark:text-gray-gray500">{p.count}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {countActiveFilters(filters) > 0 && (
+        <button
+          onClick={() => onChange(EMPTY_FILTERS)}
+          className="text-xs text-blue-blueBright hover:underline"
+        >
+          Reinitialiser les filtres
+        </button>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,127 @@
+import { Document, Page, StyleSheet, Text, View, pdf } from "@react-pdf/renderer";
+import { DAYS_SHORT } from "../utils/dates";
+import { fileSlug } from "../utils/ics";
+import { POSTER_GRID_HEIGHT, POSTER_PILL_HEIGHT, moreLabel, posterEventText } from "../utils/poster";
+
+// PDF version of the poster (see utils/poster.js for `data`): one landscape
+// A4 page with the grid, then continuation pages listing the events that did
+// not fit in their day. Built-in Helvetica only: it covers the French text
+// and the "‹" marker, so no font has to be registered or fetched.
+const styles = StyleSheet.create({
+  page: { padding: 28, fontFamily: "Helvetica", fontSize: 8, color: "#333333" },
+  title: { fontFamily: "Helvetica-Bold", fontSize: 16, marginBottom: 6 },
+  legend: { flexDirection: "row", flexWrap: "wrap", marginBottom: 6 },
+  legendItem: { flexDirection: "row", alignItems: "center", marginRight: 10, marginBottom: 2 },
+  swatch: { width: 8, height: 8, borderRadius: 2, marginRight: 3 },
+  weekdays: { flexDirection: "row", borderBottomWidth: 1, borderBottomColor: "#e5e9f0" },
+  weekday: { width: `${100 / 7}%`, textAlign: "center", fontSize: 8, color: "#888888", paddingVertical: 3 },
+  grid: { borderLeftWidth: 1, borderLeftColor: "#e5e9f0" },
+  row: { flexDirection: "row" },
+  cell: {
+    width: `${100 / 7}%`,
+    padding: 2,
+    borderRightWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: "#e5e9f0",
+    overflow: "hidden",
+  },
+  padding: { backgroundColor: "#f7f8fa" },
+  dayNumber: { fontFamily: "Helvetica-Bold", fontSize: 8, color: "#666666", height: 12 },
+  pill: {
+    height: POSTER_PILL_HEIGHT - 1,
+    marginBottom: 1,
+    paddingHorizontal: 2,
+    paddingTop: 1.5,
+    borderRadius: 2,
+    fontSize: 7,
+    maxLines: 1,
+    textOverflow: "ellipsis",
+  },
+  more: { fontSize: 7, color: "#666666", fontFamily: "Helvetica-Oblique" },
+  overflowDay: { marginBottom: 8 },
+  overflowTitle: { fontFamily: "Helvetica-Bold", fontSize: 10, marginBottom: 3 },
+  overflowEvent: { flexDirection: "row", alignItems: "center", marginBottom: 2 },
+});
+
+function Legend({ entries }) {
+  if (!entries.length) return null;
+  return (
+    <View style={styles.legend}>
+      {entries.map((entry) => (
+        <View key={entry.name} style={styles.legendItem}>
+          <View style={[styles.swatch, { backgroundColor: entry.bg }]} />
+          <Text>{entry.name}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function Cell({ cell, height }) {
+  if (!cell.dateKey) return <View style={[styles.cell, styles.padding, { height }]} />;
+  return (
+    <View style={[styles.cell, { height }]}>
+      <Text style={styles.dayNumber}>{cell.day}</Text>
+      {cell.events.map((evt) => (
+        <Text key={evt.id} style={[styles.pill, { backgroundColor: evt.bg, color: evt.text }]}>
+          {posterEventText(evt)}
+        </Text>
+      ))}
+      {cell.moreCount > 0 && <Text style={styles.more}>{moreLabel(cell.moreCount)}</Text>}
+    </View>
+  );
+}
+
+export function PosterPdf({ data }) {
+  const rowHeight = POSTER_GRID_HEIGHT / data.rowCount;
+  return (
+    <Document title={`Calendrier - ${data.title}`}>
+      <Page size="A4" orientation="landscape" style={styles.page}>
+        <Text style={styles.title}>{data.title}</Text>
+        <Legend entries={data.legend} />
+        <View style={styles.weekdays}>
+          {DAYS_SHORT.map((d) => (
+            <Text key={d} style={styles.weekday}>{d}</Text>
+          ))}
+        </View>
+        <View style={styles.grid}>
+          {data.weeks.map((week, wi) => (
+            <View key={wi} style={styles.row}>
+              {week.map((cell, ci) => (
+                <Cell key={ci} cell={cell} height={rowHeight} />
+              ))}
+            </View>
+          ))}
+        </View>
+      </Page>
+      {data.overflow.length > 0 && (
+        <Page size="A4" orientation="landscape" style={styles.page}>
+          <Text style={styles.title}>{data.title} - suite</Text>
+          {data.overflow.map((day) => (
+            <View key={day.dateKey} style={styles.overflowDay} wrap={false}>
+              <Text style={styles.overflowTitle}>{day.dayLabel} - {moreLabel(day.events.length)}</Text>
+              {day.events.map((evt) => (
+                <View key={evt.id} style={styles.overflowEvent}>
+                  <View style={[styles.swatch, { backgroundColor: evt.bg }]} />
+                  <Text>{posterEventText(evt)}</Text>
+                </View>
+              ))}
+            </View>
+          ))}
+        </Page>
+      )}
+    </Document>
+  );
+}
+
+export async function downloadPosterPdf(data) {
+  const blob = await pdf(<PosterPdf data={data} />).toBlob();
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `calendrier-${fileSlug(data.title)}.pdf`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { DAYS_SHORT } from "../utils/dates";
+import { moreLabel, posterEventText } from "../utils/poster";
+import { downloadPosterPdf } from "./PosterPdf";
+
+// Grid height (px): fits a landscape A4 page under the title and legend.
+const GRID_HEIGHT = 560;
+
+const BTN =
+  "px-3 py-1 text-sm rounded-md border border-gray-gray200 hover:bg-gray-gray100 text-gray-gray600 transition-colors disabled:opacity-50";
+
+// Print mode: the month / two-weeks grid as a flat, light poster (no header,
+// no sidebar, no click targets), printable as is on a landscape page, plus the
+// same content as a PDF. `data` comes from buildPosterData; the continuation
+// list of days that overflow starts on a new printed page.
+export function PosterView({ data, onClose }) {
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleDownload() {
+    setDownloading(true);
+    setError(null);
+    try {
+      await downloadPosterPdf(data);
+    } catch (err) {
+      setError(`Generation du PDF impossible : ${err.message}`);
+    } finally {
+      setDownloading(false);
+    }
+  }
+
+  return (
+    <div className="poster p-4 bg-white text-gray-gray800">
+      <div className="flex items-center gap-2 mb-3 print:hidden">
+        <button onClick={onClose} className={BTN}>Retour au calendrier</button>
+        <button onClick={() => window.print()} className={BTN}>Imprimer</button>
+        <button onClick={handleDownload} disabled={downloading} className={BTN}>
+          {downloading ? "Generation..." : "Telecharger le PDF"}
+        </button>
+        {error && <span className="text-xs text-red-redDark1">{error}</span>}
+      </div>
+
+      <h2 className="text-xl font-semibold mb-1.5">{data.title}</h2>
+      {data.legend.length > 0 && (
+        <div className="flex flex-wrap gap-x-3 gap-y-0.5 mb-2 text-xs">
+          {data.legend.map((entry) => (
+            <span key={entry.name} className="flex items-center gap-1">
+              <span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: entry.bg }} />
+              {entry.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-7 border-b border-gray-gray200">
+        {DAYS_SHORT.map((d) => (
+          <div key={d} className="text-center text-xs font-medium text-gray-gray400 py-1">{d}</div>
+        ))}
+      </div>
+      <div className="border-l border-gray-gray200">
+        {data.weeks.map((week, wi) => (
+          <div
+            key={wi}
+            className="grid grid-cols-7"
+            style={{ height: GRID_HEIGHT / data.rowCount }}
+          >
+            {week.map((cell, ci) => (
+              <div
+                key={ci}
+                className={`p-0.5 border-r border-b border-gray-gray200 overflow-hidden ${cell.dateKey ? "" : "bg-gray-gray50"}`}
+              >
+                {cell.dateKey && (
+                  <>
+                    <div className="text-[11px] font-semibold text-gray-gray500 leading-4">{cell.day}</div>
+                    {cell.events.map((evt) => (
+                      <div
+                        key={evt.id}
+                        className="text-[10px] leading-tight truncate rounded px-1 mb-px"
+                        style={{ backgroundColor: evt.bg, color: evt.text }}
+                      >
+                        {posterEventText(evt)}
+                      </div>
+                    ))}
+                    {cell.moreCount > 0 && (
+                      <div className="text-[10px] italic text-gray-gray500">{moreLabel(cell.moreCount)}</div>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {data.overflow.length > 0 && (
+        <div className="mt-6" style={{ breakBefore: "page" }}>
+          <h2 className="text-xl font-semibold mb-2">{data.title} - suite</h2>
+          <div className="columns-3 gap-6">
+            {data.overflow.map((day) => (
+              <div key={day.dateKey} className="mb-3 break-inside-avoid">
+                <div className="text-sm font-semibold mb-0.5">
+                  {day.dayLabel} - {moreLabel(day.events.length)}
+                </div>
+                {day.events.map((evt) => (
+                  <div key={evt.id} className="flex items-center gap-1.5 text-xs">
+                    <span className="inline-block w-2.5 h-2.5 rounded-sm shrink-0" style={{ backgroundColor: evt.bg }} />
+                    <span>{posterEventText(evt)}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
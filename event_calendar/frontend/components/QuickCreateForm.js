@@ -0,0 +1,163 @@
+import { useMemo, useState } from "react";
+import { FieldType } from "@airtable/blocks/interface/models";
+import { fmtTime, toDateCellValue } from "../utils/dates";
+
+// Label fields the form can fill: plain text only (links, lookups and formulas
+// are computed or need a record picker).
+const isTextField = (field) =>
+  !!field &&
+  (field.config.type === FieldType.SINGLE_LINE_TEXT || field.config.type === FieldType.MULTILINE_TEXT);
+
+const isDateTime = (field) => !!field && field.config.type === FieldType.DATE_TIME;
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const INPUT =
+  "w-full text-sm rounded-md border border-gray-gray200 dark:border-gray-gray600 bg-white dark:bg-gray-gray800 px-2 py-1";
+const LABEL = "block text-xs font-medium text-gray-gray500 dark:text-gray-gray400 mb-0.5";
+
+// Quick-create dialog opened by clicking an empty day or time slot. `draft`:
+// { dateKey, minutes } (minutes null from a day cell). Creates the event with
+// createRecordAsync, then hands the new id to `onCreated(id, open)` so the app
+// can expand it once useRecords delivers it.
+export function QuickCreateForm({
+  draft,
+  eventsTable,
+  projetRecords,
+  dateField,
+  endDateField,
+  nameField1,
+  nameField2,
+  projetLinkField,
+  defaultMinutes,
+  onCreated,
+  onClose,
+}) {
+  const startMin = draft.minutes ?? defaultMinutes;
+  const [dateKey, setDateKey] = useState(draft.dateKey);
+  const [start, setStart] = useState(fmtTime(Math.floor(startMin / 60), startMin % 60));
+  const [end, setEnd] = useState(() => {
+    const e = Math.min(startMin + 60, 24 * 60 - 1);
+    return fmtTime(Math.floor(e / 60), e % 60);
+  });
+  const [projetId, setProjetId] = useState("");
+  const [label1, setLabel1] = useState("");
+  const [label2, setLabel2] = useState("");
+  const [openAfter, setOpenAfter] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const projets = useMemo(
+    () => [...(projetRecords || [])].sort((a, b) => (a.name || "").localeCompare(b.name || "", "fr")),
+    [projetRecords]
+  );
+  const withTime = isDateTime(dateField);
+  const withEnd = withTime && isDateTime(endDateField);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!dateKey) return;
+    const fields = { [dateField.id]: toDateCellValue(dateField, dateKey, withTime ? toMinutes(start) : 0) };
+    if (withEnd && end) {
+      if (toMinutes(end) <= toMinutes(start)) {
+        setError("L'heure de fin doit suivre l'heure de debut.");
+        return;
+      }
+      fields[endDateField.id] = toDateCellValue(endDateField, dateKey, toMinutes(end));
+    }
+    if (projetLinkField && projetId) fields[projetLinkField.id] = [{ id: projetId }];
+    if (isTextField(nameField1) && label1.trim()) fields[nameField1.id] = label1.trim();
+    if (isTextField(nameField2) && label2.trim()) fields[nameField2.id] = label2.trim();
+
+    if (!eventsTable.hasPermissionToCreateRecords([{ fields }])) {
+      setError("Vous n'avez pas la permission de creer cet evenement.");
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      const id = await eventsTable.createRecordAsync(fields);
+      onCreated(id, openAfter);
+    } catch (err) {
+      setError(`Creation impossible : ${err.message}`);
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black/20" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="w-80 p-4 space-y-3 rounded-lg shadow-lg bg-white dark:bg-gray-gray800 border border-gray-gray200 dark:border-gray-gray600"
+      >
+        <h3 className="text-base font-semibold">Nouvel evenement</h3>
+        <div className="flex gap-2">
+          <div className="flex-1">
+            <label className={LABEL}>Date</label>
+            <input type="date" required value={dateKey} onChange={(e) => setDateKey(e.target.value)} className={INPUT} />
+          </div>
+          {withTime && (
+            <div className="w-24">
+              <label className={LABEL}>Debut</label>
+              <input type="time" step={900} required value={start} onChange={(e) => setStart(e.target.value)} className={INPUT} />
+            </div>
+          )}
+          {withEnd && (
+            <div className="w-24">
+              <label className={LABEL}>Fin</label>
+              <input type="time" step={900} value={end} onChange={(e) => setEnd(e.target.value)} className={INPUT} />
+            </div>
+          )}
+        </div>
+        {projetLinkField && projets.length > 0 && (
+          <div>
+            <label className={LABEL}>Projet</label>
+            <select value={projetId} onChange={(e) => setProjetId(e.target.value)} className={INPUT}>
+              <option value="">Aucun</option>
+              {projets.map((p) => (
+                <option key={p.id} value={p.id}>{p.name || "(Sans nom)"}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {isTextField(nameField1) && (
+          <div>
+            <label className={LABEL}>{nameField1.name}</label>
+            <input value={label1} onChange={(e) => setLabel1(e.target.value)} className={INPUT} autoFocus />
+          </div>
+        )}
+        {isTextField(nameField2) && (
+          <div>
+            <label className={LABEL}>{nameField2.name}</label>
+            <input value={label2} onChange={(e) => setLabel2(e.target.value)} className={INPUT} />
+          </div>
+        )}
+        <label className="flex items-center gap-2 text-xs text-gray-gray500 dark:text-gray-gray400 cursor-pointer">
+          <input type="checkbox" checked={openAfter} onChange={(e) => setOpenAfter(e.target.checked)} />
+          Ouvrir la fiche apres creation
+        </label>
+        {error && <div className="text-xs text-red-redDark1 dark:text-red-redLight1">{error}</div>}
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1 text-sm rounded-md border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray700"
+          >
+            Annuler
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-3 py-1 text-sm rounded-md bg-blue-blueBright text-white hover:opacity-90 disabled:opacity-50"
+          >
+            {saving ? "Creation..." : "Creer"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
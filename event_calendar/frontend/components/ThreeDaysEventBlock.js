@@ -8,6 +8,10 @@ export function ThreeDaysEventBlock({
   colorField,
   base,
   onEventClick,
+  onDragStart,
+  resizable = false,
+  dragging = false,
+  conflict = false,
 }) {
   const color = getEventColor(evt.record, colorField, base);
   const part1 = readFieldLabel(evt.record, nameField1);
@@ -18,7 +22,10 @@ export function ThreeDaysEventBlock({
   return (
     <button
       onClick={(e) => { e.stopPropagation(); onEventClick(evt.record); }}
-      className="three-days-event-block absolute rounded px-1.5 py-1 text-[11px] leading-tight cursor-pointer hover:opacity-80 transition-opacity border-l-[3px]"
+      onPointerDown={onDragStart ? (e) => onDragStart(e, "move") : undefined}
+      className={`three-days-event-block absolute rounded px-1.5 py-1 text-[11px] leading-tight hover:opacity-80 transition-opacity border-l-[3px] ${
+        onDragStart ? "cursor-grab touch-none" : "cursor-pointer"
+      } ${dragging ? "opacity-40" : ""} ${conflict ? "ring-2 ring-red-red" : ""}`}
       style={{
         top: evt.top,
         height: evt.height,
@@ -28,10 +35,17 @@ export function ThreeDaysEventBlock({
         borderLeftColor: color.bg,
         color: color.text === "#fff" ? color.bg : color.text,
       }}
-      title={`${label}\n${evt.startLabel} - ${evt.endLabel}`}
+      title={`${label}\n${evt.startLabel} - ${evt.endLabel}${conflict ? "\nConflit : salle deja occupee" : ""}`}
     >
       <div className="three-days-event-block__hours text-[10px] opacity-70">{evt.startLabel} - {evt.endLabel}</div>
       <div className="three-days-event-block__label font-medium">{label}</div>
+      {/* Bottom edge: drag to change the end time */}
+      {onDragStart && resizable && (
+        <div
+          onPointerDown={(e) => onDragStart(e, "resize")}
+          className="absolute left-0 right-0 bottom-0 h-1.5 cursor-ns-resize"
+        />
+      )}
     </button>
   );
 }
@@ -13,6 +13,7 @@ export function ThreeDaysEventGroup({
   const leftPct = group.col * widthPct;
   return (
     <div
+      onClick={(e) => e.stopPropagation()}
       className="absolute rounded overflow-hidden border-l-[3px] border-gray-gray400 bg-gray-gray100/70 dark:bg-gray-gray700/40 flex flex-col"
       style={{
         top: group.top,
@@ -4,6 +4,7 @@ import {
   GRID_START_HOUR,
   HOUR_HEIGHT,
   getTimePosition,
+  offsetToMinutes,
   layoutOverlapping,
 } from "../utils/timeGrid";
 
@@ -20,6 +21,8 @@ export function TimeGridColumn({
   EventComponent,
   GroupComponent,
   groupThreshold,
+  getEventProps,
+  onSlotClick,
 }) {
   const positioned = useMemo(() => {
     const items = events.map((record) => {
@@ -58,7 +61,19 @@ export function TimeGridColumn({
 
   return (
     <div
-      className={`relative ${cell.isToday ? "bg-blue-blueLight2/30 dark:bg-[#1a2a4a]/30" : ""}`}
+      onClick={
+        onSlotClick
+          ? (e) => {
+              // Layout px from the top (the root is zoomed), snapped to a slot.
+              const rect = e.currentTarget.getBoundingClientRect();
+              const scale = e.currentTarget.offsetHeight / rect.height || 1;
+              onSlotClick(offsetToMinutes((e.clientY - rect.top) * scale));
+            }
+          : undefined
+      }
+      className={`relative ${cell.isToday ? "bg-blue-blueLight2/30 dark:bg-[#1a2a4a]/30" : ""} ${
+        onSlotClick ? "cursor-copy" : ""
+      }`}
       style={{ height: (GRID_END_HOUR - GRID_START_HOUR + 1) * HOUR_HEIGHT }}
     >
       {positioned.map((evt) =>
@@ -81,6 +96,7 @@ export function TimeGridColumn({
             colorField={colorField}
             base={base}
             onEventClick={onEventClick}
+            {...(getEventProps ? getEventProps(evt) : {})}
           />
         )
       )}
@@ -0,0 +1,318 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  DAYS_SHORT,
+  fmtTime,
+  parseIsoTime,
+  readDateCell,
+  toDateCellValue,
+} from "../utils/dates";
+import {
+  DEFAULT_SCROLL_HOUR,
+  GRID_END_HOUR,
+  HOURS,
+  HOUR_HEIGHT,
+  SNAP_MINUTES,
+  minutesToOffset,
+  offsetToMinutes,
+} from "../utils/timeGrid";
+import { LANE_HEIGHT, layoutSpanRow } from "../utils/spans";
+import { EventSpanBar } from "./EventSpanBar";
+import { ThreeDaysEventBlock } from "./ThreeDaysEventBlock";
+import { ThreeDaysEventGroup } from "./ThreeDaysEventGroup";
+import { TimeGridColumn } from "./TimeGridColumn";
+
+// Pointer travel (px) before a press on an event becomes a drag rather than a click.
+const DRAG_THRESHOLD = 4;
+
+const fmtMinutes = (m) => fmtTime(Math.floor(m / 60) % 24, m % 60);
+
+// Time grid with one column per day ("3 Jours" and "Semaine" modes). When the
+// user may update `dateField` (and `endDateField`), an event can be dragged to
+// another day or time, keeping its duration, and its bottom edge dragged to
+// change the end time; the new values are written with updateRecordAsync.
+// All-day and multi-day events (`spans`) sit in a lane above the grid instead;
+// `eventsByDate` holds the timed single-day events only.
+export function TimeGridView({
+  days,
+  refDate,
+  eventsByDate,
+  spans,
+  eventsTable,
+  nameField1,
+  nameField2,
+  colorField,
+  dateField,
+  endDateField,
+  base,
+  onEventClick,
+  onSlotClick,
+}) {
+  const timeGridRef = useRef(null);
+  const columnsRef = useRef(null);
+  const suppressClickRef = useRef(false);
+  const [preview, setPreview] = useState(null); // { recordId, dayIndex, startMin, endMin }
+  const [error, setError] = useState(null);
+  const allDay = useMemo(() => layoutSpanRow(spans, days), [spans, days]);
+
+  useEffect(() => {
+    if (timeGridRef.current) {
+      timeGridRef.current.scrollTop = DEFAULT_SCROLL_HOUR * HOUR_HEIGHT;
+    }
+  }, [refDate]);
+
+  function canReschedule(record) {
+    if (!eventsTable || !dateField) return false;
+    const fields = { [dateField.id]: undefined };
+    if (endDateField) fields[endDateField.id] = undefined;
+    return eventsTable.hasPermissionToUpdateRecords([{ id: record.id, fields }]);
+  }
+
+  // Where the pointer puts the dragged event: target day column and snapped
+  // start/end minutes. A resize moves the real end by the snapped drag
+  // distance rather than reading it off the block's bottom edge, so an
+  // overnight event (drawn down to midnight) keeps its end on the next day.
+  function dragTarget(drag, e) {
+    const rect = columnsRef.current.getBoundingClientRect();
+    // Rendered px per layout px (the root is zoomed).
+    const scale = rect.height / columnsRef.current.offsetHeight || 1;
+    const dy = (e.clientY - drag.y) / scale;
+    if (drag.mode === "resize") {
+      const deltaMin = Math.round((dy / HOUR_HEIGHT) * 60 / SNAP_MINUTES) * SNAP_MINUTES;
+      const endMin = Math.max(drag.startMin + drag.durationMin + deltaMin, drag.startMin + SNAP_MINUTES);
+      return { dayIndex: drag.dayIndex, startMin: drag.startMin, endMin };
+    }
+    const colWidth = rect.width / days.length;
+    const dayIndex = Math.min(Math.max(Math.floor((e.clientX - rect.left) / colWidth), 0), days.length - 1);
+    const startMin = offsetToMinutes(drag.evt.top + dy);
+    return { dayIndex, startMin, endMin: startMin + drag.durationMin };
+  }
+
+  async function commitDrag(drag, target) {
+    const record = drag.evt.record;
+    const dateKey = days[target.dayIndex].dateKey;
+    const fields = {};
+    if (drag.mode === "move") {
+      fields[dateField.id] = toDateCellValue(dateField, dateKey, target.startMin);
+    }
+    if (endDateField && drag.hasEnd) {
+      fields[endDateField.id] = toDateCellValue(endDateField, dateKey, target.endMin);
+    }
+    if (!eventsTable.hasPermissionToUpdateRecords([{ id: record.id, fields }])) {
+      setError("Vous n'avez pas la permission de modifier cet evenement.");
+      return;
+    }
+    try {
+      setError(null);
+      await eventsTable.updateRecordAsync(record, fields);
+    } catch (err) {
+      setError(`Modification impossible : ${err.message}`);
+    }
+  }
+
+  function startDrag(evt, dayIndex, mode, e) {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+
+    const startIso = readDateCell(evt.record, dateField);
+    const endIso = endDateField ? readDateCell(evt.record, endDateField) : null;
+    const startTime = parseIsoTime(startIso);
+    const startMin = startTime ? startTime.hour * 60 + startTime.minute : offsetToMinutes(evt.top);
+    const durationMin =
+      startIso && endIso ? Math.round((Date.parse(endIso) - Date.parse(startIso)) / 60000) : Math.round(evt.height);
+    const drag = {
+      evt,
+      mode,
+      dayIndex,
+      x: e.clientX,
+      y: e.clientY,
+      startMin,
+      durationMin: Math.max(durationMin, SNAP_MINUTES),
+      // Resizing creates the end value; moving only shifts an existing one.
+      hasEnd: mode === "resize" || !!endIso,
+      moved: false,
+    };
+
+    const onMove = (ev) => {
+      if (!drag.moved) {
+        if (Math.abs(ev.clientX - drag.x) < DRAG_THRESHOLD && Math.abs(ev.clientY - drag.y) < DRAG_THRESHOLD) return;
+        drag.moved = true;
+      }
+      drag.target = dragTarget(drag, ev);
+      setPreview({ recordId: evt.record.id, ...drag.target });
+    };
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onUp);
+      setPreview(null);
+      if (!drag.moved || !drag.target) return;
+      // The click that follows the drop must not open the record.
+      suppressClickRef.current = true;
+      setTimeout(() => {
+        suppressClickRef.current = false;
+      }, 0);
+      const { target } = drag;
+      const unchanged =
+        target.dayIndex === dayIndex &&
+        target.startMin === drag.startMin &&
+        (mode === "move" || target.endMin === drag.startMin + drag.durationMin);
+      if (!unchanged) commitDrag(drag, target);
+    };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onUp);
+  }
+
+  function handleEventClick(record) {
+    if (suppressClickRef.current) return;
+    onEventClick(record);
+  }
+
+  function handleSlotClick(dateKey, minutes) {
+    if (suppressClickRef.current) return;
+    onSlotClick(dateKey, minutes);
+  }
+
+  const gridCols = { gridTemplateColumns: `repeat(${days.length}, minmax(0, 1fr))` };
+
+  return (
+    <>
+      {error && (
+        <div className="mb-2 text-xs text-red-redDark1 dark:text-red-redLight1">{error}</div>
+      )}
+      {/* Day headers with left gutter */}
+      <div className="flex border-b border-gray-gray200 dark:border-gray-gray700">
+        <div className="w-14 shrink-0" />
+        <div className="grid flex-1" style={gridCols}>
+          {days.map((cell) => {
+            const jsDate = new Date(cell.year, cell.month - 1, cell.day);
+            const dayOfWeek = (jsDate.getDay() + 6) % 7;
+            return (
+              <div
+                key={cell.dateKey}
+                className={`text-center text-xs font-medium py-2 ${
+                  cell.isToday ? "text-blue-blueBright" : "text-gray-gray400 dark:text-gray-gray500"
+                }`}
+              >
+                <div>{DAYS_SHORT[dayOfWeek]}.</div>
+                <div
+                  className={`text-lg font-semibold ${
+                    cell.isToday ? "text-blue-blueBright" : "text-gray-gray700 dark:text-gray-gray200"
+                  }`}
+                >
+                  {cell.day}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      {/* All-day lane */}
+      {allDay.laneCount > 0 && (
+        <div className="flex border-b border-gray-gray200 dark:border-gray-gray700">
+          <div className="w-14 shrink-0 text-right pr-2 pt-1 text-[10px] text-gray-gray400 dark:text-gray-gray500">
+            Journee
+          </div>
+          <div className="relative flex-1" style={{ height: allDay.laneCount * LANE_HEIGHT + 4 }}>
+            {allDay.segments.map((segment) => (
+              <EventSpanBar
+                key={segment.span.record.id}
+                segment={segment}
+                colCount={days.length}
+                top={2}
+                nameField1={nameField1}
+                nameField2={nameField2}
+                colorField={colorField}
+                base={base}
+                onClick={handleEventClick}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+      {/* Time grid */}
+      <div
+        ref={timeGridRef}
+        className="border border-gray-gray200 dark:border-gray-gray700 rounded-b-md overflow-auto"
+        style={{ maxHeight: "calc(80vh - 140px)" }}
+      >
+        <div className="flex">
+          {/* Hour labels */}
+          <div className="w-14 shrink-0">
+            {HOURS.map((h) => (
+              <div
+                key={h}
+                className="text-right pr-2 text-[11px] text-gray-gray400 dark:text-gray-gray500"
+                style={{ height: HOUR_HEIGHT }}
+              >
+                {fmtTime(h, 0)}
+              </div>
+            ))}
+          </div>
+          {/* Day columns */}
+          <div
+            ref={columnsRef}
+            className="grid flex-1 divide-x divide-gray-gray100 dark:divide-gray-gray700"
+            style={gridCols}
+          >
+            {days.map((cell, dayIndex) => (
+              <div key={cell.dateKey} className="relative">
+                {/* Hour lines */}
+                {HOURS.map((h) => (
+                  <div
+                    key={h}
+                    className="border-t border-gray-gray100 dark:border-gray-gray700"
+                    style={{ height: HOUR_HEIGHT }}
+                  />
+                ))}
+                {/* Events overlay */}
+                <div className="absolute inset-0">
+                  <TimeGridColumn
+                    cell={cell}
+                    events={cell.dateKey ? eventsByDate.get(cell.dateKey) || [] : []}
+                    nameField1={nameField1}
+                    nameField2={nameField2}
+                    colorField={colorField}
+                    dateField={dateField}
+                    endDateField={endDateField}
+                    base={base}
+                    onEventClick={handleEventClick}
+                    EventComponent={ThreeDaysEventBlock}
+                    GroupComponent={ThreeDaysEventGroup}
+                    groupThreshold={3}
+                    onSlotClick={onSlotClick ? (minutes) => handleSlotClick(cell.dateKey, minutes) : undefined}
+                    getEventProps={(evt) =>
+                      canReschedule(evt.record)
+                        ? {
+                            onDragStart: (e, mode) => startDrag(evt, dayIndex, mode, e),
+                            resizable: !!endDateField,
+                            dragging: preview?.recordId === evt.record.id,
+                          }
+                        : {}
+                    }
+                  />
+                  {/* Drop preview */}
+                  {preview && preview.dayIndex === dayIndex && (
+                    <div
+                      className="absolute left-0 right-0 rounded border-2 border-dashed border-blue-blueBright bg-blue-blueLight2/40 dark:bg-[#1a2a4a]/60 pointer-events-none px-1.5 py-1 text-[10px] font-medium text-blue-blueDark1 dark:text-blue-blueLight1"
+                      style={{
+                        top: minutesToOffset(preview.startMin),
+                        height: Math.max(
+                          minutesToOffset(Math.min(preview.endMin, GRID_END_HOUR * 60)) -
+                            minutesToOffset(preview.startMin),
+                          20
+                        ),
+                      }}
+                    >
+                      {fmtMinutes(preview.startMin)} - {fmtMinutes(preview.endMin)}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,247 @@
+import { useEffect, useMemo, useRef } from "react";
+import { getFieldChoices } from "../utils/colors";
+import { DAYS_SHORT, fmtTime } from "../utils/dates";
+import { readFieldValues } from "../utils/fields";
+import {
+  DEFAULT_SCROLL_HOUR,
+  HOURS,
+  HOUR_HEIGHT,
+  bookingInterval,
+  coversDay,
+  findOverlaps,
+} from "../utils/timeGrid";
+import { ThreeDaysEventBlock } from "./ThreeDaysEventBlock";
+import { TimeGridColumn } from "./TimeGridColumn";
+
+const NO_VENUE = "(Sans salle)";
+// Narrowest day column in the week span; beyond that the grid scrolls sideways.
+const MIN_COL_WIDTH = 56;
+
+// Venue columns: the select choices in their configured order, else every
+// venue named by at least one event (sorted), so columns don't come and go
+// from one period to the next.
+function listVenues(records, venueField, base) {
+  const choices = getFieldChoices(venueField, base);
+  if (choices) return choices.map((c) => c.name);
+  const names = new Set();
+  for (const record of records || []) {
+    for (const name of readFieldValues(record, venueField)) names.add(name);
+  }
+  return [...names].sort((a, b) => a.localeCompare(b, "fr"));
+}
+
+// "Salles" resource view: one time-grid column per venue for the day ("day"
+// span), or per venue and day for the week ("week" span, days grouped under
+// each venue). An event linked to several venues shows in each of them, on its
+// start day. Conflicts come from the real booking times (bookingInterval): two
+// events of the same venue overlapping on a day are outlined there, including
+// multi-day, overnight and all-day bookings on every day they cover.
+export function VenueResourceView({
+  days,
+  span,
+  onChangeSpan,
+  refDate,
+  eventRecords,
+  eventsByDate,
+  venueField,
+  nameField1,
+  nameField2,
+  colorField,
+  dateField,
+  endDateField,
+  base,
+  onEventClick,
+}) {
+  const timeGridRef = useRef(null);
+
+  useEffect(() => {
+    if (timeGridRef.current) {
+      timeGridRef.current.scrollTop = DEFAULT_SCROLL_HOUR * HOUR_HEIGHT;
+    }
+  }, [refDate]);
+
+  // conflictKeys: `${column key}|${record id}` (an event booked in two venues
+  // may conflict in one only); conflictCount: distinct events in conflict.
+  const { venues, columns, conflictKeys, conflictCount } = useMemo(() => {
+    if (!venueField) return { venues: [], columns: [], conflictKeys: new Set(), conflictCount: 0 };
+    const byVenueDay = new Map();
+    // venue|day -> [{ record, start, end }] of every booking covering that day.
+    const bookingsByVenueDay = new Map();
+    let unassigned = false;
+    for (const cell of days) {
+      for (const record of eventsByDate.get(cell.dateKey) || []) {
+        const names = readFieldValues(record, venueField);
+        if (!names.length) unassigned = true;
+        for (const name of names.length ? names : [NO_VENUE]) {
+          const key = `${name}|${cell.dateKey}`;
+          if (!byVenueDay.has(key)) byVenueDay.set(key, []);
+          byVenueDay.get(key).push(record);
+        }
+      }
+    }
+    for (const record of new Set([...eventsByDate.values()].flat())) {
+      const interval = bookingInterval(record, dateField, endDateField);
+      if (!interval) continue;
+      const names = readFieldValues(record, venueField);
+      for (const cell of days) {
+        if (!coversDay(interval, cell.dateKey)) continue;
+        for (const name of names) {
+          const key = `${name}|${cell.dateKey}`;
+          if (!bookingsByVenueDay.has(key)) bookingsByVenueDay.set(key, []);
+          bookingsByVenueDay.get(key).push({ record, ...interval });
+        }
+      }
+    }
+    const venueList = listVenues(eventRecords, venueField, base);
+    if (unassigned) venueList.push(NO_VENUE);
+
+    const conflicts = new Set();
+    const conflictRecords = new Set();
+    const cols = [];
+    for (const venue of venueList) {
+      for (const cell of days) {
+        const key = `${venue}|${cell.dateKey}`;
+        const events = byVenueDay.get(key) || [];
+        const bookings = bookingsByVenueDay.get(key) || [];
+        if (venue !== NO_VENUE && bookings.length > 1) {
+          for (const id of findOverlaps(bookings)) {
+            conflicts.add(`${key}|${id}`);
+            conflictRecords.add(id);
+          }
+        }
+        cols.push({ key, venue, cell, events });
+      }
+    }
+    return { venues: venueList, columns: cols, conflictKeys: conflicts, conflictCount: conflictRecords.size };
+  }, [days, eventsByDate, eventRecords, venueField, dateField, endDateField, base]);
+
+  if (!venueField) {
+    return (
+      <div className="p-6 text-center text-sm text-gray-gray500 dark:text-gray-gray400 border border-gray-gray200 dark:border-gray-gray700 rounded-md">
+        Choisissez le &quot;Champ salle (vue Salles)&quot; dans les proprietes de l&apos;extension pour afficher les salles en colonnes.
+      </div>
+    );
+  }
+
+  const perVenue = days.length;
+  const gridCols = {
+    gridTemplateColumns: `repeat(${columns.length}, minmax(${perVenue > 1 ? MIN_COL_WIDTH : 120}px, 1fr))`,
+  };
+  const spanBtnClass = (value) =>
+    `px-2.5 py-0.5 text-xs rounded-md transition-colors ${
+      span === value
+        ? "bg-blue-blueBright text-white"
+        : "border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray700 text-gray-gray600 dark:text-gray-gray300"
+    }`;
+
+  return (
+    <>
+      <div className="flex items-center gap-2 mb-2">
+        <button onClick={() => onChangeSpan("day")} className={spanBtnClass("day")}>Jour</button>
+        <button onClick={() => onChangeSpan("week")} className={spanBtnClass("week")}>Semaine</button>
+        <span className="text-xs text-gray-gray400 dark:text-gray-gray500 ml-1">
+          {venues.length} salle{venues.length > 1 ? "s" : ""}
+        </span>
+        {conflictCount > 0 && (
+          <span className="ml-auto text-xs font-medium px-2 py-0.5 rounded-md bg-red-redLight3 text-red-redDark1 dark:bg-red-redDark1 dark:text-red-redLight2">
+            {conflictCount} evenement{conflictCount > 1 ? "s" : ""} en conflit
+          </span>
+        )}
+      </div>
+      {venues.length === 0 ? (
+        <div className="p-6 text-center text-sm text-gray-gray500 dark:text-gray-gray400 border border-gray-gray200 dark:border-gray-gray700 rounded-md">
+          Aucune salle renseignee.
+        </div>
+      ) : (
+        <div
+          ref={timeGridRef}
+          className="border border-gray-gray200 dark:border-gray-gray700 rounded-md overflow-auto"
+          style={{ maxHeight: "calc(80vh - 170px)" }}
+        >
+          {/* Venue headers (spanning their days in the week span), sticky above the grid */}
+          <div className="flex sticky top-0 z-10 bg-white dark:bg-gray-gray900 border-b border-gray-gray200 dark:border-gray-gray700">
+            <div className="w-14 shrink-0" />
+            <div className="grid flex-1" style={gridCols}>
+              {venues.map((venue) => (
+                <div
+                  key={venue}
+                  className="text-center text-xs font-semibold py-1.5 px-1 truncate border-l border-gray-gray200 dark:border-gray-gray700 text-gray-gray700 dark:text-gray-gray200"
+                  style={{ gridColumn: `span ${perVenue}` }}
+                  title={venue}
+                >
+                  {venue}
+                </div>
+              ))}
+              {perVenue > 1 &&
+                columns.map((col, i) => {
+                  const dayOfWeek = (new Date(col.cell.year, col.cell.month - 1, col.cell.day).getDay() + 6) % 7;
+                  return (
+                    <div
+                      key={col.key}
+                      className={`text-center text-[11px] pb-1 ${
+                        i % perVenue === 0 ? "border-l border-gray-gray200 dark:border-gray-gray700" : ""
+                      } ${col.cell.isToday ? "text-blue-blueBright" : "text-gray-gray400 dark:text-gray-gray500"}`}
+                    >
+                      {DAYS_SHORT[dayOfWeek]} {col.cell.day}
+                    </div>
+                  );
+                })}
+            </div>
+          </div>
+          <div className="flex">
+            {/* Hour labels */}
+            <div className="w-14 shrink-0">
+              {HOURS.map((h) => (
+                <div
+                  key={h}
+                  className="text-right pr-2 text-[11px] text-gray-gray400 dark:text-gray-gray500"
+                  style={{ height: HOUR_HEIGHT }}
+                >
+                  {fmtTime(h, 0)}
+                </div>
+              ))}
+            </div>
+            {/* Venue columns */}
+            <div className="grid flex-1" style={gridCols}>
+              {columns.map((col, i) => (
+                <div
+                  key={col.key}
+                  className={`relative ${
+                    i % perVenue === 0
+                      ? "border-l border-gray-gray200 dark:border-gray-gray700"
+                      : "border-l border-gray-gray100 dark:border-gray-gray800"
+                  }`}
+                >
+                  {HOURS.map((h) => (
+                    <div
+                      key={h}
+                      className="border-t border-gray-gray100 dark:border-gray-gray700"
+                      style={{ height: HOUR_HEIGHT }}
+                    />
+                  ))}
+                  <div className="absolute inset-0">
+                    <TimeGridColumn
+                      cell={col.cell}
+                      events={col.events}
+                      nameField1={nameField1}
+                      nameField2={nameField2}
+                      colorField={colorField}
+                      dateField={dateField}
+                      endDateField={endDateField}
+                      base={base}
+                      onEventClick={onEventClick}
+                      EventComponent={ThreeDaysEventBlock}
+                      getEventProps={(evt) =>
+                        conflictKeys.has(`${col.key}|${evt.record.id}`) ? { conflict: true } : {}
+                      }
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -1,8 +1,22 @@
+import { useMemo } from "react";
 import { DAYS_SHORT } from "../utils/dates";
+import { LANE_HEIGHT, layoutSpanRow } from "../utils/spans";
 import { DayCell } from "./DayCell";
+import { EventSpanBar } from "./EventSpanBar";
+
+// Offset of the first bar lane from the top of a week row: cell padding + the
+// day number line (see DayCell).
+const BAR_TOP = 26;
 
 // Shared layout for "month" and "2 weeks" views: weekday header + grid of DayCells.
-export function WeeksGridView({ weeks, eventsByDate, cellProps }) {
+// Multi-day events (`spans`) are drawn as bars over each week row, cut and
+// continued at the week boundary; the cells reserve room for their lanes.
+export function WeeksGridView({ weeks, eventsByDate, spans, cellProps }) {
+  const rows = useMemo(
+    () => weeks.map((week) => layoutSpanRow(spans.filter((s) => s.multiDay), week)),
+    [weeks, spans]
+  );
+
   return (
     <>
       <div className="grid grid-cols-7 border-b border-gray-gray200 dark:border-gray-gray700 mb-0">
@@ -14,13 +28,29 @@ export function WeeksGridView({ weeks, eventsByDate, cellProps }) {
       </div>
       <div className="border border-gray-gray200 dark:border-gray-gray700 rounded-b-md overflow-hidden">
         {weeks.map((week, wi) => (
-          <div key={wi} className="grid grid-cols-7 divide-x divide-gray-gray100 dark:divide-gray-gray700">
-            {week.map((cell, ci) => (
-              <DayCell
-                key={ci}
-                cell={cell}
-                events={cell.dateKey ? eventsByDate.get(cell.dateKey) || [] : []}
-                {...cellProps}
+          <div key={wi} className="relative">
+            <div className="grid grid-cols-7 divide-x divide-gray-gray100 dark:divide-gray-gray700">
+              {week.map((cell, ci) => (
+                <DayCell
+                  key={ci}
+                  cell={cell}
+                  events={cell.dateKey ? eventsByDate.get(cell.dateKey) || [] : []}
+                  laneSpace={rows[wi].laneCount * LANE_HEIGHT}
+                  {...cellProps}
+                />
+              ))}
+            </div>
+            {rows[wi].segments.map((segment) => (
+              <EventSpanBar
+                key={segment.span.record.id}
+                segment={segment}
+                colCount={7}
+                top={BAR_TOP}
+                nameField1={cellProps.nameField1}
+                nameField2={cellProps.nameField2}
+                colorField={cellProps.colorField}
+                base={cellProps.base}
+                onClick={cellProps.onEventClick}
               />
             ))}
           </div>
@@ -0,0 +1,90 @@
+import { useMemo } from "react";
+import { DAYS_SHORT, MONTHS_FR, buildCalendarGrid } from "../utils/dates";
+
+// Density dot size (px) by number of events starting that day.
+function dotSize(count) {
+  if (!count) return 0;
+  if (count === 1) return 4;
+  if (count <= 3) return 6;
+  return 8;
+}
+
+const plural = (n) => `${n} evenement${n > 1 ? "s" : ""}`;
+
+function MiniMonth({ year, month, eventsByDate, onPickMonth, onPickDay }) {
+  const weeks = useMemo(() => buildCalendarGrid(year, month), [year, month]);
+  const total = weeks.flat().reduce((n, cell) => n + (eventsByDate.get(cell.dateKey)?.length || 0), 0);
+
+  return (
+    <div className="p-2 rounded-md border border-gray-gray200 dark:border-gray-gray700">
+      <button
+        onClick={() => onPickMonth(month)}
+        className="w-full flex items-baseline justify-between mb-1 text-sm font-semibold hover:text-blue-blueBright"
+        title="Afficher le mois"
+      >
+        {MONTHS_FR[month - 1]}
+        <span className="text-[11px] font-normal text-gray-gray400 dark:text-gray-gray500">{total || ""}</span>
+      </button>
+      <div className="grid grid-cols-7 text-center text-[10px] text-gray-gray400 dark:text-gray-gray500">
+        {DAYS_SHORT.map((d) => (
+          <div key={d}>{d[0]}</div>
+        ))}
+      </div>
+      {weeks.map((week, wi) => (
+        <div key={wi} className="grid grid-cols-7">
+          {week.map((cell, ci) => {
+            if (!cell.dateKey) return <div key={ci} />;
+            const count = eventsByDate.get(cell.dateKey)?.length || 0;
+            const size = dotSize(count);
+            return (
+              <button
+                key={ci}
+                onClick={() => onPickDay(cell.dateKey)}
+                title={count ? plural(count) : undefined}
+                className={`h-7 flex flex-col items-center pt-0.5 rounded text-[11px] leading-none hover:bg-gray-gray100 dark:hover:bg-gray-gray700 ${
+                  cell.isToday ? "text-blue-blueBright font-semibold" : "text-gray-gray600 dark:text-gray-gray300"
+                }`}
+              >
+                {cell.day}
+                {size > 0 && (
+                  <span className="mt-1 rounded-full bg-blue-blueBright" style={{ width: size, height: size }} />
+                )}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Twelve mini months of `year`, each day with a dot sized by the number of
+// events starting that day. A month name opens the month view, a day the
+// month view around that day.
+export function YearView({ year, eventsByDate, onPickMonth, onPickDay }) {
+  return (
+    <div className="overflow-y-auto" style={{ maxHeight: "calc(80vh - 60px)" }}>
+      <div className="grid grid-cols-4 gap-2">
+        {MONTHS_FR.map((_, i) => (
+          <MiniMonth
+            key={i}
+            year={year}
+            month={i + 1}
+            eventsByDate={eventsByDate}
+            onPickMonth={onPickMonth}
+            onPickDay={onPickDay}
+          />
+        ))}
+      </div>
+      <div className="flex items-center gap-3 mt-2 text-[11px] text-gray-gray400 dark:text-gray-gray500">
+        {[1, 2, 4].map((n) => (
+          <span key={n} className="flex items-center gap-1">
+            <span className="rounded-full bg-blue-blueBright" style={{ width: dotSize(n), height: dotSize(n) }} />
+            {n === 1 ? "1" : n === 2 ? "2-3" : "4+"}
+          </span>
+        ))}
+        <span>evenement(s) par jour</span>
+      </div>
+    </div>
+  );
+}
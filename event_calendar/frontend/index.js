@@ -1,4 +1,4 @@
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import {
   expandRecord,
   initializeBlock,
@@ -11,15 +11,39 @@ import {
   build2WeeksGrid,
   build3DaysGrid,
   buildCalendarGrid,
+  buildDaysGrid,
+  buildWeekGrid,
   getMonday,
   groupEventsByDate,
 } from "./utils/dates";
 import { getCustomProperties } from "./utils/customProperties";
+import { EMPTY_FILTERS, countActiveFilters, filterEvents } from "./utils/filters";
+import { buildIcs, downloadIcs, icsFileName, splitRecords } from "./utils/ics";
+import { DEFAULT_SCROLL_HOUR } from "./utils/timeGrid";
+import { buildEventSpans } from "./utils/spans";
+import { buildPosterData } from "./utils/poster";
 import { CalendarHeader } from "./components/CalendarHeader";
-import { ThreeDaysView } from "./components/ThreeDaysView";
+import { AgendaView } from "./components/AgendaView";
+import { FilterSidebar } from "./components/FilterSidebar";
+import { PosterView } from "./components/PosterView";
+import { QuickCreateForm } from "./components/QuickCreateForm";
+import { TimeGridView } from "./components/TimeGridView";
+import { VenueResourceView } from "./components/VenueResourceView";
 import { WeeksGridView } from "./components/WeeksGridView";
+import { YearView } from "./components/YearView";
 import "./style.css";
 
+// Days moved by prev/next in the day-based modes ("month" moves by month,
+// "year" by year, "agenda" by its horizon; "venues" by its own day/week span).
+const STEP_DAYS = { "2weeks": 14, week: 7, "3days": 3, day: 1 };
+
+// "13 - 19 Octobre 2026", or "27 Octobre - 2 Novembre 2026" across months.
+function rangeTitle(start, end) {
+  const endLabel = `${end.getDate()} ${MONTHS_FR[end.getMonth()]} ${end.getFullYear()}`;
+  if (start.getMonth() === end.getMonth()) return `${start.getDate()} - ${endLabel}`;
+  return `${start.getDate()} ${MONTHS_FR[start.getMonth()]} - ${endLabel}`;
+}
+
 function CalendarApp() {
   const base = useBase();
   const { customPropertyValueByKey } = useCustomProperties(getCustomProperties);
@@ -32,12 +56,37 @@ function CalendarApp() {
   const nameField2 = customPropertyValueByKey.nameField2;
   const colorField = customPropertyValueByKey.colorField;
   const projetLinkField = customPropertyValueByKey.projetLinkField;
+  const venueField = customPropertyValueByKey.venueField;
+  const statusField = customPropertyValueByKey.statusField;
 
   const eventRecords = useRecords(eventsTable);
   const projetRecords = useRecords(projetsTable);
 
   const [viewMode, setViewMode] = useState("month");
   const [refDate, setRefDate] = useState(() => new Date());
+  const [venueSpan, setVenueSpan] = useState("day"); // "venues" mode: "day" | "week"
+  const [agendaHorizon, setAgendaHorizon] = useState(30); // "agenda" mode, in days
+  // Kept here rather than in the views so switching views keeps them.
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [filtersOpen, setFiltersOpen] = useState(true);
+  const [createDraft, setCreateDraft] = useState(null); // null | { dateKey, minutes }
+  // Record created with "Ouvrir la fiche" checked, expanded once useRecords has it.
+  const [pendingExpandId, setPendingExpandId] = useState(null);
+  // Print mode: the month / two-weeks grid as a poster (see PosterView).
+  const [posterOpen, setPosterOpen] = useState(false);
+
+  const canCreate = !!eventsTable && !!dateField && eventsTable.hasPermissionToCreateRecords();
+
+  useEffect(() => {
+    if (!pendingExpandId) return;
+    const created = eventRecords?.find((r) => r.id === pendingExpandId);
+    if (created) {
+      setPendingExpandId(null);
+      expandRecord(created);
+    }
+  }, [pendingExpandId, eventRecords]);
+  // The day-based period shown, as a STEP_DAYS key.
+  const period = viewMode === "venues" ? venueSpan : viewMode;
 
   const currentYear = refDate.getFullYear();
   const currentMonth = refDate.getMonth() + 1;
@@ -47,28 +96,80 @@ function CalendarApp() {
     [currentYear, currentMonth]
   );
   const twoWeeksGrid = useMemo(() => build2WeeksGrid(refDate), [refDate]);
+  const weekGrid = useMemo(() => buildWeekGrid(refDate), [refDate]);
   const threeDaysGrid = useMemo(() => build3DaysGrid(refDate), [refDate]);
+  const dayGrid = useMemo(() => buildDaysGrid(refDate, 1), [refDate]);
+  const agendaDays = useMemo(() => buildDaysGrid(refDate, agendaHorizon), [refDate, agendaHorizon]);
+  const yearDays = useMemo(
+    () => buildDaysGrid(new Date(currentYear, 0, 1), new Date(currentYear, 1, 29).getDate() === 29 ? 366 : 365),
+    [currentYear]
+  );
+  const filteredRecords = useMemo(
+    () => filterEvents(eventRecords, filters, { nameField1, nameField2, colorField, projetLinkField, statusField }),
+    [eventRecords, filters, nameField1, nameField2, colorField, projetLinkField, statusField]
+  );
+  // Every event by start day (venue view, exports)...
   const eventsByDate = useMemo(
-    () => groupEventsByDate(eventRecords, dateField),
-    [eventRecords, dateField]
+    () => groupEventsByDate(filteredRecords, dateField),
+    [filteredRecords, dateField]
   );
+  // ...while the grids draw multi-day events as bars (and the time grid
+  // all-day ones too), so those are left out of the per-day lists.
+  const spans = useMemo(
+    () => buildEventSpans(filteredRecords, dateField, endDateField),
+    [filteredRecords, dateField, endDateField]
+  );
+  const { dayEventsByDate, timedEventsByDate } = useMemo(() => {
+    const multiDay = new Set(spans.filter((s) => s.multiDay).map((s) => s.record.id));
+    const allDay = new Set(spans.map((s) => s.record.id));
+    return {
+      dayEventsByDate: groupEventsByDate(filteredRecords?.filter((r) => !multiDay.has(r.id)), dateField),
+      timedEventsByDate: groupEventsByDate(filteredRecords?.filter((r) => !allDay.has(r.id)), dateField),
+    };
+  }, [filteredRecords, spans, dateField]);
 
-  function goPrev() {
-    setRefDate((d) => {
-      const next = new Date(d);
-      if (viewMode === "month") next.setMonth(next.getMonth() - 1);
-      else if (viewMode === "2weeks") next.setDate(next.getDate() - 14);
-      else next.setDate(next.getDate() - 3);
-      return next;
+  // Days of the period on screen, for exports.
+  const visibleDays = useMemo(() => {
+    if (viewMode === "month") return monthGrid.flat().filter((c) => c.dateKey);
+    if (viewMode === "2weeks") return twoWeeksGrid.flat();
+    if (viewMode === "week") return weekGrid;
+    if (viewMode === "3days") return threeDaysGrid;
+    if (viewMode === "agenda") return agendaDays;
+    if (viewMode === "year") return yearDays;
+    return period === "week" ? weekGrid : dayGrid;
+  }, [viewMode, period, monthGrid, twoWeeksGrid, weekGrid, threeDaysGrid, dayGrid, agendaDays, yearDays]);
+
+  function handleExportIcs(split) {
+    // Events starting in the period, plus multi-day ones begun before it.
+    const first = visibleDays[0]?.dateKey;
+    const startedBefore = spans
+      .filter((s) => s.multiDay && s.startKey < first && s.endKey >= first)
+      .map((s) => s.record);
+    const records = [...startedBefore, ...visibleDays.flatMap((c) => eventsByDate.get(c.dateKey) || [])];
+    const fields = { dateField, endDateField, nameField1, nameField2, projetLinkField, venueField };
+    const title = getHeaderTitle();
+    if (!split) {
+      downloadIcs(buildIcs(records, fields, title), icsFileName(`calendrier ${title}`));
+      return;
+    }
+    const groups =
+      split === "venue"
+        ? splitRecords(records, venueField, "Sans salle")
+        : splitRecords(records, projetLinkField, "Sans projet");
+    // Spaced out: browsers drop downloads fired in the same tick.
+    groups.forEach(([name, group], i) => {
+      setTimeout(() => downloadIcs(buildIcs(group, fields, `${name} - ${title}`), icsFileName(`${name} ${title}`)), i * 300);
     });
   }
 
-  function goNext() {
+  // dir: -1 (previous period) or 1 (next).
+  function shiftPeriod(dir) {
     setRefDate((d) => {
       const next = new Date(d);
-      if (viewMode === "month") next.setMonth(next.getMonth() + 1);
-      else if (viewMode === "2weeks") next.setDate(next.getDate() + 14);
-      else next.setDate(next.getDate() + 3);
+      if (viewMode === "month") next.setMonth(next.getMonth() + dir);
+      else if (viewMode === "year") next.setFullYear(next.getFullYear() + dir);
+      else if (viewMode === "agenda") next.setDate(next.getDate() + dir * agendaHorizon);
+      else next.setDate(next.getDate() + dir * STEP_DAYS[period]);
       return next;
     });
   }
@@ -81,33 +182,20 @@ function CalendarApp() {
     if (viewMode === "month") {
       return `${MONTHS_FR[currentMonth - 1]} ${currentYear}`;
     }
-    if (viewMode === "2weeks") {
-      const monday = getMonday(refDate);
-      const end = new Date(monday);
-      end.setDate(end.getDate() + 13);
-      const startDay = monday.getDate();
-      const startMonth = MONTHS_FR[monday.getMonth()];
-      const endDay = end.getDate();
-      const endMonth = MONTHS_FR[end.getMonth()];
-      const endYear = end.getFullYear();
-      if (monday.getMonth() === end.getMonth()) {
-        return `${startDay} - ${endDay} ${endMonth} ${endYear}`;
-      }
-      return `${startDay} ${startMonth} - ${endDay} ${endMonth} ${endYear}`;
+    if (viewMode === "year") return String(currentYear);
+    if (viewMode === "agenda") {
+      const end = new Date(refDate);
+      end.setDate(end.getDate() + agendaHorizon - 1);
+      return rangeTitle(refDate, end);
     }
-    // 3days
-    const start = refDate;
-    const end = new Date(refDate);
-    end.setDate(end.getDate() + 2);
-    const startDay = start.getDate();
-    const startMonth = MONTHS_FR[start.getMonth()];
-    const endDay = end.getDate();
-    const endMonth = MONTHS_FR[end.getMonth()];
-    const endYear = end.getFullYear();
-    if (start.getMonth() === end.getMonth()) {
-      return `${startDay} - ${endDay} ${endMonth} ${endYear}`;
+    if (period === "day") {
+      return `${refDate.getDate()} ${MONTHS_FR[refDate.getMonth()]} ${refDate.getFullYear()}`;
     }
-    return `${startDay} ${startMonth} - ${endDay} ${endMonth} ${endYear}`;
+    // 2weeks and week start on Monday, 3days on the reference day
+    const start = period === "3days" ? refDate : getMonday(refDate);
+    const end = new Date(start);
+    end.setDate(end.getDate() + STEP_DAYS[period] - 1);
+    return rangeTitle(start, end);
   }
 
   function handleEventClick(eventRecord) {
@@ -124,39 +212,153 @@ function CalendarApp() {
     expandRecord(eventRecord);
   }
 
-  const cellProps = { nameField1, nameField2, colorField, base, onEventClick: handleEventClick };
+  const canPrint = viewMode === "month" || viewMode === "2weeks";
+  const title = getHeaderTitle();
+  const posterData = useMemo(() => {
+    if (!posterOpen || !canPrint) return null;
+    return buildPosterData({
+      title,
+      weeks: viewMode === "month" ? monthGrid : twoWeeksGrid,
+      eventsByDate: dayEventsByDate,
+      spans,
+      fields: { dateField, nameField1, nameField2, colorField, base },
+    });
+  }, [posterOpen, canPrint, title, viewMode, monthGrid, twoWeeksGrid, dayEventsByDate, spans, dateField, nameField1, nameField2, colorField, base]);
+
+  if (posterData) return <PosterView data={posterData} onClose={() => setPosterOpen(false)} />;
+
+  const openCreate = canCreate ? (dateKey, minutes) => setCreateDraft({ dateKey, minutes }) : undefined;
+
+  const cellProps = { nameField1, nameField2, colorField, base, onEventClick: handleEventClick, onSlotClick: openCreate };
 
   return (
     <div className="p-3 bg-white dark:bg-gray-gray900 text-gray-gray800 dark:text-gray-gray100" style={{ zoom: 1.25 }}>
       <CalendarHeader
-        title={getHeaderTitle()}
+        title={title}
         viewMode={viewMode}
-        onPrev={goPrev}
-        onNext={goNext}
+        onPrev={() => shiftPeriod(-1)}
+        onNext={() => shiftPeriod(1)}
         onToday={goToday}
         onChangeView={setViewMode}
+        filterCount={countActiveFilters(filters)}
+        filtersOpen={filtersOpen}
+        onToggleFilters={() => setFiltersOpen((o) => !o)}
+        onExportIcs={handleExportIcs}
+        canPrint={canPrint}
+        onPrint={() => setPosterOpen(true)}
+        canSplitByVenue={!!venueField}
+        canSplitByProjet={!!projetLinkField}
       />
 
-      {viewMode === "month" && (
-        <WeeksGridView weeks={monthGrid} eventsByDate={eventsByDate} cellProps={cellProps} />
-      )}
+      <div className="flex">
+        {filtersOpen && (
+          <FilterSidebar
+            records={eventRecords}
+            filters={filters}
+            onChange={setFilters}
+            colorField={colorField}
+            projetLinkField={projetLinkField}
+            statusField={statusField}
+            base={base}
+          />
+        )}
+        <div className="flex-1 min-w-0">
+          {viewMode === "month" && (
+            <WeeksGridView weeks={monthGrid} eventsByDate={dayEventsByDate} spans={spans} cellProps={cellProps} />
+          )}
 
-      {viewMode === "2weeks" && (
-        <WeeksGridView weeks={twoWeeksGrid} eventsByDate={eventsByDate} cellProps={cellProps} />
-      )}
+          {viewMode === "2weeks" && (
+            <WeeksGridView weeks={twoWeeksGrid} eventsByDate={dayEventsByDate} spans={spans} cellProps={cellProps} />
+          )}
 
-      {viewMode === "3days" && (
-        <ThreeDaysView
-          days={threeDaysGrid}
-          refDate={refDate}
-          eventsByDate={eventsByDate}
-          nameField1={nameField1}
-          nameField2={nameField2}
-          colorField={colorField}
+          {(viewMode === "week" || viewMode === "3days" || viewMode === "day") && (
+            <TimeGridView
+              days={viewMode === "week" ? weekGrid : viewMode === "3days" ? threeDaysGrid : dayGrid}
+              refDate={refDate}
+              eventsByDate={timedEventsByDate}
+              spans={spans}
+              eventsTable={eventsTable}
+              nameField1={nameField1}
+              nameField2={nameField2}
+              colorField={colorField}
+              dateField={dateField}
+              endDateField={endDateField}
+              base={base}
+              onEventClick={handleEventClick}
+              onSlotClick={openCreate}
+            />
+          )}
+
+          {viewMode === "agenda" && (
+            <AgendaView
+              key={`${refDate.toDateString()}-${agendaHorizon}`}
+              startDate={refDate}
+              horizon={agendaHorizon}
+              onChangeHorizon={setAgendaHorizon}
+              eventsByDate={eventsByDate}
+              dateField={dateField}
+              endDateField={endDateField}
+              nameField1={nameField1}
+              nameField2={nameField2}
+              colorField={colorField}
+              base={base}
+              onEventClick={handleEventClick}
+            />
+          )}
+
+          {viewMode === "year" && (
+            <YearView
+              year={currentYear}
+              eventsByDate={eventsByDate}
+              onPickMonth={(month) => {
+                setRefDate(new Date(currentYear, month - 1, 1));
+                setViewMode("month");
+              }}
+              onPickDay={(dateKey) => {
+                const [y, m, d] = dateKey.split("-").map(Number);
+                setRefDate(new Date(y, m - 1, d));
+                setViewMode("month");
+              }}
+            />
+          )}
+
+          {viewMode === "venues" && (
+            <VenueResourceView
+              days={venueSpan === "week" ? weekGrid : dayGrid}
+              span={venueSpan}
+              onChangeSpan={setVenueSpan}
+              refDate={refDate}
+              eventRecords={eventRecords}
+              eventsByDate={eventsByDate}
+              venueField={venueField}
+              nameField1={nameField1}
+              nameField2={nameField2}
+              colorField={colorField}
+              dateField={dateField}
+              endDateField={endDateField}
+              base={base}
+              onEventClick={handleEventClick}
+            />
+          )}
+        </div>
+      </div>
+
+      {createDraft && (
+        <QuickCreateForm
+          draft={createDraft}
+          eventsTable={eventsTable}
+          projetRecords={projetRecords}
           dateField={dateField}
           endDateField={endDateField}
-          base={base}
-          onEventClick={handleEventClick}
+          nameField1={nameField1}
+          nameField2={nameField2}
+          projetLinkField={projetLinkField}
+          defaultMinutes={DEFAULT_SCROLL_HOUR * 60}
+          onCreated={(id, open) => {
+            setCreateDraft(null);
+            if (open) setPendingExpandId(id);
+          }}
+          onClose={() => setCreateDraft(null)}
         />
       )}
     </div>
@@ -21,6 +21,23 @@ export function getCustomProperties(base) {
     f.config.type === FieldType.SINGLE_SELECT
   );
 
+  const isVenueType = (f) =>
+    f.config.type === FieldType.MULTIPLE_RECORD_LINKS ||
+    f.config.type === FieldType.SINGLE_SELECT ||
+    f.config.type === FieldType.MULTIPLE_SELECTS ||
+    f.config.type === FieldType.MULTIPLE_LOOKUP_VALUES ||
+    f.config.type === FieldType.SINGLE_LINE_TEXT;
+  const venueField = findField(evtTable, (f) =>
+    isVenueType(f) &&
+    (f.name.toLowerCase().includes("salle") || f.name.toLowerCase().includes("lieu"))
+  );
+
+  const statusField = findField(evtTable, (f) =>
+    f.config.type === FieldType.SINGLE_SELECT &&
+    f.id !== colorField?.id &&
+    (f.name.toLowerCase().includes("statut") || f.name.toLowerCase().includes("status"))
+  );
+
   const linkField = findField(evtTable, (f) =>
     f.config.type === FieldType.MULTIPLE_RECORD_LINKS &&
     f.name.toLowerCase().includes("projet")
@@ -92,5 +109,23 @@ export function getCustomProperties(base) {
         f.config.type === FieldType.MULTIPLE_RECORD_LINKS,
       defaultValue: linkField,
     },
+    {
+      key: "venueField",
+      label: "Champ salle (vue Salles)",
+      type: "field",
+      table: evtTable,
+      shouldFieldBeAllowed: isVenueType,
+      defaultValue: venueField,
+    },
+    {
+      key: "statusField",
+      label: "Champ statut (filtre)",
+      type: "field",
+      table: evtTable,
+      shouldFieldBeAllowed: (f) =>
+        f.config.type === FieldType.SINGLE_SELECT ||
+        f.config.type === FieldType.MULTIPLE_LOOKUP_VALUES,
+      defaultValue: statusField,
+    },
   ];
 }
@@ -1,3 +1,5 @@
+import { FieldType } from "@airtable/blocks/interface/models";
+
 export const MONTHS_FR = [
   "Janvier", "Fevrier", "Mars", "Avril", "Mai", "Juin",
   "Juillet", "Aout", "Septembre", "Octobre", "Novembre", "Decembre",
@@ -35,6 +37,19 @@ export function readDateCell(record, field) {
   return toLocalIso(iso);
 }
 
+// Inverse of readDateCell, for writes: the cell value for `field` at `minutes`
+// past local midnight of `dateKey` (minutes may overflow into the next days).
+// DATE fields take the day only; DATE_TIME fields a real UTC instant built from
+// the local clock, so toLocalIso() reads back exactly the day and time written.
+export function toDateCellValue(field, dateKey, minutes) {
+  const { year, month, day } = parseIsoDate(dateKey);
+  const local = new Date(year, month - 1, day, 0, minutes);
+  if (field.config.type === FieldType.DATE) {
+    return toDateKey(local.getFullYear(), local.getMonth() + 1, local.getDate());
+  }
+  return local.toISOString();
+}
+
 export function parseIsoDate(iso) {
   if (!iso) return null;
   const str = typeof iso === "string" ? iso : String(iso);
@@ -69,6 +84,13 @@ export function toDateKey(y, m, d) {
   return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
 }
 
+// "Lun 19 Octobre"
+export function fmtDayLabel(dateKey) {
+  const { year, month, day } = parseIsoDate(dateKey);
+  const weekday = (new Date(year, month - 1, day).getDay() + 6) % 7;
+  return `${DAYS_SHORT[weekday]} ${day} ${MONTHS_FR[month - 1]}`;
+}
+
 export function buildCalendarGrid(year, month) {
   const now = new Date();
   const todayKey = toDateKey(now.getFullYear(), now.getMonth() + 1, now.getDate());
@@ -132,6 +154,10 @@ export function build2WeeksGrid(refDate) {
   return weeks;
 }
 
+export function buildWeekGrid(refDate) {
+  return buildDaysGrid(getMonday(refDate), 7);
+}
+
 export function build3DaysGrid(refDate) {
   return buildDaysGrid(refDate, 3);
 }
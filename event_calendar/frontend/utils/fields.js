@@ -7,3 +7,14 @@ export function readFieldLabel(record, field) {
   if (raw.name) return raw.name;
   return String(raw);
 }
+
+// Every value of a multi-valued cell (links, multiple selects, lookups) as
+// names; a single value gives a one-item array, an empty cell [].
+export function readFieldValues(record, field) {
+  if (!field) return [];
+  const raw = record.getCellValue(field);
+  if (raw == null || raw === "") return [];
+  if (Array.isArray(raw)) return raw.map((r) => (r && r.name) || String(r)).filter(Boolean);
+  if (typeof raw === "object" && raw.name) return [raw.name];
+  return [String(raw)];
+}
@@ -0,0 +1,97 @@
+import { getFieldChoices } from "./colors";
+import { readFieldLabel, readFieldValues } from "./fields";
+
+// Sidebar filters. Colours and statuses are legend toggles (what is listed in
+// `hidden…` is left out); projects are a selection (empty = every project).
+export const EMPTY_FILTERS = {
+  search: "",
+  hiddenColors: [],
+  projetIds: [],
+  hiddenStatuses: [],
+};
+
+// Key for records without a value in a legend field.
+export const NO_VALUE = "";
+
+const normalize = (text) =>
+  text.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+export function countActiveFilters(filters) {
+  return (
+    (filters.search.trim() ? 1 : 0) +
+    (filters.hiddenColors.length ? 1 : 0) +
+    (filters.projetIds.length ? 1 : 0) +
+    (filters.hiddenStatuses.length ? 1 : 0)
+  );
+}
+
+// The legend value of a record: its first choice, as getEventColor colours it.
+const legendValue = (record, field) => readFieldValues(record, field)[0] || NO_VALUE;
+
+const linkedIds = (record, field) => {
+  const raw = field ? record.getCellValue(field) : null;
+  return Array.isArray(raw) ? raw.map((r) => r.id) : [];
+};
+
+export function filterEvents(records, filters, { nameField1, nameField2, colorField, projetLinkField, statusField }) {
+  if (!records) return records;
+  const search = normalize(filters.search.trim());
+  const hiddenColors = new Set(filters.hiddenColors);
+  const hiddenStatuses = new Set(filters.hiddenStatuses);
+  const projetIds = new Set(filters.projetIds);
+  if (!search && !hiddenColors.size && !hiddenStatuses.size && !projetIds.size) return records;
+
+  return records.filter((record) => {
+    if (colorField && hiddenColors.has(legendValue(record, colorField))) return false;
+    if (statusField && hiddenStatuses.has(legendValue(record, statusField))) return false;
+    if (projetIds.size && !linkedIds(record, projetLinkField).some((id) => projetIds.has(id))) return false;
+    if (search) {
+      const label = [readFieldLabel(record, nameField1), readFieldLabel(record, nameField2), record.name]
+        .filter(Boolean)
+        .join(" ");
+      if (!normalize(label).includes(search)) return false;
+    }
+    return true;
+  });
+}
+
+// Legend entries for a select-like field: its choices in configured order
+// (with their Airtable colour), then any other value found on the records, and
+// a "no value" entry when some records are empty. Each: { key, name, color,
+// count }.
+export function legendEntries(records, field, base) {
+  if (!field) return [];
+  const counts = new Map();
+  for (const record of records || []) {
+    const key = legendValue(record, field);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const entries = (getFieldChoices(field, base) || []).map((c) => ({
+    key: c.name,
+    name: c.name,
+    color: c.color || null,
+    count: counts.get(c.name) || 0,
+  }));
+  const listed = new Set(entries.map((e) => e.key));
+  const extra = [...counts.keys()]
+    .filter((k) => k !== NO_VALUE && !listed.has(k))
+    .sort((a, b) => a.localeCompare(b, "fr"));
+  for (const key of extra) entries.push({ key, name: key, color: null, count: counts.get(key) });
+  if (counts.has(NO_VALUE)) entries.push({ key: NO_VALUE, name: "(Vide)", color: null, count: counts.get(NO_VALUE) });
+  return entries;
+}
+
+// Projects linked from the events: [{ id, name, count }], by name.
+export function projetEntries(records, projetLinkField) {
+  if (!projetLinkField) return [];
+  const byId = new Map();
+  for (const record of records || []) {
+    const raw = record.getCellValue(projetLinkField);
+    if (!Array.isArray(raw)) continue;
+    for (const link of raw) {
+      if (!byId.has(link.id)) byId.set(link.id, { id: link.id, name: link.name || "(Sans nom)", count: 0 });
+      byId.get(link.id).count += 1;
+    }
+  }
+  return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name, "fr"));
+}
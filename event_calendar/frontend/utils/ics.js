@@ -0,0 +1,151 @@
+import { parseIsoDate, parseIsoTime, readDateCell } from "./dates";
+import { readFieldLabel, readFieldValues } from "./fields";
+
+// --- iCalendar (RFC 5545) export ---
+// Times go through readDateCell like everywhere else in the calendar: its ISO
+// strings carry the local wall-clock time (see toLocalIso), which is turned
+// back into a real instant here and written in UTC ("...Z"), so phones show
+// the same time as Airtable whatever their timezone. DATE-only cells become
+// all-day events (DTEND exclusive, as the RFC requires). UIDs are the record
+// ids, so re-importing an updated file (or hosting it as a subscription feed —
+// an extension cannot serve one itself) updates events instead of duplicating.
+
+// Event length when there is no end date, as on the time grid.
+const DEFAULT_DURATION_MIN = 60;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const icsUtc = (d) =>
+  `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T` +
+  `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+
+const icsDate = (d) => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+
+// readDateCell ISO → { date: local Date, allDay }.
+function readLocal(record, field) {
+  const iso = readDateCell(record, field);
+  const day = parseIsoDate(iso);
+  if (!day) return null;
+  const time = parseIsoTime(iso);
+  if (!time) return { date: new Date(day.year, day.month - 1, day.day), allDay: true };
+  return { date: new Date(day.year, day.month - 1, day.day, time.hour, time.minute), allDay: false };
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are folded at 75 octets, continuation lines starting with a space.
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const chSize = new TextEncoder().encode(ch).length;
+    if (size + chSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function eventLines(record, fields, stamp) {
+  const { dateField, endDateField, nameField1, nameField2, projetLinkField, venueField } = fields;
+  const start = readLocal(record, dateField);
+  if (!start) return [];
+  const end = endDateField ? readLocal(record, endDateField) : null;
+
+  const lines = ["BEGIN:VEVENT", `UID:${record.id}@airtable-event-calendar`, `DTSTAMP:${stamp}`];
+  if (start.allDay) {
+    // All-day: the end day is inclusive in Airtable, exclusive in iCalendar.
+    const last = end && end.date >= start.date ? end.date : start.date;
+    const endExclusive = new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(start.date)}`, `DTEND;VALUE=DATE:${icsDate(endExclusive)}`);
+  } else {
+    const endDate =
+      end && !end.allDay && end.date > start.date
+        ? end.date
+        : new Date(start.date.getTime() + DEFAULT_DURATION_MIN * 60000);
+    lines.push(`DTSTART:${icsUtc(start.date)}`, `DTEND:${icsUtc(endDate)}`);
+  }
+
+  const summary =
+    [readFieldLabel(record, nameField1), readFieldLabel(record, nameField2)].filter(Boolean).join(" - ") ||
+    record.name;
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  const projet = readFieldLabel(record, projetLinkField);
+  if (projet) lines.push(`DESCRIPTION:${escapeText(`Projet : ${projet}`)}`);
+  const venues = readFieldValues(record, venueField);
+  if (venues.length) lines.push(`LOCATION:${escapeText(venues.join(", "))}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// The .ics text for `records`. `fields`: { dateField, endDateField,
+// nameField1, nameField2, projetLinkField, venueField }.
+export function buildIcs(records, fields, calendarName) {
+  const stamp = icsUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Airtable//Event Calendar//FR",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+  for (const record of records) lines.push(...eventLines(record, fields, stamp));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Records split by each value of `field` (an event with two venues lands in
+// both files); events without a value go under `emptyLabel`.
+export function splitRecords(records, field, emptyLabel) {
+  const groups = new Map();
+  for (const record of records) {
+    const names = readFieldValues(record, field);
+    for (const name of names.length ? names : [emptyLabel]) {
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(record);
+    }
+  }
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b, "fr"));
+}
+
+// "Octobre 2026 / Théâtre" -> "octobre-2026-theatre" (also used for the PDF poster).
+export function fileSlug(name) {
+  const slug = name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .toLowerCase();
+  return slug || "calendrier";
+}
+
+export function icsFileName(name) {
+  return `${fileSlug(name)}.ics`;
+}
+
+export function downloadIcs(text, fileName) {
+  const blob = new Blob([text], { type: "text/calendar;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,95 @@
+import { AIRTABLE_COLORS, getEventColor } from "./colors";
+import { fmtDayLabel, fmtTime, parseIsoTime, readDateCell } from "./dates";
+import { readFieldLabel } from "./fields";
+import { legendEntries } from "./filters";
+
+// --- Printable poster (month / two weeks) ---
+// The screen poster (PosterView) and the PDF (PosterPdf) both render the plain
+// object built here, so what is printed and what is downloaded cannot differ:
+//
+//   { title, rowCount, weeks: [[{ day, dateKey, events: [{ id, label, time,
+//     continued, bg, text }], moreCount }]], legend: [{ name, bg, text }],
+//   overflow: [{ dateKey, dayLabel, events }] }
+//
+// A poster has no room for lane bars, so multi-day events repeat as a pill on
+// every day they cover ("‹ " on the following days, as on the bars).
+
+const DEFAULT_COLOR = { bg: "#e5e9f0", text: "#333" };
+
+// Grid height available on a landscape A4 page once the title, legend and
+// weekday header are placed (pt), and the height of one pill line.
+export const POSTER_GRID_HEIGHT = 440;
+export const POSTER_PILL_HEIGHT = 11;
+const DAY_NUMBER_HEIGHT = 14;
+
+// Pills that fit in a day cell when the grid has `rowCount` week rows; the
+// rest go to the continuation page.
+export function pillsPerDay(rowCount) {
+  const rowHeight = POSTER_GRID_HEIGHT / Math.max(rowCount, 1);
+  // One line is kept for "et N autres".
+  return Math.max(1, Math.floor((rowHeight - DAY_NUMBER_HEIGHT) / POSTER_PILL_HEIGHT) - 1);
+}
+
+function posterEvent(record, dateKey, startKey, { dateField, nameField1, nameField2, colorField, base }) {
+  const color = getEventColor(record, colorField, base);
+  const label =
+    [readFieldLabel(record, nameField1), readFieldLabel(record, nameField2)].filter(Boolean).join(" - ") ||
+    record.name;
+  const time = parseIsoTime(readDateCell(record, dateField));
+  const continued = startKey < dateKey;
+  return {
+    id: record.id,
+    label,
+    time: time && !continued ? fmtTime(time.hour, time.minute) : null,
+    continued,
+    bg: color.bg,
+    text: color.text,
+  };
+}
+
+// `weeks`: the WeeksGridView grid; `eventsByDate` its per-day lists (without
+// multi-day events) and `spans` the multi-day bars. `fields`: { dateField,
+// nameField1, nameField2, colorField, base }.
+export function buildPosterData({ title, weeks, eventsByDate, spans, fields }) {
+  const maxPerDay = pillsPerDay(weeks.length);
+  const multiDay = spans.filter((s) => s.multiDay);
+  const shown = new Map(); // record id -> record, for the legend
+  const overflow = [];
+
+  const posterWeeks = weeks.map((week) =>
+    week.map((cell) => {
+      if (!cell.dateKey) return { day: null, dateKey: null, events: [], moreCount: 0 };
+      const covering = multiDay.filter((s) => s.startKey <= cell.dateKey && s.endKey >= cell.dateKey);
+      const single = [...(eventsByDate.get(cell.dateKey) || [])].map((record) =>
+        posterEvent(record, cell.dateKey, cell.dateKey, fields)
+      );
+      // All-day first, then by start time.
+      single.sort((a, b) => (a.time || "").localeCompare(b.time || ""));
+      const events = [
+        ...covering.map((s) => posterEvent(s.record, cell.dateKey, s.startKey, fields)),
+        ...single,
+      ];
+      for (const s of covering) shown.set(s.record.id, s.record);
+      for (const record of eventsByDate.get(cell.dateKey) || []) shown.set(record.id, record);
+
+      const hidden = events.slice(maxPerDay);
+      if (hidden.length) overflow.push({ dateKey: cell.dateKey, dayLabel: fmtDayLabel(cell.dateKey), events: hidden });
+      return { day: cell.day, dateKey: cell.dateKey, events: events.slice(0, maxPerDay), moreCount: hidden.length };
+    })
+  );
+
+  const legend = legendEntries([...shown.values()], fields.colorField, fields.base)
+    .filter((entry) => entry.count > 0)
+    .map((entry) => {
+      const color = (entry.color && AIRTABLE_COLORS[entry.color]) || DEFAULT_COLOR;
+      return { name: entry.name, bg: color.bg, text: color.text };
+    });
+
+  return { title, rowCount: weeks.length, weeks: posterWeeks, legend, overflow };
+}
+
+// "et 1 autre" / "et 3 autres"
+export const moreLabel = (n) => `et ${n} autre${n > 1 ? "s" : ""}`;
+
+export const posterEventText = (evt) =>
+  `${evt.continued ? "‹ " : ""}${evt.time ? `${evt.time} ` : ""}${evt.label}`;
@@ -0,0 +1,88 @@
+import { parseIsoDate, parseIsoTime, readDateCell, toDateKey } from "./dates";
+
+// Height of one lane of spanning bars (bar + gap), in px.
+export const LANE_HEIGHT = 18;
+
+// A timed event ending on the next day up to this hour (a 21:00-00:30 show)
+// is not multi-day: it stays a timed block on its start day.
+export const OVERNIGHT_END_HOUR = 6;
+
+function dateKeyOf(iso) {
+  const parsed = parseIsoDate(iso);
+  return parsed ? toDateKey(parsed.year, parsed.month, parsed.day) : null;
+}
+
+function endsOvernight(startIso, endIso, startKey, endKey) {
+  const startTime = parseIsoTime(startIso);
+  const endTime = parseIsoTime(endIso);
+  if (!startTime || !endTime) return false;
+  const { year, month, day } = parseIsoDate(startKey);
+  const next = new Date(year, month - 1, day + 1);
+  return (
+    endKey === toDateKey(next.getFullYear(), next.getMonth() + 1, next.getDate()) &&
+    endTime.hour * 60 + endTime.minute <= OVERNIGHT_END_HOUR * 60
+  );
+}
+
+// Events that need a bar rather than a pill/block: multi-day ones (end day
+// after the start day, short overnight events aside — see
+// OVERNIGHT_END_HOUR) and all-day ones (DATE-only start). Each: { record,
+// startKey, endKey, allDay, multiDay }. Sorted for a stable lane allocation:
+// earliest start first, then longest, then record id.
+export function buildEventSpans(records, dateField, endDateField) {
+  if (!records || !dateField) return [];
+  const spans = [];
+  for (const record of records) {
+    const startIso = readDateCell(record, dateField);
+    const startKey = dateKeyOf(startIso);
+    if (!startKey) continue;
+    const endIso = endDateField ? readDateCell(record, endDateField) : null;
+    const endKey = dateKeyOf(endIso);
+    const multiDay = !!endKey && endKey > startKey && !endsOvernight(startIso, endIso, startKey, endKey);
+    const allDay = !parseIsoTime(startIso);
+    if (!multiDay && !allDay) continue;
+    spans.push({ record, startKey, endKey: multiDay ? endKey : startKey, allDay, multiDay });
+  }
+  return spans.sort(
+    (a, b) =>
+      a.startKey.localeCompare(b.startKey) ||
+      b.endKey.localeCompare(a.endKey) ||
+      a.record.id.localeCompare(b.record.id)
+  );
+}
+
+// Bar segments of `spans` over one row of consecutive day cells (cells
+// without a dateKey — month padding — are skipped). A span crossing the row
+// edge is cut there and flagged continuesLeft/Right, so it wraps onto the next
+// week. Lanes are allocated greedily in span order: the first lane free over
+// the segment's columns. Returns { segments: [{ span, startCol, endCol, lane,
+// continuesLeft, continuesRight }], laneCount }.
+export function layoutSpanRow(spans, cells) {
+  const keys = cells.map((c) => c.dateKey).filter(Boolean);
+  if (!keys.length) return { segments: [], laneCount: 0 };
+  const first = keys[0];
+  const last = keys[keys.length - 1];
+  const colOf = new Map(cells.map((c, i) => [c.dateKey, i]));
+
+  const laneEnds = []; // lane -> last column used
+  const segments = [];
+  for (const span of spans) {
+    if (span.endKey < first || span.startKey > last) continue;
+    const startKey = span.startKey < first ? first : span.startKey;
+    const endKey = span.endKey > last ? last : span.endKey;
+    const startCol = colOf.get(startKey);
+    const endCol = colOf.get(endKey);
+    let lane = laneEnds.findIndex((end) => end < startCol);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = endCol;
+    segments.push({
+      span,
+      startCol,
+      endCol,
+      lane,
+      continuesLeft: span.startKey < first,
+      continuesRight: span.endKey > last,
+    });
+  }
+  return { segments, laneCount: laneEnds.length };
+}
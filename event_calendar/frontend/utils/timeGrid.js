@@ -9,6 +9,24 @@ export const HOURS = Array.from(
   (_, i) => GRID_START_HOUR + i
 );
 
+// Drag/resize granularity on the time grid.
+export const SNAP_MINUTES = 15;
+
+// Grid offset (px from the top of a day column) → minutes since midnight,
+// snapped to SNAP_MINUTES and kept inside the grid.
+export function offsetToMinutes(offset) {
+  const raw = (offset / HOUR_HEIGHT) * 60 + GRID_START_HOUR * 60;
+  const snapped = Math.round(raw / SNAP_MINUTES) * SNAP_MINUTES;
+  return Math.min(Math.max(snapped, GRID_START_HOUR * 60), GRID_END_HOUR * 60 - SNAP_MINUTES);
+}
+
+export function minutesToOffset(minutes) {
+  return ((minutes - GRID_START_HOUR * 60) / 60) * HOUR_HEIGHT;
+}
+
+// Top/height of an event block in its start day's column. An end on a later
+// day (an overnight show, see OVERNIGHT_END_HOUR in spans.js) runs the block
+// to the bottom of the grid; the label keeps the real end time.
 export function getTimePosition(record, dateField, endDateField) {
   const startIso = readDateCell(record, dateField);
   const startTime = parseIsoTime(startIso);
@@ -17,17 +35,21 @@ export function getTimePosition(record, dateField, endDateField) {
 
   let endH = startH + 1;
   let endM = startM;
+  let endsLater = false;
   if (endDateField) {
     const endIso = readDateCell(record, endDateField);
     const endTime = parseIsoTime(endIso);
     if (endTime) {
       endH = endTime.hour;
       endM = endTime.minute;
+      endsLater = !!startIso && endIso.split("T")[0] > startIso.split("T")[0];
     }
   }
 
   const top = (startH - GRID_START_HOUR) * HOUR_HEIGHT + startM;
-  const bottom = (endH - GRID_START_HOUR) * HOUR_HEIGHT + endM;
+  const bottom = endsLater
+    ? (GRID_END_HOUR - GRID_START_HOUR) * HOUR_HEIGHT
+    : (endH - GRID_START_HOUR) * HOUR_HEIGHT + endM;
   const height = Math.max(bottom - top, 20);
 
   return {
@@ -64,3 +86,47 @@ export function layoutOverlapping(events) {
   }
   return sorted;
 }
+
+const DAY_MS = 86400000;
+
+// Real time range of a booking, as { start, end } ms on the wall-clock scale
+// of readDateCell (local times read as UTC, like date keys — so both compare
+// directly with Date.parse(dateKey)). A DATE-only start covers whole days, up
+// to a DATE-only end's day included; without an end, a timed event lasts an
+// hour, as drawn on the grid. null without a start.
+export function bookingInterval(record, dateField, endDateField) {
+  const startIso = readDateCell(record, dateField);
+  if (!startIso) return null;
+  const allDay = !parseIsoTime(startIso);
+  const start = Date.parse(allDay ? startIso.split("T")[0] : startIso);
+  if (isNaN(start)) return null;
+  const endIso = endDateField ? readDateCell(record, endDateField) : null;
+  let end = NaN;
+  if (endIso) {
+    end = parseIsoTime(endIso) ? Date.parse(endIso) : Date.parse(endIso.split("T")[0]) + DAY_MS;
+  }
+  if (isNaN(end) || end <= start) end = start + (allDay ? DAY_MS : 3600000);
+  return { start, end };
+}
+
+// Whether [start, end) touches the day `dateKey`.
+export function coversDay(interval, dateKey) {
+  const dayStart = Date.parse(dateKey);
+  return interval.start < dayStart + DAY_MS && interval.end > dayStart;
+}
+
+// Ids of the items ({ record, start, end }, see bookingInterval) whose time
+// ranges overlap another item's — used to flag double bookings within a venue
+// column. Back-to-back bookings (one ends as the next starts) do not overlap.
+export function findOverlaps(items) {
+  const sorted = [...items].sort((a, b) => a.start - b.start);
+  const ids = new Set();
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length; j++) {
+      if (sorted[j].start >= sorted[i].end) break;
+      ids.add(sorted[i].record.id);
+      ids.add(sorted[j].record.id);
+    }
+  }
+  return ids;
+}
@@ -1,16 +1,30 @@
+import { useState, useMemo } from "react";
 import { useRepFilters } from "../hooks/useRepFilters";
 import { RepresentationsTable } from "./RepresentationsTable";
+import { FillHeatmap, repsInCell, heatmapCellLabel } from "./FillHeatmap";
 
 // --- All-events page: every event across all shows, mixed ---
+// The optional heatmap (venue × month fill rate) sits above the table and
+// follows the same filters; clicking one of its cells narrows the table to
+// that venue and month until the drill-down is cleared.
 
 export function AllEventsPage({ allReps, repRecords, onBack }) {
   const {
     showAll, setShowAll,
     filterVille, setFilterVille,
     filterSalle, setFilterSalle,
+    filterGroup, setFilterGroup,
     uniqueVilles, uniqueSalles,
+    filterOptions,
     filteredReps,
   } = useRepFilters(allReps);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [drill, setDrill] = useState(null); // null | { salle, month }
+
+  const tableReps = useMemo(
+    () => (drill ? repsInCell(filteredReps, drill) : filteredReps),
+    [filteredReps, drill],
+  );
 
   return (
     <div className="p-4 sm:p-6 min-h-screen bg-gray-gray50 dark:bg-gray-gray800 overflow-auto">
@@ -28,20 +42,53 @@ export function AllEventsPage({ allReps, repRecords, onBack }) {
         <h2 className="text-xl font-display font-bold text-gray-gray700 dark:text-gray-gray200">
           Tous les événements
         </h2>
+        <button
+          onClick={() => setShowHeatmap((v) => !v)}
+          className={`ml-auto text-sm font-medium px-2.5 py-1 rounded border transition-colors ${
+            showHeatmap
+              ? "bg-blue-blue text-white border-blue-blue"
+              : "border-gray-gray200 dark:border-gray-gray500 text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600"
+          }`}
+          title="Taux de remplissage moyen par salle et par mois"
+        >
+          Carte de chaleur
+        </button>
       </div>
+      {showHeatmap && (
+        <div className="mb-5">
+          <FillHeatmap reps={filteredReps} onCellClick={setDrill} />
+        </div>
+      )}
+      {drill && (
+        <div className="flex items-center gap-2 mb-3 text-sm text-gray-gray600 dark:text-gray-gray300">
+          <span className="px-2 py-0.5 rounded bg-blue-blueLight3 dark:bg-blue-blueDark1">
+            {heatmapCellLabel(drill)}
+          </span>
+          <button
+            onClick={() => setDrill(null)}
+            className="text-blue-blue hover:text-blue-blueDark1 dark:text-blue-blueLight1 dark:hover:text-blue-blueLight2"
+          >
+            Tout afficher
+          </button>
+        </div>
+      )}
       <RepresentationsTable
         title="Événements"
         totalCount={allReps.length}
-        filteredReps={filteredReps}
+        filteredReps={tableReps}
         uniqueVilles={uniqueVilles}
         uniqueSalles={uniqueSalles}
         filterVille={filterVille}
         setFilterVille={setFilterVille}
         filterSalle={filterSalle}
         setFilterSalle={setFilterSalle}
+        filterGroup={filterGroup}
+        setFilterGroup={setFilterGroup}
+        filterOptions={filterOptions}
         showAll={showAll}
         setShowAll={setShowAll}
         repRecords={repRecords}
+        layoutId="events"
         showSpectacleCol
       />
     </div>
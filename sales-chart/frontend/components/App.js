@@ -16,11 +16,17 @@ import {
   sortRepsByDate,
 } from "../utils/airtable";
 import { parseIsoDate } from "../utils/format";
+import { groupMilestones } from "../utils/objectives";
 import { SpectacleCard } from "./SpectacleCard";
 import { HomeSalesChart } from "./HomeSalesChart";
 import { DetailPage } from "./DetailPage";
 import { AllEventsPage } from "./AllEventsPage";
 import { ArtistsPage } from "./ArtistsPage";
+import { AtRiskPage } from "./AtRiskPage";
+import { ComparisonPage } from "./ComparisonPage";
+import { ObjectivesRollup } from "./ObjectivesRollup";
+import { SavedViewsMenu } from "./SavedViewsMenu";
+import { useSavedViews } from "../hooks/useSavedViews";
 
 // Reads a checkbox-like field as a plain boolean. An unchecked checkbox cell
 // reads back as null and a lookup/rollup wraps its value in an array, so only
@@ -36,6 +42,15 @@ function readCheckbox(record, field) {
   return false;
 }
 
+// Milestone day count: a number (sign ignored, so -30 and 30 both mean J-30)
+// or the first integer in a text / select value such as "J-30".
+function readMilestoneDays(record, field) {
+  const raw = safeCellValue(record, field);
+  if (typeof raw === "number") return Math.abs(Math.round(raw));
+  const match = safeCellString(record, field).match(/\d+/);
+  return match ? Number(match[0]) : null;
+}
+
 // --- Config gate ---
 // Runs only the config hooks (useBase / useCustomProperties / …) and the
 // configuration guards. The interface SDK's useRecords() throws on a null
@@ -48,9 +63,11 @@ function SalesChartApp() {
   const globalConfig = useGlobalConfig();
   const selectedSpectaclesTableId = globalConfig.get("spectaclesTable") || null;
   const selectedRepsTableId = globalConfig.get("representationsTable") || null;
+  const selectedObjectivesTableId = globalConfig.get("objectivesTable") || null;
   const getProps = useCallback(
-    (b) => getCustomProperties(b, selectedSpectaclesTableId, selectedRepsTableId),
-    [selectedSpectaclesTableId, selectedRepsTableId],
+    (b) =>
+      getCustomProperties(b, selectedSpectaclesTableId, selectedRepsTableId, selectedObjectivesTableId),
+    [selectedSpectaclesTableId, selectedRepsTableId, selectedObjectivesTableId],
   );
   const { customPropertyValueByKey, errorState } = useCustomProperties(getProps);
 
@@ -144,13 +161,46 @@ function SalesChartLoaded({ base, cp }) {
   // Artistes → Projets link), so we read it from the already-loaded spectacle
   // records — no separate Artistes table to load.
   const spectacleArtisteField = cp.spectacleArtisteField;
+  // Producer objectives are optional: without their table, link and J-x
+  // fields the milestone curves are off and the charts keep the synthetic ramp.
+  const objectivesTable = cp.objectivesTable;
+  const objectiveSpectacleField = cp.objectiveSpectacleField;
+  const objectiveDaysField = cp.objectiveDaysField;
+  const objectiveRevenueField = cp.objectiveRevenueField;
+  const objectiveTicketsField = cp.objectiveTicketsField;
+  const objectivesConfigured = !!(
+    objectivesTable &&
+    objectiveSpectacleField &&
+    objectiveDaysField &&
+    (objectiveRevenueField || objectiveTicketsField)
+  );
 
   const spectacleRecords = useRecords(spectaclesTable);
   const repRecords = useRecords(repsTable);
+  // useRecords needs a table on every render: fall back to the (already
+  // loaded) spectacles table and ignore the records when not configured.
+  const objectiveRecords = useRecords(objectivesTable || spectaclesTable);
 
   const [selectedSpectacleId, setSelectedSpectacleId] = useState(null);
   const [search, setSearch] = useState("");
-  const [view, setView] = useState("gallery"); // "gallery" | "events" | "artists"
+  const [view, setView] = useState("gallery"); // "gallery" | "events" | "artists" | "risk" | "compare"
+  // Saved view being restored on the detail page; `appliedCount` remounts the
+  // page each time one is picked, even for the spectacle already open.
+  const savedViews = useSavedViews();
+  const [appliedView, setAppliedView] = useState(null);
+  const [appliedCount, setAppliedCount] = useState(0);
+
+  const applyView = (saved) => {
+    setAppliedView(saved);
+    setAppliedCount((n) => n + 1);
+    setSelectedSpectacleId(saved.spectacleId);
+    setView("gallery");
+  };
+
+  const openSpectacle = (id) => {
+    setAppliedView(null);
+    setSelectedSpectacleId(id);
+  };
 
   // Get KPI data for selected spectacle from configured fields
   const kpiFields = useMemo(
@@ -234,6 +284,41 @@ function SalesChartLoaded({ base, cp }) {
       .sort((a, b) => b.totalSold - a.totalSold);
   }, [spectacleRecords, imageField, cardSubtitleField, cardColorField, base, repRecords, spectacleLinkField, colTotalBilletsVendus]);
 
+  // Objective milestones by spectacle (see utils/objectives.js), or null.
+  const milestones = useMemo(() => {
+    if (!objectivesConfigured || !objectiveRecords) return null;
+    const readNum = (record, field) => {
+      if (!field) return null;
+      const val = safeCellValue(record, field);
+      if (val == null || val === "") return null;
+      const n = typeof val === "number" ? val : parseFloat(String(val));
+      return isNaN(n) ? null : n;
+    };
+    const grouped = groupMilestones(
+      objectiveRecords.map((record) => ({
+        spectacleIds: extractLinkedRecords(safeCellValue(record, objectiveSpectacleField)).map((l) => l.id),
+        days: readMilestoneDays(record, objectiveDaysField),
+        revenue: readNum(record, objectiveRevenueField),
+        tickets: readNum(record, objectiveTicketsField),
+      })),
+    );
+    return Object.keys(grouped).length ? grouped : null;
+  }, [
+    objectivesConfigured,
+    objectiveRecords,
+    objectiveSpectacleField,
+    objectiveDaysField,
+    objectiveRevenueField,
+    objectiveTicketsField,
+  ]);
+
+  // Saved views whose spectacle is still listed (deleted or rep-less
+  // spectacles cannot be opened).
+  const availableViews = useMemo(
+    () => savedViews.views.filter((v) => spectacles.some((s) => s.id === v.spectacleId)),
+    [savedViews.views, spectacles],
+  );
+
   // Filter spectacles by search
   const filteredSpectacles = useMemo(() => {
     if (!search) return spectacles;
@@ -349,15 +434,13 @@ function SalesChartLoaded({ base, cp }) {
   );
 
   // Artist sections for the "par artistes" view, hierarchy Artiste → Spectacles
-  // → Dates. Only upcoming shows (rawDate >= today). For each projet (spectacle)
-  // we read its linked artist(s) from spectacleArtisteField on the already-loaded
-  // spectacle records, then nest the projet under each of its artists. Artists
-  // sorted by name ("Nom de scène"); within an artist, projets by name; within a
-  // projet, shows oldest→newest.
+  // → Dates. Every dated show (the page hides past ones unless asked). For each
+  // projet (spectacle) we read its linked artist(s) from spectacleArtisteField
+  // on the already-loaded spectacle records, then nest the projet under each of
+  // its artists. Artists sorted by name ("Nom de scène"); within an artist,
+  // projets by name; within a projet, shows oldest→newest.
   const artistSections = useMemo(() => {
     if (!spectacleRecords || !spectacleArtisteField) return [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
     // projet id -> { projetName, artists: [{ id, name }] }
     const metaBySpectacle = {};
     spectacleRecords.forEach((rec) => {
@@ -366,10 +449,10 @@ function SalesChartLoaded({ base, cp }) {
         artists: extractLinkedRecords(safeCellValue(rec, spectacleArtisteField)),
       };
     });
-    // projet id -> [upcoming reps]
+    // projet id -> [dated reps]
     const showsByProjet = new Map();
     allRepresentations
-      .filter((r) => r.rawDate && r.rawDate >= today)
+      .filter((r) => r.rawDate)
       .forEach((rep) => {
         rep.spectacleIds.forEach((sid) => {
           if (!showsByProjet.has(sid)) showsByProjet.set(sid, []);
@@ -426,6 +509,34 @@ function SalesChartLoaded({ base, cp }) {
     );
   }
 
+  // --- At-risk Page ---
+  if (view === "risk") {
+    return (
+      <AtRiskPage
+        allReps={allRepresentationsSorted}
+        repRecords={repRecords}
+        supabaseUrl={supabaseUrl}
+        supabaseAnonKey={supabaseAnonKey}
+        baseId={base.id}
+        onBack={() => setView("gallery")}
+      />
+    );
+  }
+
+  // --- Comparison Page ---
+  if (view === "compare") {
+    return (
+      <ComparisonPage
+        spectacles={spectacles}
+        allReps={allRepresentationsSorted}
+        supabaseUrl={supabaseUrl}
+        supabaseAnonKey={supabaseAnonKey}
+        baseId={base.id}
+        onBack={() => setView("gallery")}
+      />
+    );
+  }
+
   // --- Artists Page ---
   if (view === "artists") {
     if (!spectacleArtisteField) {
@@ -446,14 +557,20 @@ function SalesChartLoaded({ base, cp }) {
   if (selectedSpectacle) {
     return (
       <DetailPage
+        key={`${selectedSpectacle.id}:${appliedCount}`}
         spectacle={selectedSpectacle}
         representations={representations}
+        allReps={allRepresentations}
         spectacleKPIs={spectacleKPIs}
         supabaseUrl={supabaseUrl}
         supabaseAnonKey={supabaseAnonKey}
         baseId={base.id}
-        onBack={() => setSelectedSpectacleId(null)}
+        onBack={() => openSpectacle(null)}
         repRecords={repRecords}
+        milestones={milestones}
+        initialView={appliedView && appliedView.spectacleId === selectedSpectacle.id ? appliedView : null}
+        savedViews={{ ...savedViews, views: availableViews }}
+        onApplyView={applyView}
       />
     );
   }
@@ -466,6 +583,35 @@ function SalesChartLoaded({ base, cp }) {
           Spectacles
         </h2>
         <div className="flex items-center gap-3">
+          <SavedViewsMenu
+            views={availableViews}
+            canEdit={savedViews.canEdit}
+            onApply={applyView}
+            showSpectacle
+          />
+          <button
+            onClick={() => setView("risk")}
+            className="flex items-center gap-1.5 text-sm font-medium px-3 py-1.5 rounded-md
+                       bg-blue-blue text-white hover:bg-blue-blueDark1 transition-colors"
+          >
+            <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z" />
+              <line x1="12" y1="9" x2="12" y2="13" />
+              <line x1="12" y1="17" x2="12.01" y2="17" />
+            </svg>
+            À risque
+          </button>
+          <button
+            onClick={() => setView("compare")}
+            className="flex items-center gap-1.5 text-sm font-medium px-3 py-1.5 rounded-md
+                       bg-blue-blue text-white hover:bg-blue-blueDark1 transition-colors"
+          >
+            <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="3 17 9 11 13 15 21 7" />
+              <polyline points="3 21 9 17 13 19 21 13" />
+            </svg>
+            Comparer
+          </button>
           <button
             onClick={() => setView("artists")}
             className="flex items-center gap-1.5 text-sm font-medium px-3 py-1.5 rounded-md
@@ -526,6 +672,18 @@ function SalesChartLoaded({ base, cp }) {
         />
       </div>
 
+      {milestones && (
+        <ObjectivesRollup
+          spectacles={spectacles}
+          allReps={allRepresentations}
+          milestones={milestones}
+          supabaseUrl={supabaseUrl}
+          supabaseAnonKey={supabaseAnonKey}
+          baseId={base.id}
+          onOpenSpectacle={openSpectacle}
+        />
+      )}
+
       {filteredSpectacles.length === 0 && (
         <div className="flex items-center justify-center h-64">
           <p className="text-sm text-gray-gray500 dark:text-gray-gray400">
@@ -548,7 +706,7 @@ function SalesChartLoaded({ base, cp }) {
             subtitle={spectacle.subtitle}
             imageUrl={spectacle.imageUrl}
             placeholderColor={spectacle.placeholderColor}
-            onClick={() => setSelectedSpectacleId(spectacle.id)}
+            onClick={() => openSpectacle(spectacle.id)}
           />
         ))}
       </div>
@@ -594,5 +752,6 @@ export function SalesChartRoot() {
   const globalConfig = useGlobalConfig();
   const spectId = globalConfig.get("spectaclesTable") || "_";
   const repId = globalConfig.get("representationsTable") || "_";
-  return <SalesChartApp key={`${spectId}::${repId}`} />;
+  const objId = globalConfig.get("objectivesTable") || "_";
+  return <SalesChartApp key={`${spectId}::${repId}::${objId}`} />;
 }
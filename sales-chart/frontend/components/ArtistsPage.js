@@ -1,17 +1,36 @@
-import { useState, useEffect, useMemo, useRef, Fragment } from "react";
-import { fmtNumber, formatDate } from "../utils/format";
-import { lastNMondays, cumulativeSoldByWeek } from "../utils/salesData";
+import { useState, useEffect, useMemo, Fragment } from "react";
+import { fmtNumber, formatDate, localTodayIso } from "../utils/format";
+import {
+  GRANULARITIES,
+  WINDOW_OPTIONS,
+  DEFAULT_WINDOW,
+  calendarBuckets,
+  alignedBuckets,
+  bucketLabel,
+  bucketTargets,
+  cumulativeSoldAt,
+} from "../utils/timeBuckets";
+import { fetchSalesRows } from "../utils/salesReport";
+import { useIgnoredPoints } from "../hooks/useIgnoredPoints";
 import { downloadArtistsCsv } from "../utils/csv";
+import { buildWeeklyReport, downloadWeeklyReportXlsx } from "../utils/weeklyReport";
+import { downloadWeeklyReportPdf } from "./WeeklyReportPdf";
 
-// --- Artists page: weekly sold grid, hierarchy Artiste → Spectacles → Dates ---
+// --- Artists page: sold grid, hierarchy Artiste → Spectacles → Dates ---
 // App prepares the `artists` array ([{ id, name, spectacles: [{ id, projetName,
-// shows: [rep, ...] }] }], upcoming shows only, sorted). This component fetches
-// each show's cumulative `sold` from Supabase (same source/pattern as
-// HomeSalesChart) and renders, per artist, a grid: rows = représentations,
-// columns = the last 16 weeks (Mondays) up to today, cells = cumulative tickets
-// sold as of that week.
+// shows: [rep, ...] }] }], every dated show, sorted); past shows are hidden
+// unless "Inclure les spectacles passés" is checked. This component fetches
+// each show's cumulative `sold` through the shared sales_report client (same
+// cache as HomeSalesChart) and renders, per artist, a grid: rows =
+// représentations, columns = time buckets (utils/timeBuckets.js), cells =
+// cumulative tickets sold as of the bucket's end. Buckets are the last N days,
+// weeks or months up to today ("Calendrier"), or J-x offsets before each
+// show's own date ("Alignement J-x"), left blank until that day comes.
 
-const WEEK_COUNT = 16;
+// The "Rapport hebdomadaire" always covers calendar weeks (its PDF layout is
+// sized for 16 of them), whatever the grid shows; the window is spelled out
+// next to its buttons.
+const REPORT_WEEKS = 16;
 const LABEL_COL = 240;
 // Sized for the widest content — the "% remplissage" mode, which stacks
 // "5/120" + "4,17 %". Kept constant across modes so toggling never reflows the
@@ -25,77 +44,99 @@ const fmtPct = (sold, capacity) =>
     maximumFractionDigits: 2,
   })} %`;
 
-export function ArtistsPage({ artists, supabaseUrl, supabaseAnonKey, baseId, onBack }) {
-  const weeks = useMemo(() => lastNMondays(WEEK_COUNT), []);
+const SELECT_CLASS =
+  "text-sm rounded border border-gray-gray200 dark:border-gray-gray500 bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray200 px-2 py-1";
+
+function SegmentedControl({ options, value, onChange }) {
+  return (
+    <div className="flex items-center rounded border border-gray-gray200 dark:border-gray-gray500 overflow-hidden">
+      {options.map((opt) => (
+        <button
+          key={opt.key}
+          onClick={() => onChange(opt.key)}
+          className={`text-sm font-medium px-2.5 py-1 transition-colors ${
+            value === opt.key
+              ? "bg-blue-blue text-white"
+              : "text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600"
+          }`}
+        >
+          {opt.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export function ArtistsPage({ artists: allArtists, supabaseUrl, supabaseAnonKey, baseId, onBack }) {
   const [mode, setMode] = useState("count"); // "count" | "pct"
+  const [alignment, setAlignment] = useState("calendar"); // "calendar" | "aligned"
+  const [granularity, setGranularity] = useState("week");
+  const [windowSize, setWindowSize] = useState(DEFAULT_WINDOW.week);
+  const [includePast, setIncludePast] = useState(false);
 
-  // All representation ids across every artist/spectacle in the view.
-  const idsStr = useMemo(() => {
-    const ids = new Set();
-    artists.forEach((a) => a.spectacles.forEach((s) => s.shows.forEach((sh) => ids.add(sh.id))));
-    return [...ids].sort().join(",");
+  const todayIso = useMemo(() => localTodayIso(), []);
+
+  // Upcoming shows only unless past ones are included; spectacles and artists
+  // left without a show are dropped.
+  const artists = useMemo(() => {
+    if (includePast) return allArtists;
+    return allArtists
+      .map((a) => ({
+        ...a,
+        spectacles: a.spectacles
+          .map((s) => ({ ...s, shows: s.shows.filter((sh) => sh.dateRepIso >= todayIso) }))
+          .filter((s) => s.shows.length > 0),
+      }))
+      .filter((a) => a.spectacles.length > 0);
+  }, [allArtists, includePast, todayIso]);
+
+  const buckets = useMemo(
+    () =>
+      alignment === "aligned"
+        ? alignedBuckets(windowSize, granularity)
+        : calendarBuckets(windowSize, granularity),
+    [alignment, windowSize, granularity],
+  );
+  const reportWeeks = useMemo(() => calendarBuckets(REPORT_WEEKS, "week"), []);
+  const reportWindow = `${REPORT_WEEKS} semaines, du ${formatDate(reportWeeks[0].startIso)} au ${formatDate(
+    reportWeeks[reportWeeks.length - 1].endIso,
+  )}`;
+
+  // Every show in the view by id (one rep can sit under several artists).
+  const showsById = useMemo(() => {
+    const out = {};
+    artists.forEach((a) => a.spectacles.forEach((s) => s.shows.forEach((sh) => (out[sh.id] = sh))));
+    return out;
   }, [artists]);
+  const idsStr = useMemo(() => Object.keys(showsById).sort().join(","), [showsById]);
 
-  const [soldByRec, setSoldByRec] = useState({});
+  const [rows, setRows] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const cacheRef = useRef(new Map());
+  const [exporting, setExporting] = useState(null); // null | "xlsx" | "pdf"
+
+  const { ignored } = useIgnoredPoints();
 
   useEffect(() => {
     if (!supabaseUrl || !supabaseAnonKey || !idsStr) {
-      setSoldByRec({});
+      setRows([]);
       return;
     }
-    const today = new Date().toISOString().split("T")[0];
-    const cacheKey = `artists_${baseId}_${idsStr}_${today}`;
     let didCancel = false;
 
     const run = async () => {
-      if (cacheRef.current.has(cacheKey)) {
-        if (!didCancel) {
-          setSoldByRec(cacheRef.current.get(cacheKey));
-          setLoading(false);
-        }
-        return;
-      }
       setLoading(true);
       setError(null);
       try {
-        const ids = idsStr.split(",");
-        const chunkSize = 150;
-        const pageSize = 1000;
-        let rows = [];
-        for (let i = 0; i < ids.length; i += chunkSize) {
-          const chunk = ids.slice(i, i + chunkSize).join(",");
-          const baseUrl =
-            `${supabaseUrl}/rest/v1/sales_report` +
-            `?base_id=eq.${baseId}` +
-            `&record_id=in.(${chunk})` +
-            `&order=date.asc` +
-            `&select=record_id,date,sold`;
-          let offset = 0;
-          while (true) {
-            const response = await fetch(baseUrl + `&limit=${pageSize}&offset=${offset}`, {
-              headers: {
-                apikey: supabaseAnonKey,
-                Authorization: `Bearer ${supabaseAnonKey}`,
-                "Content-Type": "application/json",
-              },
-            });
-            if (!response.ok) {
-              throw new Error(`Erreur Supabase: ${response.status} ${response.statusText}`);
-            }
-            const page = await response.json();
-            rows = rows.concat(page);
-            if (page.length < pageSize) break;
-            offset += pageSize;
-            if (didCancel) return;
-          }
-        }
+        const data = await fetchSalesRows({
+          supabaseUrl,
+          supabaseAnonKey,
+          baseId,
+          recordIds: idsStr.split(","),
+          ignored,
+        });
         if (didCancel) return;
-        const series = cumulativeSoldByWeek(rows, weeks.map((w) => w.endIso));
-        cacheRef.current.set(cacheKey, series);
-        setSoldByRec(series);
+        setRows(data);
         setLoading(false);
       } catch (err) {
         if (!didCancel) {
@@ -109,9 +150,48 @@ export function ArtistsPage({ artists, supabaseUrl, supabaseAnonKey, baseId, onB
     return () => {
       didCancel = true;
     };
-  }, [idsStr, supabaseUrl, supabaseAnonKey, baseId, weeks]);
+  }, [idsStr, supabaseUrl, supabaseAnonKey, baseId, ignored]);
+
+  // Each show's bucket end dates (its own J-x dates when aligned).
+  const targetsByRec = useMemo(() => {
+    const out = {};
+    for (const id in showsById) out[id] = bucketTargets(buckets, showsById[id].dateRepIso);
+    return out;
+  }, [buckets, showsById]);
+
+  // Aligned J-x days still to come are zeroed (blank in the grid and the CSV)
+  // rather than showing today's count ahead of time.
+  const soldByRec = useMemo(() => {
+    const out = cumulativeSoldAt(rows, (rid) => targetsByRec[rid] || null);
+    if (alignment === "aligned") {
+      for (const rid in out) {
+        out[rid] = out[rid].map((v, i) => (targetsByRec[rid][i] <= todayIso ? v : 0));
+      }
+    }
+    return out;
+  }, [rows, targetsByRec, alignment, todayIso]);
+
+  const changeGranularity = (key) => {
+    setGranularity(key);
+    setWindowSize(DEFAULT_WINDOW[key]);
+  };
+
+  // "Rapport hebdomadaire": same artists and rows as the grid, calendar weeks.
+  const exportReport = async (format) => {
+    setExporting(format);
+    try {
+      const report = buildWeeklyReport(artists, reportWeeks, rows);
+      if (format === "xlsx") await downloadWeeklyReportXlsx(report);
+      else await downloadWeeklyReportPdf(report);
+    } catch (err) {
+      setError(`Export impossible : ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
 
-  const minWidth = LABEL_COL + weeks.length * WEEK_COL;
+  const minWidth = LABEL_COL + buckets.length * WEEK_COL;
+  const unit = GRANULARITIES.find((g) => g.key === granularity);
 
   return (
     <div className="p-4 sm:p-6 min-h-screen bg-gray-gray50 dark:bg-gray-gray800 overflow-auto">
@@ -135,26 +215,18 @@ export function ArtistsPage({ artists, supabaseUrl, supabaseAnonKey, baseId, onB
             Chargement des ventes…
           </span>
         )}
-        <div className="ml-auto flex items-center rounded border border-gray-gray200 dark:border-gray-gray500 overflow-hidden">
-          {[
-            { key: "count", label: "Billets" },
-            { key: "pct", label: "% remplissage" },
-          ].map((opt) => (
-            <button
-              key={opt.key}
-              onClick={() => setMode(opt.key)}
-              className={`text-sm font-medium px-2.5 py-1 transition-colors ${
-                mode === opt.key
-                  ? "bg-blue-blue text-white"
-                  : "text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600"
-              }`}
-            >
-              {opt.label}
-            </button>
-          ))}
+        <div className="ml-auto">
+          <SegmentedControl
+            options={[
+              { key: "count", label: "Billets" },
+              { key: "pct", label: "% remplissage" },
+            ]}
+            value={mode}
+            onChange={setMode}
+          />
         </div>
         <button
-          onClick={() => downloadArtistsCsv(artists, weeks, soldByRec, "ventes-par-artistes")}
+          onClick={() => downloadArtistsCsv(artists, buckets, soldByRec, "ventes-par-artistes")}
           disabled={artists.length === 0 || loading}
           className="flex items-center gap-1 text-sm font-medium px-2.5 py-1 rounded border border-gray-gray200 dark:border-gray-gray500
                      text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 transition-colors
@@ -166,6 +238,65 @@ export function ArtistsPage({ artists, supabaseUrl, supabaseAnonKey, baseId, onB
           </svg>
           Exporter CSV
         </button>
+        {[
+          { key: "xlsx", label: "Rapport XLSX" },
+          { key: "pdf", label: "Rapport PDF" },
+        ].map((opt) => (
+          <button
+            key={opt.key}
+            onClick={() => exportReport(opt.key)}
+            disabled={artists.length === 0 || loading || !!exporting}
+            className="flex items-center gap-1 text-sm font-medium px-2.5 py-1 rounded border border-gray-gray200 dark:border-gray-gray500
+                       text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 transition-colors
+                       disabled:opacity-40 disabled:cursor-not-allowed"
+            title={`Rapport hebdomadaire par artiste (cumul, variation, remplissage, revenus) sur ${reportWindow}`}
+          >
+            <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z" />
+              <polyline points="14 2 14 8 20 8" />
+            </svg>
+            {exporting === opt.key ? "Génération…" : opt.label}
+          </button>
+        ))}
+        <span className="text-xs text-gray-gray500 dark:text-gray-gray400">
+          Rapports : {reportWindow}
+        </span>
+      </div>
+
+      {/* Grid window: calendar or per-show J-x columns */}
+      <div className="flex items-center gap-3 mb-4 flex-wrap">
+        <SegmentedControl
+          options={[
+            { key: "calendar", label: "Calendrier" },
+            { key: "aligned", label: "Alignement J-x" },
+          ]}
+          value={alignment}
+          onChange={setAlignment}
+        />
+        <select value={granularity} onChange={(e) => changeGranularity(e.target.value)} className={SELECT_CLASS}>
+          {GRANULARITIES.map((g) => (
+            <option key={g.key} value={g.key}>{g.label}</option>
+          ))}
+        </select>
+        <select
+          value={windowSize}
+          onChange={(e) => setWindowSize(Number(e.target.value))}
+          className={SELECT_CLASS}
+          title={alignment === "aligned" ? "Colonnes avant la date de chaque spectacle" : "Colonnes jusqu'à aujourd'hui"}
+        >
+          {WINDOW_OPTIONS[granularity].map((n) => (
+            <option key={n} value={n}>{n} {unit.plural}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-gray600 dark:text-gray-gray300 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={includePast}
+            onChange={(e) => setIncludePast(e.target.checked)}
+            className="rounded"
+          />
+          Inclure les spectacles passés
+        </label>
       </div>
 
       {error && (
@@ -177,7 +308,7 @@ export function ArtistsPage({ artists, supabaseUrl, supabaseAnonKey, baseId, onB
       {artists.length === 0 ? (
         <div className="flex items-center justify-center h-64">
           <p className="text-sm text-gray-gray500 dark:text-gray-gray400">
-            Aucun spectacle à venir.
+            {includePast ? "Aucun spectacle." : "Aucun spectacle à venir."}
           </p>
         </div>
       ) : (
@@ -196,12 +327,12 @@ export function ArtistsPage({ artists, supabaseUrl, supabaseAnonKey, baseId, onB
                     >
                       {artist.name}
                     </th>
-                    {weeks.map((w) => (
+                    {buckets.map((b) => (
                       <th
-                        key={w.mondayIso}
+                        key={b.key}
                         className="px-2 py-2 font-semibold text-right whitespace-nowrap"
                       >
-                        {formatDate(w.mondayIso)}
+                        {bucketLabel(b, granularity)}
                       </th>
                     ))}
                   </tr>
@@ -211,7 +342,7 @@ export function ArtistsPage({ artists, supabaseUrl, supabaseAnonKey, baseId, onB
                     <Fragment key={spec.id}>
                       <tr className="bg-gray-gray50 dark:bg-gray-gray800">
                         <td
-                          colSpan={weeks.length + 1}
+                          colSpan={buckets.length + 1}
                           className="py-1.5 text-sm font-semibold text-gray-gray600 dark:text-gray-gray300 border-t border-gray-gray100 dark:border-gray-gray600 bg-gray-gray50 dark:bg-gray-gray800"
                         >
                           {/* The cell spans the full table, so `sticky` goes on an inner
@@ -244,11 +375,11 @@ export function ArtistsPage({ artists, supabaseUrl, supabaseAnonKey, baseId, onB
                                 </div>
                               )}
                             </td>
-                            {weeks.map((w, wi) => {
-                              const v = series ? series[wi] : 0;
+                            {buckets.map((b, bi) => {
+                              const v = series ? series[bi] : 0;
                               return (
                                 <td
-                                  key={w.mondayIso}
+                                  key={b.key}
                                   className="px-2 py-2 text-right text-gray-gray700 dark:text-gray-gray200"
                                   style={{ fontVariantNumeric: "tabular-nums" }}
                                 >
@@ -0,0 +1,237 @@
+import { useState, useMemo, useEffect } from "react";
+import { expandRecord } from "@airtable/blocks/interface/ui";
+import { fmtNumber, fmtCurrency, localTodayIso } from "../utils/format";
+import { computeWeekDeltas, lastCompleteWeekBounds } from "../utils/salesData";
+import { cumulativeSoldAt } from "../utils/timeBuckets";
+import { fetchSalesRows, invalidateSalesRows } from "../utils/salesReport";
+import { useIgnoredPoints } from "../hooks/useIgnoredPoints";
+import { ALERT_LEVELS, evaluateSalesAlert } from "../utils/alerts";
+import { useSalesForecast } from "../hooks/useSalesForecast";
+import { SelectBadge } from "./SelectBadge";
+
+// --- "À risque" page: upcoming shows behind their sales objective ---
+// Every upcoming, non-free representation is evaluated by evaluateSalesAlert
+// (cumulative sold vs. the share of its target expected with the days left).
+// Flagged shows are listed with last week's delta and the projected shortfall
+// at the show date (forecast from useSalesForecast).
+
+const TH = "px-3 py-2 sticky top-0 z-10 bg-gray-gray75 dark:bg-gray-gray800 font-semibold";
+
+export function AtRiskPage({ allReps, repRecords, supabaseUrl, supabaseAnonKey, baseId, onBack }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [showOk, setShowOk] = useState(false);
+
+  const todayIso = useMemo(() => localTodayIso(), []);
+
+  const upcoming = useMemo(
+    () => allReps.filter((r) => r.dateRepIso && r.dateRepIso >= todayIso && !r.isFree),
+    [allReps, todayIso],
+  );
+  const idsStr = useMemo(() => upcoming.map((r) => r.id).sort().join(","), [upcoming]);
+
+  const { ignored } = useIgnoredPoints();
+
+  useEffect(() => {
+    if (!supabaseUrl || !supabaseAnonKey || !idsStr) {
+      setRows([]);
+      return;
+    }
+    let didCancel = false;
+    const run = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await fetchSalesRows({
+          supabaseUrl,
+          supabaseAnonKey,
+          baseId,
+          recordIds: idsStr.split(","),
+          ignored,
+        });
+        if (didCancel) return;
+        setRows(data);
+        setLoading(false);
+      } catch (err) {
+        if (!didCancel) {
+          setError(err.message);
+          setLoading(false);
+        }
+      }
+    };
+    run();
+    return () => {
+      didCancel = true;
+    };
+  }, [idsStr, supabaseUrl, supabaseAnonKey, baseId, ignored, refreshKey]);
+
+  const { forecasts } = useSalesForecast({
+    reps: upcoming,
+    allReps,
+    supabaseUrl,
+    supabaseAnonKey,
+    baseId,
+    refreshKey,
+  });
+
+  const weekDeltas = useMemo(() => {
+    if (!rows.length) return {};
+    const { start, end } = lastCompleteWeekBounds();
+    return computeWeekDeltas(rows, start, end);
+  }, [rows]);
+
+  const soldNow = useMemo(() => cumulativeSoldAt(rows, () => [todayIso]), [rows, todayIso]);
+
+  // Every evaluated show, most urgent first (level, then days left).
+  const alerts = useMemo(() => {
+    return upcoming
+      .map((rep) => {
+        // Net price from the sales rows, else from the Airtable totals.
+        const price =
+          weekDeltas[rep.id]?.price ??
+          (rep.colRevenus && rep.colTotalBilletsVendus
+            ? rep.colRevenus / rep.colTotalBilletsVendus
+            : null);
+        const sold = soldNow[rep.id] ? soldNow[rep.id][0] : rep.colTotalBilletsVendus || 0;
+        const alert = evaluateSalesAlert({
+          rep,
+          sold,
+          price,
+          forecast: forecasts[rep.id],
+          todayIso,
+        });
+        return alert ? { rep, ...alert } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.level.rank - b.level.rank || a.daysLeft - b.daysLeft);
+  }, [upcoming, weekDeltas, soldNow, forecasts, todayIso]);
+
+  const counts = useMemo(() => {
+    const c = { late: 0, watch: 0, ok: 0 };
+    alerts.forEach((a) => (c[a.level.key] += 1));
+    return c;
+  }, [alerts]);
+
+  const visible = showOk ? alerts : alerts.filter((a) => a.level !== ALERT_LEVELS.ok);
+
+  const openRecord = (repId) => {
+    const record = repRecords && repRecords.find((r) => r.id === repId);
+    if (record) expandRecord(record);
+  };
+
+  return (
+    <div className="p-4 sm:p-6 min-h-screen bg-gray-gray50 dark:bg-gray-gray800 overflow-auto">
+      <div className="flex items-center gap-3 mb-5 flex-wrap">
+        <button
+          onClick={onBack}
+          className="flex items-center gap-1 text-sm font-medium text-blue-blue hover:text-blue-blueDark1
+                     dark:text-blue-blueLight1 dark:hover:text-blue-blueLight2 transition-colors"
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+          Retour
+        </button>
+        <h2 className="text-xl font-display font-bold text-gray-gray700 dark:text-gray-gray200">
+          À risque
+        </h2>
+        {loading && (
+          <span className="flex items-center gap-2 text-sm text-gray-gray500 dark:text-gray-gray400">
+            <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-blue"></span>
+            Chargement des ventes…
+          </span>
+        )}
+        <div className="ml-auto flex items-center gap-3">
+          {[ALERT_LEVELS.late, ALERT_LEVELS.watch, ALERT_LEVELS.ok].map((lvl) => (
+            <span key={lvl.key} className="flex items-center gap-1 text-sm text-gray-gray600 dark:text-gray-gray300">
+              <SelectBadge value={{ text: lvl.label, color: lvl.color }} />
+              {counts[lvl.key]}
+            </span>
+          ))}
+          <label className="flex items-center gap-2 text-xs text-gray-gray500 dark:text-gray-gray400 cursor-pointer select-none">
+            <input
+              type="checkbox"
+              checked={showOk}
+              onChange={(e) => setShowOk(e.target.checked)}
+              className="rounded"
+            />
+            Afficher les spectacles OK
+          </label>
+          <button
+            onClick={() => {
+              invalidateSalesRows();
+              setRefreshKey((k) => k + 1);
+            }}
+            title="Rafraîchir les données"
+            className="px-2 py-0.5 rounded text-xs font-medium transition-colors bg-gray-gray100 dark:bg-gray-gray600 text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray200 dark:hover:bg-gray-gray500"
+          >
+            ↺
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-white dark:bg-gray-gray700 rounded-lg p-3 mb-4 shadow-sm text-sm text-red-red dark:text-red-redLight1">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm overflow-hidden border border-gray-gray100 dark:border-gray-gray600">
+        <div style={{ overflow: "auto", maxHeight: "88vh" }}>
+          <table className="w-full text-sm text-gray-gray700 dark:text-gray-gray200" style={{ minWidth: 1300 }}>
+            <thead>
+              <tr className="text-gray-gray600 dark:text-gray-gray300 text-left text-xs">
+                <th className={TH}>Statut</th>
+                <th className={TH}>Spectacle</th>
+                <th className={`${TH} whitespace-nowrap`}>Date</th>
+                <th className={TH}>Salle</th>
+                <th className={TH}>Ville</th>
+                <th className={`${TH} text-right`}>J. restants</th>
+                <th className={`${TH} text-right`}>Vendus</th>
+                <th className={`${TH} text-right`} title="Part de l'objectif attendue à ce jour">Attendu</th>
+                <th className={`${TH} text-right`} title="Objectif revenus converti en billets (plafonné à la capacité)">Objectif</th>
+                <th className={`${TH} text-right`} title="Dernière semaine complète (lundi → lundi)">Vendus (sem.)</th>
+                <th className={`${TH} text-right`}>Projection</th>
+                <th className={`${TH} text-right`}>Manque projeté</th>
+                <th className={`${TH} text-right`}>Manque projeté ($)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((a) => (
+                <tr
+                  key={a.rep.id}
+                  onClick={() => openRecord(a.rep.id)}
+                  title="Ouvrir la fiche de l'evenement"
+                  className="border-t border-gray-gray100 dark:border-gray-gray600 transition-colors cursor-pointer hover:bg-gray-gray25 dark:hover:bg-gray-gray600"
+                >
+                  <td className="px-3 py-2"><SelectBadge value={{ text: a.level.label, color: a.level.color }} /></td>
+                  <td className="px-3 py-2 font-medium text-gray-gray800 dark:text-gray-gray100">{a.rep.spectacleName || "—"}</td>
+                  <td className="px-3 py-2 whitespace-nowrap">{a.rep.colDateRep || a.rep.dateRepIso}</td>
+                  <td className="px-3 py-2">{a.rep.colSalle}</td>
+                  <td className="px-3 py-2">{a.rep.colVille}</td>
+                  <td className="px-3 py-2 text-right">{fmtNumber(a.daysLeft)}</td>
+                  <td className="px-3 py-2 text-right">{fmtNumber(a.sold)}</td>
+                  <td className="px-3 py-2 text-right">{fmtNumber(a.expected)}</td>
+                  <td className="px-3 py-2 text-right">{fmtNumber(a.target)}</td>
+                  <td className="px-3 py-2 text-right">{fmtNumber(weekDeltas[a.rep.id]?.sold)}</td>
+                  <td className="px-3 py-2 text-right">{fmtNumber(a.projected)}</td>
+                  <td className="px-3 py-2 text-right">{a.shortfall ? `−${fmtNumber(a.shortfall)}` : fmtNumber(a.shortfall)}</td>
+                  <td className="px-3 py-2 text-right">{fmtCurrency(a.shortfallRevenue != null ? Math.round(a.shortfallRevenue) : null)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {visible.length === 0 && (
+          <div className="flex items-center justify-center py-8">
+            <p className="text-sm text-gray-gray500 dark:text-gray-gray400">
+              {loading ? "Analyse des ventes…" : "Aucun spectacle en retard."}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
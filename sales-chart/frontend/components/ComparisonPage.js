@@ -0,0 +1,358 @@
+import { useState, useMemo, useEffect } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import {
+  aggregateSalesByDate,
+  alignSalesOnShowDate,
+  mergeAlignedSeries,
+} from "../utils/salesData";
+import { fetchSalesRows } from "../utils/salesReport";
+import { useIgnoredPoints } from "../hooks/useIgnoredPoints";
+import { localTodayIso } from "../utils/format";
+
+// --- Comparison page: sales curves overlaid on days-before-show (J-x) ---
+// The user picks 2–6 spectacles or representations. Each representation's
+// aggregateSalesByDate() series is re-keyed on its own show date, then a
+// spectacle's representations are merged (mergeAlignedSeries), so a new tour
+// can be read against a previous one regardless of calendar dates. The fill
+// mode normalises each curve by the capacity of the representations counted.
+
+const MIN_ITEMS = 2;
+const MAX_ITEMS = 6;
+const HORIZONS = [30, 60, 90, 180, 365];
+const SERIES_COLORS = ["#3b82f6", "#e69138", "#6aa84f", "#cc0000", "#8b46ff", "#18bfff"];
+
+const repLabel = (rep) =>
+  [rep.spectacleName, rep.dateRepIso || rep.colDateRep, rep.colVille].filter(Boolean).join(" — ");
+
+export function ComparisonPage({ spectacles, allReps, supabaseUrl, supabaseAnonKey, baseId, onBack }) {
+  const [kind, setKind] = useState("spectacle"); // "spectacle" | "rep"
+  const [selected, setSelected] = useState([]);
+  const [search, setSearch] = useState("");
+  const [horizon, setHorizon] = useState(90);
+  const [mode, setMode] = useState("count"); // "count" | "pct"
+  const [rowsByRec, setRowsByRec] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const todayIso = useMemo(() => localTodayIso(), []);
+
+  const datedReps = useMemo(() => allReps.filter((r) => r.dateRepIso), [allReps]);
+
+  // Pickable options for the current kind: { id, label, reps }.
+  const options = useMemo(() => {
+    if (kind === "rep") {
+      return datedReps.map((r) => ({ id: r.id, label: repLabel(r), reps: [r] }));
+    }
+    return spectacles
+      .map((s) => ({
+        id: s.id,
+        label: s.name,
+        reps: datedReps.filter((r) => r.spectacleIds.includes(s.id)),
+      }))
+      .filter((o) => o.reps.length > 0);
+  }, [kind, spectacles, datedReps]);
+
+  const filteredOptions = useMemo(() => {
+    if (!search) return options;
+    const lower = search.toLowerCase();
+    return options.filter((o) => o.label.toLowerCase().includes(lower));
+  }, [options, search]);
+
+  const selectedItems = useMemo(
+    () => selected.map((id) => options.find((o) => o.id === id)).filter(Boolean),
+    [selected, options],
+  );
+
+  const idsStr = useMemo(() => {
+    const ids = new Set();
+    selectedItems.forEach((item) => item.reps.forEach((r) => ids.add(r.id)));
+    return [...ids].sort().join(",");
+  }, [selectedItems]);
+
+  const { ignored } = useIgnoredPoints();
+
+  useEffect(() => {
+    if (!supabaseUrl || !supabaseAnonKey || !idsStr) {
+      setRowsByRec({});
+      return;
+    }
+    let didCancel = false;
+    const run = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const rows = await fetchSalesRows({
+          supabaseUrl,
+          supabaseAnonKey,
+          baseId,
+          recordIds: idsStr.split(","),
+          ignored,
+        });
+        if (didCancel) return;
+        const grouped = {};
+        rows.forEach((r) => {
+          (grouped[r.record_id] = grouped[r.record_id] || []).push(r);
+        });
+        setRowsByRec(grouped);
+        setLoading(false);
+      } catch (err) {
+        if (!didCancel) {
+          setError(err.message);
+          setLoading(false);
+        }
+      }
+    };
+    run();
+    return () => {
+      didCancel = true;
+    };
+  }, [idsStr, supabaseUrl, supabaseAnonKey, baseId, ignored]);
+
+  // One merged J-x curve per selected item.
+  const curves = useMemo(
+    () =>
+      selectedItems.map((item) =>
+        mergeAlignedSeries(
+          item.reps.map((rep) => ({
+            ...alignSalesOnShowDate(
+              aggregateSalesByDate(rowsByRec[rep.id] || []),
+              rep.dateRepIso,
+              rep.dateRepIso < todayIso,
+            ),
+            capacity: rep.capacity,
+          })),
+          horizon,
+        ),
+      ),
+    [selectedItems, rowsByRec, horizon, todayIso],
+  );
+
+  // Recharts rows: x = -daysBefore so J-0 sits on the right edge.
+  const chartData = useMemo(() => {
+    const rows = [];
+    for (let x = horizon; x >= 0; x--) rows.push({ x: -x });
+    curves.forEach((curve, i) => {
+      curve.forEach((p) => {
+        const v = mode === "pct" ? (p.fill != null ? p.fill * 100 : null) : p.ventes;
+        rows[horizon - p.x][`s${i}`] = v;
+      });
+    });
+    return rows;
+  }, [curves, horizon, mode]);
+
+  const toggle = (id) => {
+    setSelected((prev) =>
+      prev.includes(id)
+        ? prev.filter((x) => x !== id)
+        : prev.length < MAX_ITEMS
+          ? [...prev, id]
+          : prev,
+    );
+  };
+
+  const switchKind = (next) => {
+    if (next === kind) return;
+    setKind(next);
+    setSelected([]);
+  };
+
+  const btnBase = "px-2 py-0.5 rounded text-xs font-medium transition-colors";
+  const btnActive = "bg-blue-blue text-white";
+  const btnInactive =
+    "bg-gray-gray100 dark:bg-gray-gray600 text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray200 dark:hover:bg-gray-gray500";
+  const fmtValue = (v) =>
+    mode === "pct"
+      ? `${Number(v).toLocaleString("fr-FR", { maximumFractionDigits: 1 })} %`
+      : Number(v).toLocaleString("fr-FR", { maximumFractionDigits: 0 });
+
+  return (
+    <div className="p-4 sm:p-6 min-h-screen bg-gray-gray50 dark:bg-gray-gray800 overflow-auto">
+      <div className="flex items-center gap-3 mb-5 flex-wrap">
+        <button
+          onClick={onBack}
+          className="flex items-center gap-1 text-sm font-medium text-blue-blue hover:text-blue-blueDark1
+                     dark:text-blue-blueLight1 dark:hover:text-blue-blueLight2 transition-colors"
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+          Retour
+        </button>
+        <h2 className="text-xl font-display font-bold text-gray-gray700 dark:text-gray-gray200">
+          Comparer les ventes
+        </h2>
+        {loading && (
+          <span className="flex items-center gap-2 text-sm text-gray-gray500 dark:text-gray-gray400">
+            <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-blue"></span>
+            Chargement des ventes…
+          </span>
+        )}
+      </div>
+
+      <div className="flex gap-5">
+        {/* Picker */}
+        <div style={{ width: 300, flexShrink: 0 }}>
+          <div className="flex items-center gap-1 mb-2">
+            <button
+              onClick={() => switchKind("spectacle")}
+              className={`${btnBase} ${kind === "spectacle" ? btnActive : btnInactive}`}
+            >
+              Spectacles
+            </button>
+            <button
+              onClick={() => switchKind("rep")}
+              className={`${btnBase} ${kind === "rep" ? btnActive : btnInactive}`}
+            >
+              Représentations
+            </button>
+            <span className="ml-auto text-xs text-gray-gray500 dark:text-gray-gray400">
+              {selected.length}/{MAX_ITEMS}
+            </span>
+          </div>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Rechercher..."
+            className="w-full mb-2 text-sm rounded border border-gray-gray200 dark:border-gray-gray500 bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray200"
+            style={{ padding: "4px 8px" }}
+          />
+          <div
+            className="bg-white dark:bg-gray-gray700 rounded-lg border border-gray-gray100 dark:border-gray-gray600 shadow-sm overflow-auto"
+            style={{ maxHeight: 480 }}
+          >
+            {filteredOptions.map((o) => {
+              const idx = selected.indexOf(o.id);
+              const disabled = idx < 0 && selected.length >= MAX_ITEMS;
+              return (
+                <label
+                  key={o.id}
+                  className={`flex items-center gap-2 px-3 py-1.5 text-sm border-t border-gray-gray100 dark:border-gray-gray600 first:border-t-0
+                              ${disabled ? "opacity-40 cursor-not-allowed" : "cursor-pointer hover:bg-gray-gray25 dark:hover:bg-gray-gray600"}
+                              text-gray-gray700 dark:text-gray-gray200`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={idx >= 0}
+                    disabled={disabled}
+                    onChange={() => toggle(o.id)}
+                    className="rounded"
+                  />
+                  {idx >= 0 && (
+                    <span
+                      className="inline-block rounded-full"
+                      style={{ width: 8, height: 8, backgroundColor: SERIES_COLORS[idx], flexShrink: 0 }}
+                    />
+                  )}
+                  <span className="truncate">{o.label}</span>
+                </label>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Chart */}
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between gap-2 mb-2 flex-wrap">
+            <div className="flex items-center gap-1">
+              {HORIZONS.map((h) => (
+                <button
+                  key={h}
+                  onClick={() => setHorizon(h)}
+                  className={`${btnBase} ${horizon === h ? btnActive : btnInactive}`}
+                >
+                  J-{h}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-1">
+              {[
+                { key: "count", label: "Billets" },
+                { key: "pct", label: "% remplissage" },
+              ].map((opt) => (
+                <button
+                  key={opt.key}
+                  onClick={() => setMode(opt.key)}
+                  className={`${btnBase} ${mode === opt.key ? btnActive : btnInactive}`}
+                >
+                  {opt.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {error && (
+            <div className="bg-white dark:bg-gray-gray700 rounded-lg p-3 mb-4 shadow-sm text-sm text-red-red dark:text-red-redLight1">
+              {error}
+            </div>
+          )}
+
+          <div className="bg-white dark:bg-gray-gray700 rounded-lg p-4 shadow-sm">
+            {selectedItems.length < MIN_ITEMS ? (
+              <div className="flex items-center justify-center" style={{ height: 420 }}>
+                <p className="text-sm text-gray-gray500 dark:text-gray-gray400">
+                  Sélectionnez de {MIN_ITEMS} à {MAX_ITEMS} éléments à comparer.
+                </p>
+              </div>
+            ) : (
+              <div style={{ width: "100%", height: 420 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData} margin={{ top: 10, right: 30, bottom: 5, left: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e8e8e8" vertical={false} />
+                    <XAxis
+                      dataKey="x"
+                      type="number"
+                      domain={[-horizon, 0]}
+                      tick={{ fontSize: 10 }}
+                      tickFormatter={(v) => `J-${Math.abs(v)}`}
+                    />
+                    <YAxis
+                      tick={{ fontSize: 10 }}
+                      domain={mode === "pct" ? [0, 100] : [0, "auto"]}
+                      tickFormatter={(v) =>
+                        mode === "pct" ? `${v} %` : v >= 1000 ? `${Math.round(v / 100) / 10}k` : Math.round(v)
+                      }
+                    />
+                    <Tooltip
+                      contentStyle={{
+                        fontSize: 12,
+                        borderRadius: 8,
+                        border: "1px solid #e0e0e0",
+                        boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+                      }}
+                      labelFormatter={(v) => `J-${Math.abs(v)}`}
+                      formatter={(value, name) => [fmtValue(value), name]}
+                    />
+                    <Legend wrapperStyle={{ fontSize: 11, paddingTop: 8 }} />
+                    {selectedItems.map((item, i) => (
+                      <Line
+                        key={item.id}
+                        type="monotone"
+                        dataKey={`s${i}`}
+                        name={item.label}
+                        stroke={SERIES_COLORS[i]}
+                        strokeWidth={2}
+                        dot={false}
+                        activeDot={{ r: 4 }}
+                        isAnimationActive={false}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { useState } from "react";
+import { fmtNumber, fmtCurrency, formatDate } from "../utils/format";
+import { ANOMALY_KINDS, ANOMALY_METRICS, pointKey } from "../utils/anomalies";
+import { SelectBadge } from "./SelectBadge";
+
+// --- "Qualité des données" panel (detail page) ---
+// Lists detectAnomalies() output for the filtered representations. Dips and
+// spikes can be marked "ignorée": the point (that representation's report for
+// the day) is then left out of the chart and KPIs. Gaps are informational.
+// Collapsed by default; the header shows the count still to review.
+
+const TH = "px-3 py-2 bg-gray-gray75 dark:bg-gray-gray800 font-semibold";
+const BTN_CLASS =
+  "text-xs font-medium px-2 py-0.5 rounded border border-gray-gray200 dark:border-gray-gray500 " +
+  "text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 transition-colors";
+
+function formatMagnitude(a) {
+  if (a.kind === "gap") return `${a.magnitude} j sans rapport`;
+  const fmt = a.metric === "total" ? fmtCurrency : fmtNumber;
+  return `${a.kind === "dip" ? "−" : "+"}${fmt(Math.round(a.magnitude))}`;
+}
+
+export function DataQualityPanel({ anomalies, repsById, ignored, canEdit, onToggle }) {
+  const [open, setOpen] = useState(false);
+  const [showIgnored, setShowIgnored] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isIgnored = (a) => a.kind !== "gap" && ignored.has(pointKey(a.recordId, a.date));
+  const pending = anomalies.filter((a) => !isIgnored(a));
+  const visible = showIgnored ? anomalies : pending;
+
+  const toggle = async (a) => {
+    setBusyId(a.id);
+    setError(null);
+    try {
+      await onToggle(a.recordId, a.date);
+    } catch (err) {
+      setError(err.message || "Erreur d'enregistrement");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!anomalies.length) return null;
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center gap-3 mb-2">
+        <button
+          onClick={() => setOpen((o) => !o)}
+          className="text-sm font-semibold text-gray-gray600 dark:text-gray-gray300 hover:text-gray-gray800 dark:hover:text-gray-gray100"
+        >
+          {open ? "▾" : "▸"} Qualité des données ({pending.length} à vérifier
+          {anomalies.length !== pending.length ? `, ${anomalies.length - pending.length} ignorée(s)` : ""})
+        </button>
+        {open && (
+          <label className="flex items-center gap-2 text-xs text-gray-gray500 dark:text-gray-gray400 cursor-pointer select-none">
+            <input
+              type="checkbox"
+              checked={showIgnored}
+              onChange={(e) => setShowIgnored(e.target.checked)}
+              className="rounded"
+            />
+            Afficher les points ignorés
+          </label>
+        )}
+        {error && <span className="text-xs text-red-red dark:text-red-redLight1">{error}</span>}
+      </div>
+      {open && (
+        <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm overflow-hidden border border-gray-gray100 dark:border-gray-gray600">
+          <div style={{ overflow: "auto", maxHeight: 360 }}>
+            <table className="w-full text-sm text-gray-gray700 dark:text-gray-gray200">
+              <thead>
+                <tr className="text-gray-gray600 dark:text-gray-gray300 text-left text-xs">
+                  <th className={TH}>Représentation</th>
+                  <th className={TH}>Date du rapport</th>
+                  <th className={TH}>Type</th>
+                  <th className={TH}>Mesure</th>
+                  <th className={`${TH} text-right`}>Ampleur</th>
+                  <th className={`${TH} text-right`}>Valeur / attendu</th>
+                  <th className={TH}>Correction</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((a) => {
+                  const rep = repsById[a.recordId];
+                  const fmt = a.metric === "total" ? fmtCurrency : fmtNumber;
+                  const entry = isIgnored(a) ? ignored.get(pointKey(a.recordId, a.date)) : null;
+                  return (
+                    <tr
+                      key={a.id}
+                      className={`border-t border-gray-gray100 dark:border-gray-gray600 ${entry ? "opacity-60" : ""}`}
+                    >
+                      <td className="px-3 py-2">
+                        {rep ? [rep.colDateRep, rep.colSalle, rep.colVille].filter(Boolean).join(" · ") : a.recordId}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {formatDate(a.date)}
+                        {a.until ? ` → ${formatDate(a.until)}` : ""}
+                      </td>
+                      <td className="px-3 py-2">
+                        <SelectBadge value={{ text: ANOMALY_KINDS[a.kind].label, color: ANOMALY_KINDS[a.kind].color }} />
+                      </td>
+                      <td className="px-3 py-2">{a.metric ? ANOMALY_METRICS[a.metric] : "—"}</td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">{formatMagnitude(a)}</td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        {a.kind === "gap" ? "—" : `${fmt(Math.round(a.value))} / ${fmt(Math.round(a.expected))}`}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {a.kind !== "gap" && canEdit && (
+                          <button onClick={() => toggle(a)} disabled={busyId === a.id} className={BTN_CLASS}>
+                            {entry ? "Rétablir" : "Ignorer"}
+                          </button>
+                        )}
+                        {entry && (
+                          <span className="ml-2 text-xs text-gray-gray500 dark:text-gray-gray400">
+                            Ignoré{entry.by ? ` par ${entry.by}` : ""}
+                            {entry.at ? ` le ${formatDate(entry.at.slice(0, 10))}` : ""}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {visible.length === 0 && (
+            <div className="flex items-center justify-center py-6">
+              <p className="text-sm text-gray-gray500 dark:text-gray-gray400">Aucune anomalie à vérifier.</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
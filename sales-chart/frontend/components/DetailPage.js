@@ -1,46 +1,89 @@
-import { useState, useMemo, useEffect, useRef } from "react";
+import { useState, useMemo, useEffect } from "react";
 import { PRESETS } from "../utils/constants";
-import { defaultDateRange } from "../utils/format";
+import { defaultDateRange, formatDate, localTodayIso, presetRange } from "../utils/format";
 import {
   aggregateSalesByDate,
   lastCompleteWeekBounds,
   computeWeekDeltas,
   buildObjectiveSeries,
 } from "../utils/salesData";
+import { fetchSalesRows, invalidateSalesRows, mergeSalesRows } from "../utils/salesReport";
+import { aggregateForecastDeltas } from "../utils/forecast";
+import {
+  aggregateChannelsByDate,
+  hasBreakdown,
+  latestBreakdownByRecord,
+  sumBreakdowns,
+} from "../utils/breakdown";
+import { newViewId, viewDateRange } from "../utils/savedViews";
+import { detectAnomalies, withoutIgnored } from "../utils/anomalies";
+import { actualsAt, objectiveGaps, objectiveSeries, sumGaps } from "../utils/objectives";
 import { useRepFilters } from "../hooks/useRepFilters";
+import { useSalesForecast } from "../hooks/useSalesForecast";
+import { useIgnoredPoints } from "../hooks/useIgnoredPoints";
+import { useLiveSales } from "../hooks/useLiveSales";
 import { SalesChart } from "./SalesChart";
 import { RepresentationsTable } from "./RepresentationsTable";
+import { SalesBreakdownTable } from "./SalesBreakdownTable";
+import { SavedViewsMenu } from "./SavedViewsMenu";
+import { DataQualityPanel } from "./DataQualityPanel";
+import { ObjectiveGapTable } from "./ObjectiveGapTable";
 
 // --- Detail Page ---
 
+const LIVE_MODE_LABELS = {
+  realtime: "Direct (temps réel)",
+  polling: "Direct (toutes les 30 s)",
+  offline: "Direct en pause : hors ligne",
+};
+
 export function DetailPage({
   spectacle,
   representations,
+  allReps,
   spectacleKPIs,
   supabaseUrl,
   supabaseAnonKey,
   baseId,
   onBack,
   repRecords,
+  milestones = null,
+  initialView = null,
+  savedViews,
+  onApplyView,
 }) {
-  const [selectedRepIds, setSelectedRepIds] = useState(new Set());
-  const [salesData, setSalesData] = useState([]);
+  // A restored saved view seeds the filters below; the page is remounted
+  // (keyed in App) whenever another view is applied.
+  const [activeView, setActiveView] = useState(initialView);
+  const [selectedRepIds, setSelectedRepIds] = useState(() => {
+    if (!initialView) return new Set();
+    const known = new Set(representations.map((r) => r.id));
+    return new Set(initialView.selectedRepIds.filter((id) => known.has(id)));
+  });
+  const [chartRows, setChartRows] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [dateFrom, setDateFrom] = useState(() => defaultDateRange().from);
-  const [dateTo, setDateTo] = useState(() => defaultDateRange().to);
+  const [initialRange] = useState(() =>
+    initialView ? viewDateRange(initialView) : defaultDateRange(),
+  );
+  const [dateFrom, setDateFrom] = useState(initialRange.from);
+  const [dateTo, setDateTo] = useState(initialRange.to);
   const [refreshKey, setRefreshKey] = useState(0);
-  const [salesRows, setSalesRows] = useState([]);
-  const cacheRef = useRef(new Map());
+  const [rawSalesRows, setRawSalesRows] = useState([]);
+  const [showProjection, setShowProjection] = useState(true);
+  const [chartVariant, setChartVariant] = useState("lines"); // "lines" | "channels"
+  const [live, setLive] = useState(false);
 
   // City/venue/status filtering (shared with the all-events page)
   const {
     showAll, setShowAll,
     filterVille, setFilterVille,
     filterSalle, setFilterSalle,
+    filterGroup, setFilterGroup,
     uniqueVilles, uniqueSalles,
+    filterOptions,
     filteredReps,
-  } = useRepFilters(representations);
+  } = useRepFilters(representations, initialView);
 
   // Stable string of selected rep IDs for useEffect dependency
   const selectedRepIdsStr = useMemo(
@@ -54,81 +97,32 @@ export function DetailPage({
     [filteredReps],
   );
 
-  // Fetch sales data from Supabase (total or individual)
+  // Chart series: the aggregate of the selected reps, or of every filtered rep
+  // when nothing is selected. Rows come from the shared sales_report cache, so
+  // the raw-rows effect below reuses the same download.
   useEffect(() => {
-    if (!supabaseUrl || !supabaseAnonKey) {
-      setSalesData([]);
-      setLoading(false);
-      setError(null);
-      return;
-    }
-
     const isAllMode = selectedRepIdsStr === "";
     const idsToFetch = isAllMode ? allRepIds : selectedRepIdsStr;
-    if (!idsToFetch) {
-      setSalesData([]);
+    if (!supabaseUrl || !supabaseAnonKey || !idsToFetch) {
+      setChartRows([]);
+      setLoading(false);
+      setError(null);
       return;
     }
-
-    const today = new Date().toISOString().split("T")[0];
-    const cacheKey = isAllMode ? `all_${allRepIds}_${today}_${refreshKey}` : `multi_${selectedRepIdsStr}_${today}_${refreshKey}`;
     let didCancel = false;
 
     const fetchSales = async () => {
-      if (cacheRef.current.has(cacheKey)) {
-        if (!didCancel) {
-          setSalesData(cacheRef.current.get(cacheKey));
-          setLoading(false);
-        }
-        return;
-      }
-
       setLoading(true);
       setError(null);
-
       try {
-        const filter = `record_id=in.(${idsToFetch})`;
-
-        const baseUrl =
-          `${supabaseUrl}/rest/v1/sales_report` +
-          `?base_id=eq.${baseId}` +
-          `&${filter}` +
-          `&order=date.asc` +
-          `&select=record_id,date,sold,free,total`;
-
-        // Paginate to fetch all rows (Supabase caps at 1000 per request)
-        let data = [];
-        let offset = 0;
-        const pageSize = 1000;
-        while (true) {
-          const response = await fetch(
-            baseUrl + `&limit=${pageSize}&offset=${offset}`,
-            {
-              headers: {
-                apikey: supabaseAnonKey,
-                Authorization: `Bearer ${supabaseAnonKey}`,
-                "Content-Type": "application/json",
-              },
-            },
-          );
-
-          if (!response.ok) {
-            throw new Error(
-              `Erreur Supabase: ${response.status} ${response.statusText}`,
-            );
-          }
-
-          const page = await response.json();
-          data = data.concat(page);
-          if (page.length < pageSize) break;
-          offset += pageSize;
-          if (didCancel) return;
-        }
-
+        const rows = await fetchSalesRows({
+          supabaseUrl,
+          supabaseAnonKey,
+          baseId,
+          recordIds: idsToFetch.split(","),
+        });
         if (!didCancel) {
-          const formatted = aggregateSalesByDate(data);
-          cacheRef.current.set(cacheKey, formatted);
-          setSalesData(formatted);
+          setChartRows(rows);
           setLoading(false);
         }
       } catch (err) {
@@ -146,58 +140,110 @@ export function DetailPage({
     };
   }, [selectedRepIdsStr, supabaseUrl, supabaseAnonKey, baseId, allRepIds, refreshKey]);
 
+  // Points marked "ignorée" in the data-quality panel are dropped everywhere
+  // below (chart, KPIs, weekly columns); detection runs on the raw rows.
+  const allRepIdSet = useMemo(() => new Set(allReps.map((r) => r.id)), [allReps]);
+  const { ignored, canEdit: canIgnore, toggle: toggleIgnored } = useIgnoredPoints(allRepIdSet);
+  const cleanChartRows = useMemo(() => withoutIgnored(chartRows, ignored), [chartRows, ignored]);
+  const salesData = useMemo(() => aggregateSalesByDate(cleanChartRows), [cleanChartRows]);
+  const channelsByDate = useMemo(() => aggregateChannelsByDate(cleanChartRows), [cleanChartRows]);
+
   // Raw per-representation sales rows for all filtered reps (regardless of chart
   // selection). Used to derive both the weekly table columns and the period KPI
   // revenue (priced via average net price, consistent with the columns).
   useEffect(() => {
     if (!supabaseUrl || !supabaseAnonKey || !allRepIds) {
-      setSalesRows([]);
+      setRawSalesRows([]);
       return;
     }
     let didCancel = false;
-    const run = async () => {
-      try {
-        const ids = allRepIds.split(",");
-        const chunkSize = 150;
-        const pageSize = 1000;
-        let rows = [];
-        for (let i = 0; i < ids.length; i += chunkSize) {
-          const chunk = ids.slice(i, i + chunkSize).join(",");
-          const url =
-            `${supabaseUrl}/rest/v1/sales_report` +
-            `?base_id=eq.${baseId}` +
-            `&record_id=in.(${chunk})` +
-            `&order=date.asc` +
-            `&select=record_id,date,sold,total`;
-          let offset = 0;
-          while (true) {
-            const resp = await fetch(url + `&limit=${pageSize}&offset=${offset}`, {
-              headers: {
-                apikey: supabaseAnonKey,
-                Authorization: `Bearer ${supabaseAnonKey}`,
-                "Content-Type": "application/json",
-              },
-            });
-            if (!resp.ok) throw new Error(`Supabase ${resp.status}`);
-            const page = await resp.json();
-            rows = rows.concat(page);
-            if (page.length < pageSize) break;
-            offset += pageSize;
-            if (didCancel) return;
-          }
-        }
-        if (didCancel) return;
-        setSalesRows(rows);
-      } catch {
-        if (!didCancel) setSalesRows([]);
-      }
-    };
-    run();
+    fetchSalesRows({
+      supabaseUrl,
+      supabaseAnonKey,
+      baseId,
+      recordIds: allRepIds.split(","),
+    })
+      .then((rows) => {
+        if (!didCancel) setRawSalesRows(rows);
+      })
+      .catch(() => {
+        if (!didCancel) setRawSalesRows([]);
+      });
     return () => {
       didCancel = true;
     };
   }, [allRepIds, supabaseUrl, supabaseAnonKey, baseId, refreshKey]);
 
+  // Live mode: new or updated rows for the filtered reps are merged into both
+  // row sets (the chart's only for the reps it shows) instead of refetching.
+  const liveSales = useLiveSales({
+    enabled: live,
+    supabaseUrl,
+    supabaseAnonKey,
+    baseId,
+    recordIds: allRepIds,
+    onRows: (rows) => {
+      const chartIds = new Set(selectedRepIdsStr ? selectedRepIdsStr.split(",") : allRepIds.split(","));
+      const forChart = rows.filter((r) => chartIds.has(r.record_id));
+      if (forChart.length) setChartRows((prev) => mergeSalesRows(prev, forChart));
+      setRawSalesRows((prev) => mergeSalesRows(prev, rows));
+    },
+  });
+
+  const salesRows = useMemo(() => withoutIgnored(rawSalesRows, ignored), [rawSalesRows, ignored]);
+  const anomalies = useMemo(() => detectAnomalies(rawSalesRows), [rawSalesRows]);
+  const repsById = useMemo(
+    () => Object.fromEntries(filteredReps.map((r) => [r.id, r])),
+    [filteredReps],
+  );
+
+  // Projected final sold per upcoming rep (own pace + comparable past shows
+  // drawn from every event, not just this spectacle's).
+  const { forecasts } = useSalesForecast({
+    reps: filteredReps,
+    allReps,
+    supabaseUrl,
+    supabaseAnonKey,
+    baseId,
+    refreshKey,
+  });
+
+  // Channel / price-tier breakdown (optional sales_report columns). Everything
+  // breakdown-related stays hidden when the project doesn't report them.
+  const breakdownAvailable = useMemo(() => hasBreakdown(salesRows), [salesRows]);
+  const breakdownByRec = useMemo(
+    () => (breakdownAvailable ? latestBreakdownByRecord(salesRows) : null),
+    [salesRows, breakdownAvailable],
+  );
+  const breakdownTotals = useMemo(() => {
+    if (!breakdownByRec) return null;
+    const ids = selectedRepIds.size ? [...selectedRepIds] : filteredReps.map((r) => r.id);
+    return sumBreakdowns(breakdownByRec, ids);
+  }, [breakdownByRec, selectedRepIds, filteredReps]);
+
+  // Representations on the chart: the selection, else every filtered one.
+  const activeReps = useMemo(
+    () => (selectedRepIds.size ? filteredReps.filter((r) => selectedRepIds.has(r.id)) : filteredReps),
+    [filteredReps, selectedRepIds],
+  );
+
+  // Producer objectives: each charted representation with milestones, today,
+  // against its curve (see utils/objectives.js).
+  const objectiveRows = useMemo(() => {
+    if (!milestones) return null;
+    const todayIso = localTodayIso();
+    const gaps = objectiveGaps(activeReps, milestones, actualsAt(salesRows, todayIso), todayIso);
+    return {
+      todayIso,
+      total: sumGaps(gaps),
+      rows: gaps.map((g) => ({
+        key: g.rep.id,
+        label: [g.rep.colDateRep || g.rep.dateRepIso, g.rep.colSalle, g.rep.colVille].filter(Boolean).join(" · "),
+        ...g,
+      })),
+    };
+  }, [milestones, activeReps, salesRows]);
+
   // Weekly table columns: per-rep deltas over the last complete Mon→Mon week.
   const weekDeltas = useMemo(() => {
     if (!salesRows.length) return {};
@@ -205,22 +251,13 @@ export function DetailPage({
     return computeWeekDeltas(salesRows, start, end);
   }, [salesRows]);
 
-  const localDateStr = (d) =>
-    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
-
   const activePreset = useMemo(() => {
     if (!dateFrom && !dateTo) return "all";
-    const now = new Date();
-    const nowStr = localDateStr(now);
-    for (const p of PRESETS) {
-      if (p.key === "all") continue;
-      const from = new Date(now);
-      if (p.days != null) from.setDate(from.getDate() - p.days);
-      else from.setMonth(from.getMonth() - p.months);
-      if (dateFrom !== localDateStr(from)) continue;
-      if (p.days != null ? dateTo === nowStr : !dateTo) return p.key;
-    }
-    return null;
+    const match = PRESETS.find((p) => {
+      const range = presetRange(p.key);
+      return range.from === dateFrom && range.to === dateTo;
+    });
+    return match ? match.key : null;
   }, [dateFrom, dateTo]);
 
   // Filter salesData by date range
@@ -257,7 +294,7 @@ export function DetailPage({
           ? new Set(filteredReps.map((r) => r.id))
           : selectedRepIds;
       const activeRows = salesRows.filter((r) => activeIds.has(r.record_id));
-      const end = dateTo || localDateStr(new Date());
+      const end = dateTo || localTodayIso();
       const deltas = computeWeekDeltas(activeRows, dateFrom, end);
       for (const id in deltas) revenusInPeriod += deltas[id].revenue || 0;
     }
@@ -298,18 +335,38 @@ export function DetailPage({
 
   // Preset helper
   const setPreset = (key) => {
-    const now = new Date();
-    const p = PRESETS.find((x) => x.key === key);
-    if (!p || key === "all") {
-      setDateFrom("");
-      setDateTo("");
-      return;
-    }
-    const from = new Date(now);
-    if (p.days != null) from.setDate(from.getDate() - p.days);
-    else from.setMonth(from.getMonth() - p.months);
-    setDateFrom(localDateStr(from));
-    setDateTo(p.days != null ? localDateStr(now) : "");
+    const { from, to } = presetRange(key);
+    setDateFrom(from);
+    setDateTo(to);
+  };
+
+  // Snapshot of the current screen as a saved view. An existing view with the
+  // same name keeps its id (upsertView replaces it).
+  const saveCurrentView = async (name) => {
+    const existing = savedViews.views.find(
+      (v) => v.name.trim().toLowerCase() === name.toLowerCase(),
+    );
+    const view = {
+      id: existing ? existing.id : newViewId(),
+      name,
+      spectacleId: spectacle.id,
+      spectacleName: spectacle.name,
+      showAll,
+      filterVille,
+      filterSalle,
+      filterGroup,
+      datePreset: activePreset,
+      dateFrom,
+      dateTo,
+      selectedRepIds: [...selectedRepIds],
+    };
+    await savedViews.saveView(view);
+    setActiveView(view);
+  };
+
+  const deleteActiveView = async (id) => {
+    await savedViews.deleteView(id);
+    setActiveView(null);
   };
 
   // Build chart content based on current state
@@ -352,27 +409,64 @@ export function DetailPage({
         ? filteredReps.find((r) => selectedRepIds.has(r.id))
         : null;
     // Compute aggregated capacity & revenuePotential for multi/all mode
-    const activeReps = isAllMode ? filteredReps : filteredReps.filter((r) => selectedRepIds.has(r.id));
     const totalCapacity = activeReps.reduce((sum, r) => sum + (r.capacity || 0), 0) || null;
     const totalRevenuePotential = activeReps.reduce((sum, r) => sum + (r.revenuePotential || 0), 0) || null;
 
-    // Budget-target curve: a single convex (accelerating) ramp from 0 to the
-    // TOTAL objective (sum of the active reps' "Objectif revenus producteur").
-    // The ramp spans the currently visible window — computed over the filtered
-    // dates — so it fits the active date filter (full range in "Tout", the last
-    // 7 days in "7j", etc.) and always reaches the target at the right edge.
-    const totalObjective = activeReps.reduce(
-      (s, r) => s + (r.colObjectifRevenus || 0),
-      0,
-    );
-    const objByDate = buildObjectiveSeries(
-      filteredSalesData.map((d) => d.date),
-      totalObjective,
-    );
+    const stacked = chartVariant === "channels" && breakdownAvailable;
     const chartData = filteredSalesData.map((d) => ({
       ...d,
-      objectif: objByDate[d.date] ?? null,
+      ...(stacked ? channelsByDate[d.date] : {}),
     }));
+
+    // Projection: a dashed extension from the last actual point up to the
+    // latest show date, with its confidence band. Only drawn when the visible
+    // window reaches the most recent data (an old date range has no "now" to
+    // extend from).
+    const lastActual = salesData[salesData.length - 1];
+    const reachesNow =
+      chartData.length > 0 && chartData[chartData.length - 1].date >= lastActual.date;
+    const projectionDeltas = showProjection && reachesNow
+      ? aggregateForecastDeltas(activeReps.map((r) => forecasts[r.id]))
+      : [];
+    if (projectionDeltas.length) {
+      const base = lastActual.ventes;
+      chartData[chartData.length - 1] = {
+        ...chartData[chartData.length - 1],
+        projection: base,
+        projectionBand: [base, base],
+      };
+      projectionDeltas
+        .filter((p) => p.date > chartData[chartData.length - 1].date)
+        .forEach((p) =>
+          chartData.push({
+            date: p.date,
+            dateLabel: formatDate(p.date),
+            projection: base + p.projected,
+            projectionBand: [base + p.low, base + p.high],
+          }),
+        );
+    }
+
+    // Budget-target curves. With producer milestones, the summed milestone
+    // curves of the active reps, also drawn over the projected days. Otherwise
+    // revenue falls back to a single convex (accelerating) ramp from 0 to the
+    // TOTAL objective (sum of the active reps' "Objectif revenus producteur"),
+    // spanning the currently visible window — computed over the filtered dates —
+    // so it fits the active date filter (full range in "Tout", the last 7 days
+    // in "7j", etc.) and always reaches the target at the right edge.
+    const chartDates = chartData.map((d) => d.date);
+    const revenueObjective =
+      objectiveSeries(activeReps, milestones, chartDates, "revenue") ||
+      buildObjectiveSeries(
+        filteredSalesData.map((d) => d.date),
+        activeReps.reduce((s, r) => s + (r.colObjectifRevenus || 0), 0),
+      );
+    const ticketObjective = objectiveSeries(activeReps, milestones, chartDates, "tickets") || {};
+    chartData.forEach((d) => {
+      d.objectif = revenueObjective[d.date] ?? null;
+      d.objectifBillets = ticketObjective[d.date] ?? null;
+    });
+
     const presets = PRESETS;
     const btnBase = "px-2 py-0.5 rounded text-xs font-medium transition-colors";
     const btnActive = "bg-blue-blue text-white";
@@ -423,8 +517,31 @@ export function DetailPage({
               maxLength={10}
               style={inputStyle}
             />
+            {breakdownAvailable && (
+              <button
+                onClick={() => setChartVariant((v) => (v === "channels" ? "lines" : "channels"))}
+                title="Ventes empilées par canal de vente"
+                className={`${btnBase} ${stacked ? btnActive : btnInactive}`}
+              >
+                Canaux
+              </button>
+            )}
             <button
-              onClick={() => { cacheRef.current.clear(); setRefreshKey((k) => k + 1); }}
+              onClick={() => setShowProjection((v) => !v)}
+              title="Projection des ventes jusqu'à la date du spectacle"
+              className={`${btnBase} ${showProjection ? btnActive : btnInactive}`}
+            >
+              Projection
+            </button>
+            <button
+              onClick={() => setLive((v) => !v)}
+              title="Suivre les nouvelles ventes en direct (temps réel Supabase, sinon interrogation toutes les 30 s)"
+              className={`${btnBase} ${live ? btnActive : btnInactive}`}
+            >
+              {live ? "● Direct" : "Direct"}
+            </button>
+            <button
+              onClick={() => { invalidateSalesRows(); setRefreshKey((k) => k + 1); }}
               title="Rafraîchir les données"
               className={`${btnBase} ${btnInactive}`}
             >
@@ -433,6 +550,17 @@ export function DetailPage({
           </div>
         </div>
 
+        {live && (
+          <p className="text-xs text-gray-gray500 dark:text-gray-gray400 mb-1 text-right">
+            {LIVE_MODE_LABELS[liveSales.mode] || "Connexion…"}
+            {liveSales.lastUpdate &&
+              ` · dernière mise à jour à ${liveSales.lastUpdate.toLocaleTimeString("fr-FR")}`}
+            {liveSales.error && (
+              <span className="text-red-red dark:text-red-redLight1"> · {liveSales.error}</span>
+            )}
+          </p>
+        )}
+
         {/* Mode label / back to total */}
         {isAllMode ? (
           <p className="text-xs text-gray-gray500 dark:text-gray-gray400 mb-1 text-center font-medium">
@@ -463,6 +591,7 @@ export function DetailPage({
           revenueCapacity={selectedRep ? selectedRep.revenuePotential : totalRevenuePotential}
           zoom={hasFilter}
           height={isAllMode ? 320 : 330}
+          variant={stacked ? "channels" : "lines"}
         />
       </div>
     );
@@ -492,6 +621,17 @@ export function DetailPage({
         <h2 className="text-xl font-display font-bold text-gray-gray700 dark:text-gray-gray200">
           {spectacle.name}
         </h2>
+        <div className="ml-auto">
+          <SavedViewsMenu
+            views={savedViews.views}
+            activeView={activeView}
+            canEdit={savedViews.canEdit}
+            onApply={onApplyView}
+            onSave={saveCurrentView}
+            onDelete={deleteActiveView}
+            showSpectacle
+          />
+        </div>
       </div>
 
       {/* Top section: Chart (60%) + KPIs (40%) */}
@@ -577,6 +717,25 @@ export function DetailPage({
         </div>
       </div>
 
+      {objectiveRows && (
+        <ObjectiveGapTable
+          title="Écart à l'objectif"
+          subtitle={`au ${formatDate(objectiveRows.todayIso)}, objectifs producteur par jalon`}
+          rows={objectiveRows.rows}
+          total={objectiveRows.total}
+        />
+      )}
+
+      {breakdownTotals && <SalesBreakdownTable totals={breakdownTotals} />}
+
+      <DataQualityPanel
+        anomalies={anomalies}
+        repsById={repsById}
+        ignored={ignored}
+        canEdit={canIgnore}
+        onToggle={toggleIgnored}
+      />
+
       {/* Representations table */}
       <RepresentationsTable
         title="Representations"
@@ -588,12 +747,18 @@ export function DetailPage({
         setFilterVille={setFilterVille}
         filterSalle={filterSalle}
         setFilterSalle={setFilterSalle}
+        filterGroup={filterGroup}
+        setFilterGroup={setFilterGroup}
+        filterOptions={filterOptions}
         showAll={showAll}
         setShowAll={setShowAll}
         selectedRepIds={selectedRepIds}
         setSelectedRepIds={setSelectedRepIds}
         repRecords={repRecords}
+        layoutId="detail"
         weekDeltas={weekDeltas}
+        forecasts={forecasts}
+        breakdowns={breakdownByRec}
       />
     </div>
   );
@@ -0,0 +1,164 @@
+import { useMemo } from "react";
+import { fmtNumber } from "../utils/format";
+import { AIRTABLE_COLORS, FILL_RATE_STEPS, fillRateColor } from "../utils/colors";
+import { bucketLabel } from "../utils/timeBuckets";
+
+// --- Portfolio heatmap: fill rate by venue (rows) × month (columns) ---
+// Cells aggregate the representations of one `colSalle` in one month: colour =
+// average `colTauxRemplissage` (representations without a rate are left out of
+// the average), label = tickets sold (`colTotalBilletsVendus`). Months run
+// contiguously from the first to the last dated representation so gaps stay
+// visible. Clicking a cell calls onCellClick({ salle, month }) to drill into
+// its representations.
+
+const NO_SALLE = "(Sans salle)";
+const LABEL_COL = 200;
+const MONTH_COL = 72;
+
+function monthRange(first, last) {
+  const out = [];
+  let [y, m] = first.split("-").map(Number);
+  const [ly, lm] = last.split("-").map(Number);
+  while (y < ly || (y === ly && m <= lm)) {
+    out.push(`${y}-${String(m).padStart(2, "0")}`);
+    m += 1;
+    if (m > 12) {
+      m = 1;
+      y += 1;
+    }
+  }
+  return out;
+}
+
+// Venue rows and month columns for `reps`; cells keyed `${salle}|${month}`.
+function buildHeatmap(reps) {
+  const cells = new Map();
+  const salles = new Set();
+  const months = new Set();
+  reps.forEach((rep) => {
+    if (!rep.dateRepIso) return;
+    const salle = rep.colSalle || NO_SALLE;
+    const month = rep.dateRepIso.slice(0, 7);
+    salles.add(salle);
+    months.add(month);
+    const key = `${salle}|${month}`;
+    if (!cells.has(key)) cells.set(key, { count: 0, sold: 0, fillSum: 0, fillCount: 0 });
+    const cell = cells.get(key);
+    cell.count += 1;
+    cell.sold += rep.colTotalBilletsVendus || 0;
+    if (rep.colTauxRemplissage != null) {
+      cell.fillSum += rep.colTauxRemplissage;
+      cell.fillCount += 1;
+    }
+  });
+  const sortedMonths = [...months].sort();
+  return {
+    salles: [...salles].sort((a, b) =>
+      a === NO_SALLE ? 1 : b === NO_SALLE ? -1 : a.localeCompare(b, "fr"),
+    ),
+    months: sortedMonths.length ? monthRange(sortedMonths[0], sortedMonths[sortedMonths.length - 1]) : [],
+    cells,
+  };
+}
+
+// Representations of one heatmap cell (used by the drill-down).
+export function repsInCell(reps, { salle, month }) {
+  return reps.filter(
+    (r) => r.dateRepIso && r.dateRepIso.startsWith(month) && (r.colSalle || NO_SALLE) === salle,
+  );
+}
+
+export function heatmapCellLabel({ salle, month }) {
+  return `${salle} · ${bucketLabel({ startIso: `${month}-01` }, "month")}`;
+}
+
+export function FillHeatmap({ reps, onCellClick }) {
+  const { salles, months, cells } = useMemo(() => buildHeatmap(reps), [reps]);
+
+  if (!salles.length) {
+    return (
+      <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm border border-gray-gray100 dark:border-gray-gray600 p-6 text-center text-sm text-gray-gray500 dark:text-gray-gray400">
+        Aucun événement daté.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center gap-4 mb-2 text-xs text-gray-gray500 dark:text-gray-gray400 flex-wrap">
+        <span className="font-medium">Taux de remplissage moyen :</span>
+        {FILL_RATE_STEPS.map((s) => (
+          <span key={s.color} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: AIRTABLE_COLORS[s.color].bg }} />
+            {s.label}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm bg-gray-gray200 dark:bg-gray-gray600" />
+          non renseigné
+        </span>
+        <span>· chiffre = billets vendus</span>
+      </div>
+      <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm border border-gray-gray100 dark:border-gray-gray600 overflow-auto">
+        <table
+          className="text-sm text-gray-gray700 dark:text-gray-gray200 border-separate"
+          style={{ borderSpacing: 2, minWidth: LABEL_COL + months.length * MONTH_COL }}
+        >
+          <thead>
+            <tr className="text-xs text-gray-gray600 dark:text-gray-gray300">
+              <th
+                className="px-2 py-1 text-left font-semibold sticky left-0 bg-white dark:bg-gray-gray700"
+                style={{ width: LABEL_COL }}
+              >
+                Salle
+              </th>
+              {months.map((m) => (
+                <th key={m} className="px-1 py-1 font-semibold text-center whitespace-nowrap" style={{ width: MONTH_COL }}>
+                  {bucketLabel({ startIso: `${m}-01` }, "month")}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {salles.map((salle) => (
+              <tr key={salle}>
+                <td
+                  className="px-2 py-1 sticky left-0 bg-white dark:bg-gray-gray700"
+                  style={{ width: LABEL_COL, maxWidth: LABEL_COL }}
+                >
+                  <div className="truncate" title={salle}>{salle}</div>
+                </td>
+                {months.map((month) => {
+                  const cell = cells.get(`${salle}|${month}`);
+                  if (!cell) return <td key={month} />;
+                  const fill = cell.fillCount ? cell.fillSum / cell.fillCount : null;
+                  const palette = fill != null ? fillRateColor(fill) : null;
+                  return (
+                    <td
+                      key={month}
+                      onClick={() => onCellClick({ salle, month })}
+                      title={
+                        `${heatmapCellLabel({ salle, month })}\n` +
+                        `${cell.count} événement${cell.count > 1 ? "s" : ""} · ${fmtNumber(cell.sold)} billets vendus` +
+                        (fill != null ? ` · ${Math.round(fill * 100)} % de remplissage moyen` : "")
+                      }
+                      className={`px-1 py-1.5 text-center text-xs font-medium rounded cursor-pointer hover:opacity-80 transition-opacity ${
+                        palette ? "" : "bg-gray-gray200 dark:bg-gray-gray600"
+                      }`}
+                      style={{
+                        fontVariantNumeric: "tabular-nums",
+                        ...(palette ? { backgroundColor: palette.bg, color: palette.text } : {}),
+                      }}
+                    >
+                      {fmtNumber(cell.sold)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import { useState } from "react";
+import {
+  FILTER_FIELDS,
+  SELECT_OPS,
+  NUMBER_OPS,
+  EMPTY_FILTER_GROUP,
+  activeConditionCount,
+  filterField,
+  newCondition,
+} from "../utils/repFilters";
+
+// --- Filter builder over the representation columns ---
+// Edits a filter group (see utils/repFilters.js): a list of conditions joined
+// by a single "et" / "ou". Collapsed to a "Filtres" button showing the number
+// of active conditions.
+
+const INPUT_CLASS =
+  "text-xs rounded border border-gray-gray200 dark:border-gray-gray500 bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray200";
+const INPUT_STYLE = { fontSize: 11, padding: "3px 8px" };
+const BTN_CLASS =
+  "text-xs font-medium px-2 py-1 rounded border border-gray-gray200 dark:border-gray-gray500 " +
+  "text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 transition-colors";
+
+function ConditionRow({ cond, options, onChange, onRemove }) {
+  const field = filterField(cond.field);
+  const ops = field.type === "number" ? NUMBER_OPS : SELECT_OPS;
+  const needsValue = cond.op === "is" || cond.op === "isNot";
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={cond.field}
+        onChange={(e) => onChange({ ...newCondition(e.target.value), id: cond.id })}
+        className={INPUT_CLASS}
+        style={{ ...INPUT_STYLE, minWidth: 150 }}
+      >
+        {FILTER_FIELDS.map((f) => (
+          <option key={f.key} value={f.key}>{f.label}</option>
+        ))}
+      </select>
+      <select
+        value={cond.op}
+        onChange={(e) => onChange({ ...cond, op: e.target.value })}
+        className={INPUT_CLASS}
+        style={INPUT_STYLE}
+      >
+        {ops.map((op) => (
+          <option key={op.key} value={op.key}>{op.label}</option>
+        ))}
+      </select>
+      {needsValue && (
+        <select
+          value={cond.value}
+          onChange={(e) => onChange({ ...cond, value: e.target.value })}
+          className={INPUT_CLASS}
+          style={{ ...INPUT_STYLE, minWidth: 140 }}
+        >
+          <option value="">—</option>
+          {(options[cond.field] || []).map((v) => (
+            <option key={v} value={v}>{v}</option>
+          ))}
+        </select>
+      )}
+      {cond.op === "between" && (
+        <>
+          <input
+            type="number"
+            value={cond.min}
+            onChange={(e) => onChange({ ...cond, min: e.target.value })}
+            placeholder="min"
+            className={INPUT_CLASS}
+            style={{ ...INPUT_STYLE, width: 80 }}
+          />
+          <span className="text-xs text-gray-gray400">et</span>
+          <input
+            type="number"
+            value={cond.max}
+            onChange={(e) => onChange({ ...cond, max: e.target.value })}
+            placeholder="max"
+            className={INPUT_CLASS}
+            style={{ ...INPUT_STYLE, width: 80 }}
+          />
+        </>
+      )}
+      <button onClick={onRemove} className={BTN_CLASS} title="Retirer ce filtre">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export function FilterBuilder({ group, setGroup, options }) {
+  const [open, setOpen] = useState(() => group.conditions.length > 0);
+  const active = activeConditionCount(group);
+
+  const updateCondition = (id, next) =>
+    setGroup((g) => ({ ...g, conditions: g.conditions.map((c) => (c.id === id ? next : c)) }));
+  const removeCondition = (id) =>
+    setGroup((g) => ({ ...g, conditions: g.conditions.filter((c) => c.id !== id) }));
+  const addCondition = () => setGroup((g) => ({ ...g, conditions: [...g.conditions, newCondition()] }));
+
+  return (
+    <div className="mb-3">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => {
+            if (!open && !group.conditions.length) addCondition();
+            setOpen((o) => !o);
+          }}
+          className={`${BTN_CLASS} ${active ? "bg-blue-blueLight3 dark:bg-blue-blueDark1" : ""}`}
+          title="Filtrer sur les colonnes du tableau"
+        >
+          Filtres{active ? ` (${active})` : ""}
+        </button>
+        {active > 0 && (
+          <button onClick={() => setGroup(EMPTY_FILTER_GROUP)} className={BTN_CLASS}>
+            Effacer
+          </button>
+        )}
+      </div>
+      {open && (
+        <div className="mt-2 p-3 rounded-lg bg-white dark:bg-gray-gray700 border border-gray-gray100 dark:border-gray-gray600 flex flex-col gap-2">
+          {group.conditions.map((cond, i) => (
+            <div key={cond.id} className="flex items-center gap-2">
+              <span className="text-xs text-gray-gray500 dark:text-gray-gray400" style={{ width: 44 }}>
+                {i === 0 ? (
+                  "Où"
+                ) : i === 1 ? (
+                  <select
+                    value={group.conjunction}
+                    onChange={(e) => setGroup((g) => ({ ...g, conjunction: e.target.value }))}
+                    className={INPUT_CLASS}
+                    style={{ fontSize: 11, padding: "2px 4px" }}
+                  >
+                    <option value="and">et</option>
+                    <option value="or">ou</option>
+                  </select>
+                ) : group.conjunction === "or" ? (
+                  "ou"
+                ) : (
+                  "et"
+                )}
+              </span>
+              <ConditionRow
+                cond={cond}
+                options={options}
+                onChange={(next) => updateCondition(cond.id, next)}
+                onRemove={() => removeCondition(cond.id)}
+              />
+            </div>
+          ))}
+          <div>
+            <button onClick={addCondition} className={BTN_CLASS}>
+              + Ajouter une condition
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
-import { useState, useMemo, useEffect, useRef } from "react";
+import { useState, useMemo, useEffect } from "react";
 import { PRESETS } from "../utils/constants";
+import { toLocalIso } from "../utils/format";
 import { aggregateSalesByDate } from "../utils/salesData";
+import { fetchSalesRows, invalidateSalesRows } from "../utils/salesReport";
+import { useIgnoredPoints } from "../hooks/useIgnoredPoints";
 import { SalesChart } from "./SalesChart";
 
 // --- Home aggregate chart: total sales across every representation ---
@@ -12,73 +15,33 @@ export function HomeSalesChart({ repIds, supabaseUrl, supabaseAnonKey, baseId })
   const [dateFrom, setDateFrom] = useState("");
   const [dateTo, setDateTo] = useState("");
   const [refreshKey, setRefreshKey] = useState(0);
-  const cacheRef = useRef(new Map());
   const idsStr = useMemo(() => [...repIds].sort().join(","), [repIds]);
 
   // Note: dateFrom/dateTo above default to empty (full range) for the global
   // overview; the 7-day default is applied to the per-spectacle detail chart.
 
+  const { ignored } = useIgnoredPoints();
+
   useEffect(() => {
     if (!supabaseUrl || !supabaseAnonKey || !idsStr) {
       setData([]);
       return;
     }
-    const today = new Date().toISOString().split("T")[0];
-    const cacheKey = `home_${baseId}_${today}_${refreshKey}`;
     let didCancel = false;
 
     const run = async () => {
-      if (cacheRef.current.has(cacheKey)) {
-        if (!didCancel) {
-          setData(cacheRef.current.get(cacheKey));
-          setLoading(false);
-        }
-        return;
-      }
       setLoading(true);
       setError(null);
       try {
-        const ids = idsStr.split(",");
-        // Chunk the IN() filter so URLs stay within server limits.
-        const chunkSize = 150;
-        const pageSize = 1000;
-        let rows = [];
-        for (let i = 0; i < ids.length; i += chunkSize) {
-          const chunk = ids.slice(i, i + chunkSize).join(",");
-          const baseUrl =
-            `${supabaseUrl}/rest/v1/sales_report` +
-            `?base_id=eq.${baseId}` +
-            `&record_id=in.(${chunk})` +
-            `&order=date.asc` +
-            `&select=record_id,date,sold,free,total`;
-          let offset = 0;
-          while (true) {
-            const response = await fetch(
-              baseUrl + `&limit=${pageSize}&offset=${offset}`,
-              {
-                headers: {
-                  apikey: supabaseAnonKey,
-                  Authorization: `Bearer ${supabaseAnonKey}`,
-                  "Content-Type": "application/json",
-                },
-              },
-            );
-            if (!response.ok) {
-              throw new Error(
-                `Erreur Supabase: ${response.status} ${response.statusText}`,
-              );
-            }
-            const page = await response.json();
-            rows = rows.concat(page);
-            if (page.length < pageSize) break;
-            offset += pageSize;
-            if (didCancel) return;
-          }
-        }
+        const rows = await fetchSalesRows({
+          supabaseUrl,
+          supabaseAnonKey,
+          baseId,
+          recordIds: idsStr.split(","),
+          ignored,
+        });
         if (didCancel) return;
-        const formatted = aggregateSalesByDate(rows);
-        cacheRef.current.set(cacheKey, formatted);
-        setData(formatted);
+        setData(aggregateSalesByDate(rows));
         setLoading(false);
       } catch (err) {
         if (!didCancel) {
@@ -92,21 +55,18 @@ export function HomeSalesChart({ repIds, supabaseUrl, supabaseAnonKey, baseId })
     return () => {
       didCancel = true;
     };
-  }, [idsStr, supabaseUrl, supabaseAnonKey, baseId, refreshKey]);
-
-  const localDateStr = (d) =>
-    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  }, [idsStr, supabaseUrl, supabaseAnonKey, baseId, ignored, refreshKey]);
 
   const activePreset = useMemo(() => {
     if (!dateFrom && !dateTo) return "all";
     const now = new Date();
-    const nowStr = localDateStr(now);
+    const nowStr = toLocalIso(now);
     for (const p of PRESETS) {
       if (p.key === "all") continue;
       const from = new Date(now);
       if (p.days != null) from.setDate(from.getDate() - p.days);
       else from.setMonth(from.getMonth() - p.months);
-      if (dateFrom !== localDateStr(from)) continue;
+      if (dateFrom !== toLocalIso(from)) continue;
       if (p.days != null ? dateTo === nowStr : !dateTo) return p.key;
     }
     return null;
@@ -182,8 +142,8 @@ export function HomeSalesChart({ repIds, supabaseUrl, supabaseAnonKey, baseId })
     const from = new Date(now);
     if (p.days != null) from.setDate(from.getDate() - p.days);
     else from.setMonth(from.getMonth() - p.months);
-    setDateFrom(localDateStr(from));
-    setDateTo(p.days != null ? localDateStr(now) : "");
+    setDateFrom(toLocalIso(from));
+    setDateTo(p.days != null ? toLocalIso(now) : "");
   };
 
   const btnBase = "px-2 py-0.5 rounded text-xs font-medium transition-colors";
@@ -238,7 +198,7 @@ export function HomeSalesChart({ repIds, supabaseUrl, supabaseAnonKey, baseId })
           ))}
           <button
             onClick={() => {
-              cacheRef.current.clear();
+              invalidateSalesRows();
               setRefreshKey((k) => k + 1);
             }}
             title="Rafraîchir les données"
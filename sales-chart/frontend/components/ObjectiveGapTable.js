@@ -0,0 +1,100 @@
+import { fmtNumber, fmtCurrency } from "../utils/format";
+
+// --- Actual vs producer objective, per row plus a total ---
+// Rows: [{ key, label, soldActual, soldTarget, revActual, revTarget }] (see
+// objectiveGaps / sumGaps). The gap is actual − objective, in tickets and
+// dollars, with the share of the objective reached; behind shows in red.
+// `actions` (optional) sits at the right of the title and keeps the table
+// shown, with an empty-state line, when there are no rows.
+
+const TH = "px-3 py-2 bg-gray-gray75 dark:bg-gray-gray800 font-semibold";
+
+function GapCells({ actual, target, fmt }) {
+  if (target == null) {
+    return (
+      <>
+        <td className="px-3 py-2 text-right">{fmt(actual)}</td>
+        <td className="px-3 py-2 text-right">—</td>
+        <td className="px-3 py-2 text-right">—</td>
+      </>
+    );
+  }
+  const gap = Math.round((actual || 0) - target);
+  const pct = target > 0 ? Math.round(((actual || 0) / target) * 100) : null;
+  return (
+    <>
+      <td className="px-3 py-2 text-right">{fmt(actual)}</td>
+      <td className="px-3 py-2 text-right">{fmt(Math.round(target))}</td>
+      <td
+        className={`px-3 py-2 text-right whitespace-nowrap font-medium ${gap < 0 ? "text-red-red dark:text-red-redLight1" : ""}`}
+        style={gap >= 0 ? { color: "#4a7a33" } : undefined}
+      >
+        {gap > 0 ? "+" : gap < 0 ? "−" : ""}
+        {fmt(Math.abs(gap))}
+        {pct != null && (
+          <span className="ml-1 text-xs font-normal text-gray-gray500 dark:text-gray-gray400">({pct} %)</span>
+        )}
+      </td>
+    </>
+  );
+}
+
+export function ObjectiveGapTable({ title, subtitle, rows, total, onRowClick, actions = null }) {
+  if (!rows.length && !actions) return null;
+  const round = (fmt) => (v) => fmt(v == null ? v : Math.round(v));
+  const fmtTickets = round(fmtNumber);
+  const fmtDollars = round(fmtCurrency);
+  return (
+    <div className="mb-6">
+      <div className="flex items-baseline gap-3 mb-2">
+        <h3 className="text-sm font-semibold text-gray-gray600 dark:text-gray-gray300">{title}</h3>
+        {subtitle && <span className="text-xs text-gray-gray500 dark:text-gray-gray400">{subtitle}</span>}
+        {actions && <div className="ml-auto flex items-center gap-3">{actions}</div>}
+      </div>
+      <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm overflow-hidden border border-gray-gray100 dark:border-gray-gray600">
+        <div style={{ overflow: "auto", maxHeight: 360 }}>
+          <table className="w-full text-sm text-gray-gray700 dark:text-gray-gray200">
+            <thead>
+              <tr className="text-gray-gray600 dark:text-gray-gray300 text-left text-xs">
+                <th className={TH}></th>
+                <th className={`${TH} text-right`}>Billets</th>
+                <th className={`${TH} text-right`}>Objectif</th>
+                <th className={`${TH} text-right`}>Écart</th>
+                <th className={`${TH} text-right`}>Revenus</th>
+                <th className={`${TH} text-right`}>Objectif</th>
+                <th className={`${TH} text-right`}>Écart</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr
+                  key={r.key}
+                  onClick={onRowClick ? () => onRowClick(r.key) : undefined}
+                  className={`border-t border-gray-gray100 dark:border-gray-gray600 ${
+                    onRowClick ? "cursor-pointer hover:bg-gray-gray25 dark:hover:bg-gray-gray600 transition-colors" : ""
+                  }`}
+                >
+                  <td className="px-3 py-2">{r.label}</td>
+                  <GapCells actual={r.soldActual} target={r.soldTarget} fmt={fmtTickets} />
+                  <GapCells actual={r.revActual} target={r.revTarget} fmt={fmtDollars} />
+                </tr>
+              ))}
+              {total && rows.length > 1 && (
+                <tr className="border-t-2 border-gray-gray200 dark:border-gray-gray500 font-semibold">
+                  <td className="px-3 py-2">Total</td>
+                  <GapCells actual={total.soldActual} target={total.soldTarget} fmt={fmtTickets} />
+                  <GapCells actual={total.revActual} target={total.revTarget} fmt={fmtDollars} />
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        {rows.length === 0 && (
+          <div className="flex items-center justify-center py-6">
+            <p className="text-sm text-gray-gray500 dark:text-gray-gray400">Aucune représentation avec objectif.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
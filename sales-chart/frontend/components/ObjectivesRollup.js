@@ -0,0 +1,107 @@
+import { useState, useMemo, useEffect } from "react";
+import { formatDate, localTodayIso } from "../utils/format";
+import { fetchSalesRows } from "../utils/salesReport";
+import { useIgnoredPoints } from "../hooks/useIgnoredPoints";
+import { OBJECTIVE_METRICS, actualsAt, objectiveGaps, sumGaps } from "../utils/objectives";
+import { ObjectiveGapTable } from "./ObjectiveGapTable";
+
+// --- Home roll-up: every spectacle with producer objectives ---
+// One row per spectacle: its representations' cumulative tickets and revenue
+// today against the sum of their milestone curves. Upcoming shows only unless
+// past ones are included. Clicking a row opens the spectacle.
+
+export function ObjectivesRollup({
+  spectacles,
+  allReps,
+  milestones,
+  supabaseUrl,
+  supabaseAnonKey,
+  baseId,
+  onOpenSpectacle,
+}) {
+  const [rows, setRows] = useState([]);
+  const [error, setError] = useState(null);
+  const [includePast, setIncludePast] = useState(false);
+
+  const todayIso = useMemo(() => localTodayIso(), []);
+
+  // Representations with a curve, under the spectacle whose milestones apply.
+  const tracked = useMemo(() => {
+    return allReps
+      .filter((r) => r.dateRepIso && (includePast || r.dateRepIso >= todayIso))
+      .map((rep) => ({
+        rep,
+        spectacleId: rep.spectacleIds.find((sid) => OBJECTIVE_METRICS.some((m) => milestones[sid]?.[m]?.length)),
+      }))
+      .filter((t) => t.spectacleId);
+  }, [allReps, milestones, includePast, todayIso]);
+  const idsStr = useMemo(() => tracked.map((t) => t.rep.id).sort().join(","), [tracked]);
+
+  const { ignored } = useIgnoredPoints();
+
+  useEffect(() => {
+    if (!supabaseUrl || !supabaseAnonKey || !idsStr) {
+      setRows([]);
+      return;
+    }
+    let didCancel = false;
+    setError(null);
+    fetchSalesRows({ supabaseUrl, supabaseAnonKey, baseId, recordIds: idsStr.split(","), ignored })
+      .then((data) => {
+        if (!didCancel) setRows(data);
+      })
+      .catch((err) => {
+        if (!didCancel) setError(err.message);
+      });
+    return () => {
+      didCancel = true;
+    };
+  }, [idsStr, supabaseUrl, supabaseAnonKey, baseId, ignored]);
+
+  const { bySpectacle, total } = useMemo(() => {
+    const actuals = actualsAt(rows, todayIso);
+    const gaps = objectiveGaps(tracked.map((t) => t.rep), milestones, actuals, todayIso);
+    const spectacleOf = Object.fromEntries(tracked.map((t) => [t.rep.id, t.spectacleId]));
+    const groups = new Map();
+    gaps.forEach((g) => {
+      const sid = spectacleOf[g.rep.id];
+      if (!groups.has(sid)) groups.set(sid, []);
+      groups.get(sid).push(g);
+    });
+    const names = Object.fromEntries(spectacles.map((s) => [s.id, s.name]));
+    return {
+      bySpectacle: [...groups.entries()]
+        .map(([sid, list]) => ({
+          key: sid,
+          label: `${names[sid] || list[0].rep.spectacleName || sid} (${list.length})`,
+          ...sumGaps(list),
+        }))
+        .sort((a, b) => a.label.localeCompare(b.label, "fr")),
+      total: sumGaps(gaps),
+    };
+  }, [rows, tracked, milestones, spectacles, todayIso]);
+
+  return (
+    <ObjectiveGapTable
+      title="Objectifs producteur"
+      subtitle={`au ${formatDate(todayIso)}, par spectacle (nombre de représentations)`}
+      rows={bySpectacle}
+      total={total}
+      onRowClick={onOpenSpectacle}
+      actions={
+        <>
+          {error && <span className="text-xs text-red-red dark:text-red-redLight1">{error}</span>}
+          <label className="flex items-center gap-2 text-xs text-gray-gray500 dark:text-gray-gray400 cursor-pointer select-none">
+            <input
+              type="checkbox"
+              checked={includePast}
+              onChange={(e) => setIncludePast(e.target.checked)}
+              className="rounded"
+            />
+            Inclure les représentations passées
+          </label>
+        </>
+      }
+    />
+  );
+}
@@ -1,7 +1,18 @@
+import { useMemo, useState } from "react";
 import { expandRecord } from "@airtable/blocks/interface/ui";
 import { fmtNumber, fmtCurrency } from "../utils/format";
 import { downloadRepsCsv } from "../utils/csv";
+import { fillRateColor } from "../utils/colors";
+import {
+  GROUP_OPTIONS,
+  SUBTOTAL_KEYS,
+  groupReps,
+  resolveColumns,
+  sortReps,
+} from "../utils/repColumns";
+import { useTableLayout } from "../hooks/useTableLayout";
 import { SelectBadge } from "./SelectBadge";
+import { FilterBuilder } from "./FilterBuilder";
 
 // Header cells stay visible while scrolling down. The background must live on
 // the th itself — a background set on the <tr> is not painted under a sticky
@@ -15,10 +26,105 @@ const TH =
 // header height; the remaining 12vh is the breathing room left below the box.
 const SCROLL_MAX_HEIGHT = "88vh";
 
+// Fill-rate progress bar (red/orange/green). `dashed` marks a projected value.
+function FillBar({ ratio, dashed = false }) {
+  const pct = Math.min(100, Math.round(ratio * 100));
+  const barColor = fillRateColor(ratio).bg;
+  return (
+    <div className="flex items-center gap-1">
+      <div className="flex-1 bg-gray-gray200 dark:bg-gray-gray600 rounded-full h-2" style={{ minWidth: 60 }}>
+        <div
+          className="rounded-full h-2"
+          style={{ width: `${pct}%`, backgroundColor: barColor, opacity: dashed ? 0.55 : 1 }}
+        />
+      </div>
+      <span className="text-xs text-gray-gray500 dark:text-gray-gray400 whitespace-nowrap">
+        {pct}%
+      </span>
+    </div>
+  );
+}
+
+// Cell content by column type (see utils/repColumns.js).
+function ColumnCell({ col, rep, ctx }) {
+  const v = col.value(rep, ctx);
+  if (col.type === "number") return fmtNumber(v);
+  if (col.type === "currency") return fmtCurrency(v);
+  if (col.type === "select") return <SelectBadge value={v} />;
+  if (col.type === "fill") return v != null ? <FillBar ratio={v} dashed={col.dashed} /> : "—";
+  return v || (col.strong ? "—" : "");
+}
+
+const cellClass = (col) =>
+  [
+    "px-3 py-2",
+    col.type === "number" || col.type === "currency" ? "text-right" : "",
+    col.nowrap ? "whitespace-nowrap" : "",
+    col.strong ? "font-medium text-gray-gray800 dark:text-gray-gray100" : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+const TOOL_BTN =
+  "flex items-center gap-1 text-xs font-medium px-2 py-1 rounded border border-gray-gray200 dark:border-gray-gray500 " +
+  "text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 transition-colors";
+
+// "Colonnes" panel: show/hide and reorder every available column.
+function ColumnChooser({ columns, hidden, onChange, onReset }) {
+  const keys = columns.map((c) => c.key);
+  const move = (i, delta) => {
+    const next = [...keys];
+    const [k] = next.splice(i, 1);
+    next.splice(i + delta, 0, k);
+    onChange({ order: next });
+  };
+  const toggle = (key) =>
+    onChange({ hidden: hidden.includes(key) ? hidden.filter((k) => k !== key) : [...hidden, key] });
+  return (
+    <div
+      className="absolute right-0 mt-1 z-20 p-2 rounded-lg shadow-lg bg-white dark:bg-gray-gray700 border border-gray-gray100 dark:border-gray-gray600"
+      style={{ width: 240, maxHeight: 420, overflow: "auto" }}
+    >
+      {columns.map((col, i) => (
+        <div key={col.key} className="flex items-center gap-2 py-0.5 text-xs text-gray-gray700 dark:text-gray-gray200">
+          <input
+            type="checkbox"
+            checked={!hidden.includes(col.key)}
+            onChange={() => toggle(col.key)}
+            className="rounded"
+          />
+          <span className="flex-1 truncate">{col.label}</span>
+          <button
+            onClick={() => move(i, -1)}
+            disabled={i === 0}
+            className="px-1 text-gray-gray500 hover:text-gray-gray800 disabled:opacity-30"
+            title="Monter"
+          >
+            ↑
+          </button>
+          <button
+            onClick={() => move(i, 1)}
+            disabled={i === columns.length - 1}
+            className="px-1 text-gray-gray500 hover:text-gray-gray800 disabled:opacity-30"
+            title="Descendre"
+          >
+            ↓
+          </button>
+        </div>
+      ))}
+      <button onClick={onReset} className={`${TOOL_BTN} mt-2 w-full justify-center`}>
+        Réinitialiser
+      </button>
+    </div>
+  );
+}
+
 // --- Shared events table (header + filters + table card) ---
 // Selection (checkbox column + row click) is enabled only when setSelectedRepIds
 // is provided. showSpectacleCol adds a "Spectacle" column for the mixed all-events
-// view where rows span multiple shows.
+// view where rows span multiple shows. Column order/visibility, sort and grouping
+// are the user's own layout for `layoutId` (useTableLayout); the CSV exports the
+// visible columns, sorted like the screen.
 export function RepresentationsTable({
   title,
   totalCount,
@@ -34,11 +140,40 @@ export function RepresentationsTable({
   selectedRepIds,
   setSelectedRepIds,
   repRecords,
+  layoutId = "default",
   showSpectacleCol = false,
   weekDeltas = {},
+  forecasts = null,
+  breakdowns = null,
+  filterGroup,
+  setFilterGroup,
+  filterOptions,
 }) {
   const selectable = !!setSelectedRepIds;
-  const minWidth = (showSpectacleCol ? 1780 : 1600) + 124;
+  const [layout, setLayout] = useTableLayout(layoutId);
+  const [chooserOpen, setChooserOpen] = useState(false);
+
+  const ctx = useMemo(
+    () => ({ weekDeltas, forecasts, showSpectacleCol }),
+    [weekDeltas, forecasts, showSpectacleCol],
+  );
+  const { all: allColumns, visible: columns } = resolveColumns(layout, ctx);
+  const sortCol = layout.sort ? columns.find((c) => c.key === layout.sort.key) : null;
+  const sortedReps = useMemo(
+    () => sortReps(filteredReps, sortCol, layout.sort?.dir, ctx),
+    [filteredReps, sortCol, layout.sort?.dir, ctx],
+  );
+  const groups = useMemo(
+    () => (layout.groupBy ? groupReps(sortedReps, layout.groupBy) : null),
+    [sortedReps, layout.groupBy],
+  );
+  const minWidth = columns.reduce((s, c) => s + c.width, 0) + (selectable ? 40 : 0);
+
+  // Header click cycles ascending → descending → unsorted (date order).
+  const toggleSort = (key) => {
+    const cur = layout.sort?.key === key ? layout.sort.dir : null;
+    setLayout({ sort: cur === "asc" ? { key, dir: "desc" } : cur === "desc" ? null : { key, dir: "asc" } });
+  };
 
   // Clicking anywhere on a row expands the record, like a row click in Airtable.
   // Selection (when enabled) is therefore driven by the checkbox column only,
@@ -47,6 +182,93 @@ export function RepresentationsTable({
     const record = repRecords && repRecords.find((r) => r.id === repId);
     if (record) expandRecord(record);
   };
+
+  const renderRow = (rep) => (
+    <tr
+      key={rep.id}
+      onClick={() => openRecord(rep.id)}
+      title={
+        rep.isFree
+          ? "Evenement gratuit — aucune promo a surveiller. Cliquer pour ouvrir la fiche."
+          : "Ouvrir la fiche de l'evenement"
+      }
+      className={`border-t border-gray-gray100 dark:border-gray-gray600 transition-colors cursor-pointer
+                  ${
+                    selectable && selectedRepIds.has(rep.id)
+                      ? "bg-blue-blueLight3 dark:bg-blue-blueDark1 font-medium"
+                      : rep.isFree
+                        ? "bg-free-light dark:bg-free-dark hover:bg-free-lightHover dark:hover:bg-free-darkHover"
+                        : "hover:bg-gray-gray25 dark:hover:bg-gray-gray600"
+                  }`}
+    >
+      {selectable && (
+        <td
+          className="px-3 py-2 text-center"
+          onClick={(e) => e.stopPropagation()}
+          title="Selectionner pour le graphique"
+        >
+          <input
+            type="checkbox"
+            checked={selectedRepIds.has(rep.id)}
+            onChange={(e) => {
+              setSelectedRepIds((prev) => {
+                const next = new Set(prev);
+                if (e.target.checked) {
+                  next.add(rep.id);
+                } else {
+                  next.delete(rep.id);
+                }
+                return next;
+              });
+            }}
+            className="rounded"
+          />
+        </td>
+      )}
+      {columns.map((col) => (
+        <td
+          key={col.key}
+          className={cellClass(col)}
+          style={col.type === "fill" || col.nowrap ? { minWidth: col.width } : undefined}
+          title={col.cellTitle ? col.cellTitle(rep, ctx) : undefined}
+        >
+          <ColumnCell col={col} rep={rep} ctx={ctx} />
+        </td>
+      ))}
+    </tr>
+  );
+
+  // Group header: label + count in the first non-subtotal column, subtotals
+  // (sold, free, revenue, average fill) under their own columns.
+  const renderGroupRow = (group) => {
+    const labelIdx = columns.findIndex((c) => !SUBTOTAL_KEYS.includes(c.key));
+    return (
+      <tr
+        key={`group-${group.key}`}
+        className="border-t border-gray-gray200 dark:border-gray-gray500 bg-gray-gray50 dark:bg-gray-gray800 font-semibold text-gray-gray800 dark:text-gray-gray100"
+      >
+        {selectable && <td />}
+        {columns.map((col, i) => {
+          const total = group.totals[col.key];
+          let content = null;
+          if (SUBTOTAL_KEYS.includes(col.key)) {
+            content =
+              col.type === "fill"
+                ? total != null ? <FillBar ratio={total} /> : "—"
+                : col.type === "currency" ? fmtCurrency(total) : fmtNumber(total);
+          } else if (i === labelIdx) {
+            content = `${group.label} (${group.reps.length})`;
+          }
+          return (
+            <td key={col.key} className={`${cellClass(col)} whitespace-nowrap`}>
+              {content}
+            </td>
+          );
+        })}
+      </tr>
+    );
+  };
+
   return (
     <div>
       <div className="flex items-center justify-between mb-3">
@@ -55,10 +277,37 @@ export function RepresentationsTable({
           {filteredReps.length !== totalCount ? ` / ${totalCount}` : ""})
         </h3>
         <div className="flex items-center gap-3">
+          <select
+            value={layout.groupBy}
+            onChange={(e) => setLayout({ groupBy: e.target.value })}
+            className="text-xs rounded border border-gray-gray200 dark:border-gray-gray500 bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray200"
+            style={{ fontSize: 11, padding: "3px 8px" }}
+            title="Regrouper les lignes avec sous-totaux"
+          >
+            {GROUP_OPTIONS.map((g) => (
+              <option key={g.key} value={g.key}>{g.label}</option>
+            ))}
+          </select>
+          <div className="relative">
+            <button
+              onClick={() => setChooserOpen((o) => !o)}
+              className={TOOL_BTN}
+              title="Afficher, masquer et réordonner les colonnes"
+            >
+              Colonnes
+            </button>
+            {chooserOpen && (
+              <ColumnChooser
+                columns={allColumns}
+                hidden={layout.hidden}
+                onChange={setLayout}
+                onReset={() => setLayout({ order: [], hidden: [] })}
+              />
+            )}
+          </div>
           <button
-            onClick={() => downloadRepsCsv(filteredReps, weekDeltas, showSpectacleCol, title)}
-            className="flex items-center gap-1 text-xs font-medium px-2 py-1 rounded border border-gray-gray200 dark:border-gray-gray500
-                       text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 transition-colors"
+            onClick={() => downloadRepsCsv(sortedReps, columns, ctx, title, breakdowns)}
+            className={TOOL_BTN}
             title="Exporter le tableau en CSV"
           >
             <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -77,6 +326,9 @@ export function RepresentationsTable({
           </label>
         </div>
       </div>
+      {setFilterGroup && (
+        <FilterBuilder group={filterGroup} setGroup={setFilterGroup} options={filterOptions} />
+      )}
       {/* City and Venue filters */}
       {(uniqueVilles.length > 1 || uniqueSalles.length > 1) && (
         <div className="flex items-center gap-3 mb-3">
@@ -139,119 +391,29 @@ export function RepresentationsTable({
                     />
                   </th>
                 )}
-                {showSpectacleCol && <th className={`${TH} font-semibold`}>Spectacle</th>}
-                <th className={`${TH} font-semibold`}>J. restants</th>
-                <th className={`${TH} font-semibold whitespace-nowrap`} style={{ minWidth: 150 }}>Date</th>
-                <th className={`${TH} font-semibold`}>Salle</th>
-                <th className={`${TH} font-semibold`}>Ville</th>
-                <th className={`${TH} font-semibold text-right`}>Capacite</th>
-                <th className={`${TH} font-semibold text-right`}>Places bloq.</th>
-                <th className={`${TH} font-semibold text-right`}>Billets dispo</th>
-                <th className={`${TH} font-semibold text-right`}>Total vendus</th>
-                <th className={`${TH} font-semibold text-right`}>Total gratuits</th>
-                <th className={`${TH} font-semibold text-right`} title="Dernière semaine complète (lundi → lundi)">Vendus (sem.)</th>
-                <th className={`${TH} font-semibold text-right`} title="Dernière semaine complète (lundi → lundi)">Revenus (sem.)</th>
-                <th className={`${TH} font-semibold text-right`}>Assistance</th>
-                <th className={`${TH} font-semibold`} style={{ minWidth: 120 }}>Taux remplissage</th>
-                <th className={`${TH} font-semibold text-right`}>Revenus billetterie</th>
-                <th className={`${TH} font-semibold`}>Statut rapport</th>
-                <th className={`${TH} font-semibold text-right`}>Objectif revenus</th>
-                <th className={`${TH} font-semibold`}>Mise a jour</th>
-                <th className={`${TH} font-semibold`}>Priorisation</th>
-                <th className={`${TH} font-semibold`}>Billetterie Salle</th>
-                <th className={`${TH} font-semibold`}>Note</th>
-                <th className={`${TH} font-semibold`}>Statut</th>
-                <th className={`${TH} font-semibold`}>Site web</th>
+                {columns.map((col) => {
+                  const dir = layout.sort?.key === col.key ? layout.sort.dir : null;
+                  return (
+                    <th
+                      key={col.key}
+                      onClick={() => toggleSort(col.key)}
+                      className={`${TH} font-semibold cursor-pointer select-none whitespace-nowrap ${
+                        col.type === "number" || col.type === "currency" ? "text-right" : ""
+                      }`}
+                      style={col.type === "fill" || col.nowrap ? { minWidth: col.width } : undefined}
+                      title={col.title || "Trier"}
+                    >
+                      {col.label}
+                      {dir && <span className="ml-1">{dir === "asc" ? "▲" : "▼"}</span>}
+                    </th>
+                  );
+                })}
               </tr>
             </thead>
             <tbody>
-              {filteredReps.map((rep) => (
-                <tr
-                  key={rep.id}
-                  onClick={() => openRecord(rep.id)}
-                  title={
-                    rep.isFree
-                      ? "Evenement gratuit — aucune promo a surveiller. Cliquer pour ouvrir la fiche."
-                      : "Ouvrir la fiche de l'evenement"
-                  }
-                  className={`border-t border-gray-gray100 dark:border-gray-gray600 transition-colors cursor-pointer
-                              ${
-                                selectable && selectedRepIds.has(rep.id)
-                                  ? "bg-blue-blueLight3 dark:bg-blue-blueDark1 font-medium"
-                                  : rep.isFree
-                                    ? "bg-free-light dark:bg-free-dark hover:bg-free-lightHover dark:hover:bg-free-darkHover"
-                                    : "hover:bg-gray-gray25 dark:hover:bg-gray-gray600"
-                              }`}
-                >
-                  {selectable && (
-                    <td
-                      className="px-3 py-2 text-center"
-                      onClick={(e) => e.stopPropagation()}
-                      title="Selectionner pour le graphique"
-                    >
-                      <input
-                        type="checkbox"
-                        checked={selectedRepIds.has(rep.id)}
-                        onChange={(e) => {
-                          setSelectedRepIds((prev) => {
-                            const next = new Set(prev);
-                            if (e.target.checked) {
-                              next.add(rep.id);
-                            } else {
-                              next.delete(rep.id);
-                            }
-                            return next;
-                          });
-                        }}
-                        className="rounded"
-                      />
-                    </td>
-                  )}
-                  {showSpectacleCol && (
-                    <td className="px-3 py-2 font-medium text-gray-gray800 dark:text-gray-gray100">{rep.spectacleName || "—"}</td>
-                  )}
-                  <td className="px-3 py-2">{rep.colJoursRestants}</td>
-                  <td className="px-3 py-2 whitespace-nowrap" style={{ minWidth: 150 }}>{rep.colDateRep}</td>
-                  <td className="px-3 py-2">{rep.colSalle}</td>
-                  <td className="px-3 py-2">{rep.colVille}</td>
-                  <td className="px-3 py-2 text-right">{fmtNumber(rep.colCapacite)}</td>
-                  <td className="px-3 py-2 text-right">{fmtNumber(rep.colPlacesBloques)}</td>
-                  <td className="px-3 py-2 text-right">{fmtNumber(rep.colBilletsDispo)}</td>
-                  <td className="px-3 py-2 text-right">{fmtNumber(rep.colTotalBilletsVendus)}</td>
-                  <td className="px-3 py-2 text-right">{fmtNumber(rep.colTotalBilletsGratuits)}</td>
-                  <td className="px-3 py-2 text-right">{fmtNumber(weekDeltas[rep.id]?.sold)}</td>
-                  <td className="px-3 py-2 text-right">{fmtCurrency(weekDeltas[rep.id]?.revenue)}</td>
-                  <td className="px-3 py-2 text-right">{fmtNumber(rep.colAssistance)}</td>
-                  <td className="px-3 py-2" style={{ minWidth: 120 }}>
-                    {rep.colTauxRemplissage !== null ? (() => {
-                      const pct = Math.min(100, Math.round(rep.colTauxRemplissage * 100));
-                      const barColor = pct >= 80 ? "#20c933" : pct >= 50 ? "#fcb400" : "#f82b60";
-                      return (
-                        <div className="flex items-center gap-1">
-                          <div className="flex-1 bg-gray-gray200 dark:bg-gray-gray600 rounded-full h-2" style={{ minWidth: 60 }}>
-                            <div
-                              className="rounded-full h-2"
-                              style={{ width: `${pct}%`, backgroundColor: barColor }}
-                            />
-                          </div>
-                          <span className="text-xs text-gray-gray500 dark:text-gray-gray400 whitespace-nowrap">
-                            {pct}%
-                          </span>
-                        </div>
-                      );
-                    })() : "—"}
-                  </td>
-                  <td className="px-3 py-2 text-right">{fmtCurrency(rep.colRevenus)}</td>
-                  <td className="px-3 py-2"><SelectBadge value={rep.colStatutRapport} /></td>
-                  <td className="px-3 py-2 text-right">{fmtCurrency(rep.colObjectifRevenus)}</td>
-                  <td className="px-3 py-2"><SelectBadge value={rep.colMiseAJour} /></td>
-                  <td className="px-3 py-2"><SelectBadge value={rep.colPriorisation} /></td>
-                  <td className="px-3 py-2"><SelectBadge value={rep.colBilleterieSalle} /></td>
-                  <td className="px-3 py-2"><SelectBadge value={rep.colNote} /></td>
-                  <td className="px-3 py-2"><SelectBadge value={rep.colStatut} /></td>
-                  <td className="px-3 py-2"><SelectBadge value={rep.colSiteWeb} /></td>
-                </tr>
-              ))}
+              {groups
+                ? groups.map((g) => [renderGroupRow(g), ...g.reps.map(renderRow)])
+                : sortedReps.map(renderRow)}
             </tbody>
           </table>
         </div>
@@ -0,0 +1,77 @@
+import { fmtNumber } from "../utils/format";
+import { CHANNELS, UNASSIGNED } from "../utils/breakdown";
+
+// --- "Répartition des ventes": sold tickets by channel and by price tier ---
+// `totals` is sumBreakdowns() output for the representations shown on the chart
+// (the selection, else every filtered one). Shares are of total sold.
+
+const TH = "px-3 py-2 bg-gray-gray75 dark:bg-gray-gray800 font-semibold";
+
+function ShareRow({ label, color, sold, total }) {
+  const pct = total > 0 ? Math.round((sold / total) * 1000) / 10 : null;
+  return (
+    <tr className="border-t border-gray-gray100 dark:border-gray-gray600">
+      <td className="px-3 py-2">
+        <span className="flex items-center gap-2">
+          {color && <span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: color }} />}
+          {label}
+        </span>
+      </td>
+      <td className="px-3 py-2 text-right">{fmtNumber(sold)}</td>
+      <td className="px-3 py-2 text-right">{pct == null ? "—" : `${pct.toLocaleString("fr-FR")} %`}</td>
+    </tr>
+  );
+}
+
+function BreakdownCard({ title, children }) {
+  return (
+    <div className="flex-1 bg-white dark:bg-gray-gray700 rounded-lg shadow-sm overflow-hidden border border-gray-gray100 dark:border-gray-gray600">
+      <table className="w-full text-sm text-gray-gray700 dark:text-gray-gray200">
+        <thead>
+          <tr className="text-gray-gray600 dark:text-gray-gray300 text-left text-xs">
+            <th className={TH}>{title}</th>
+            <th className={`${TH} text-right`}>Vendus</th>
+            <th className={`${TH} text-right`}>Part</th>
+          </tr>
+        </thead>
+        <tbody>{children}</tbody>
+      </table>
+    </div>
+  );
+}
+
+export function SalesBreakdownTable({ totals }) {
+  return (
+    <div className="mb-6">
+      <h3 className="text-sm font-semibold text-gray-gray600 dark:text-gray-gray300 mb-2">
+        Répartition des ventes
+      </h3>
+      <div className="flex gap-5 items-start">
+        <BreakdownCard title="Canal de vente">
+          {CHANNELS.map((c) => (
+            <ShareRow key={c.key} label={c.label} color={c.color} sold={totals.channels[c.key]} total={totals.sold} />
+          ))}
+          {totals.unassigned > 0 && (
+            <ShareRow
+              label={UNASSIGNED.label}
+              color={UNASSIGNED.color}
+              sold={totals.unassigned}
+              total={totals.sold}
+            />
+          )}
+        </BreakdownCard>
+        <BreakdownCard title="Catégorie tarifaire">
+          {totals.tiers.length ? (
+            totals.tiers.map((t) => <ShareRow key={t.name} label={t.name} sold={t.sold} total={totals.sold} />)
+          ) : (
+            <tr>
+              <td colSpan={3} className="px-3 py-4 text-center text-sm text-gray-gray500 dark:text-gray-gray400">
+                Aucune ventilation par tarif.
+              </td>
+            </tr>
+          )}
+        </BreakdownCard>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import {
   ComposedChart,
   Line,
+  Area,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -9,6 +10,7 @@ import {
   ResponsiveContainer,
 } from "recharts";
 import { formatDate } from "../utils/format";
+import { CHANNELS, UNASSIGNED } from "../utils/breakdown";
 
 // --- Custom X-axis tick with rotation ---
 
@@ -34,7 +36,9 @@ function CustomXAxisTick({ x, y, payload }) {
 
 // --- Sales Chart Component ---
 
-export function SalesChart({ data, capacity, revenueCapacity, zoom = false, height = 500 }) {
+// variant "channels": cumulative tickets drawn as areas stacked by sales
+// channel (canal_* keys from aggregateChannelsByDate) under the other series.
+export function SalesChart({ data, capacity, revenueCapacity, zoom = false, height = 500, variant = "lines" }) {
   if (!data || data.length === 0) {
     return (
       <div className="flex items-center justify-center h-48">
@@ -82,9 +86,16 @@ export function SalesChart({ data, capacity, revenueCapacity, zoom = false, heig
       const revTickets = (d.total_dollars || 0) / price; // revenue in ticket-equiv
       if (revTickets > dataTickets) dataTickets = revTickets;
       if ((d.gratuits || 0) > dataTickets) dataTickets = d.gratuits || 0;
+      if (variant === "channels" && (d.ventes || 0) > dataTickets) dataTickets = d.ventes || 0;
+      const projHigh = d.projectionBand ? d.projectionBand[1] : 0;
+      if (projHigh > dataTickets) dataTickets = projHigh;
+      if ((d.objectifBillets || 0) > dataTickets) dataTickets = d.objectifBillets;
     }
     if (dataTickets < capMax * 0.5) ticketTop = capMax * 0.5;
   }
+  const hasProjection = data.some((d) => d.projection != null);
+  const hasTicketObjective = data.some((d) => d.objectifBillets != null);
+  const stackChannels = variant === "channels";
   const ticketDomain = [0, ticketTop || "auto"];
   const dollarDomain = [
     0,
@@ -158,13 +169,35 @@ export function SalesChart({ data, capacity, revenueCapacity, zoom = false, heig
               }}
               labelFormatter={formatDate}
               formatter={(value, name, props) => {
+                const fmt = (v) => Number(v).toLocaleString("fr-FR", { maximumFractionDigits: 0 });
+                // The confidence band is a [low, high] range.
+                if (Array.isArray(value)) return [`${fmt(value[0])} – ${fmt(value[1])}`, name];
                 const isTickets =
-                  props?.dataKey === "gratuits" || props?.dataKey === "ventes";
-                const num = Number(value).toLocaleString("fr-FR", { maximumFractionDigits: 0 });
-                return [isTickets ? num : `${num} $`, name];
+                  props?.dataKey === "gratuits" ||
+                  props?.dataKey === "ventes" ||
+                  props?.dataKey === "projection" ||
+                  props?.dataKey === "objectifBillets" ||
+                  String(props?.dataKey).startsWith("canal_");
+                return [isTickets ? fmt(value) : `${fmt(value)} $`, name];
               }}
             />
             <Legend wrapperStyle={{ fontSize: 11, paddingTop: 8 }} />
+            {stackChannels &&
+              [...CHANNELS, UNASSIGNED].map((c) => (
+                <Area
+                  key={c.key}
+                  yAxisId="billets"
+                  type="monotone"
+                  dataKey={`canal_${c.key}`}
+                  name={c.label}
+                  stackId="canal"
+                  stroke={c.color}
+                  fill={c.color}
+                  fillOpacity={0.35}
+                  activeDot={false}
+                  isAnimationActive={false}
+                />
+              ))}
             {/* Invisible series: feeds the tooltip with "Billets vendus" without
                 drawing a line or appearing in the legend. */}
             <Line
@@ -212,6 +245,52 @@ export function SalesChart({ data, capacity, revenueCapacity, zoom = false, heig
               strokeDasharray="5 5"
               connectNulls
             />
+            {/* Producer ticket milestones (see utils/objectives.js). */}
+            {hasTicketObjective && (
+              <Line
+                yAxisId="billets"
+                type="monotone"
+                dataKey="objectifBillets"
+                name="Objectif (billets)"
+                stroke="#8e7cc3"
+                strokeWidth={2}
+                dot={false}
+                activeDot={{ r: 4 }}
+                strokeDasharray="2 4"
+                connectNulls
+                isAnimationActive={false}
+              />
+            )}
+            {/* Forecast (tickets): dashed extension past the last actual day,
+                over its confidence band. */}
+            {hasProjection && (
+              <Area
+                yAxisId="billets"
+                type="monotone"
+                dataKey="projectionBand"
+                name="Intervalle projeté"
+                stroke="none"
+                fill="#3b82f6"
+                fillOpacity={0.12}
+                legendType="none"
+                activeDot={false}
+                isAnimationActive={false}
+              />
+            )}
+            {hasProjection && (
+              <Line
+                yAxisId="billets"
+                type="monotone"
+                dataKey="projection"
+                name="Projection (billets)"
+                stroke="#3b82f6"
+                strokeWidth={2}
+                dot={false}
+                activeDot={{ r: 4 }}
+                strokeDasharray="6 4"
+                isAnimationActive={false}
+              />
+            )}
           </ComposedChart>
         </ResponsiveContainer>
       </div>
@@ -0,0 +1,113 @@
+import { useState } from "react";
+
+// --- "Vues enregistrées" dropdown ---
+// Picking a view calls onApply(view); App then opens its spectacle with the
+// stored filters. With `onSave` (detail page), the current screen can be saved
+// under a name — reusing an existing name overwrites that view — and the
+// active view can be deleted. Editing is hidden when `canEdit` is false.
+
+const SELECT_CLASS =
+  "text-xs rounded border border-gray-gray200 dark:border-gray-gray500 bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray200";
+const BTN_CLASS =
+  "text-xs font-medium px-2 py-1 rounded border border-gray-gray200 dark:border-gray-gray500 " +
+  "text-gray-gray600 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 transition-colors";
+
+export function SavedViewsMenu({ views, activeView = null, canEdit, onApply, onSave, onDelete, showSpectacle = false }) {
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message || "Erreur d'enregistrement");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submit = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    run(async () => {
+      await onSave(trimmed);
+      setNaming(false);
+    });
+  };
+
+  if (!views.length && !(onSave && canEdit)) return null;
+
+  return (
+    <div className="flex items-center gap-2">
+      {views.length > 0 && (
+        <select
+          value={activeView?.id || ""}
+          onChange={(e) => {
+            const view = views.find((v) => v.id === e.target.value);
+            if (view) onApply(view);
+          }}
+          className={SELECT_CLASS}
+          style={{ fontSize: 11, padding: "3px 8px", minWidth: 180 }}
+          title="Restaurer une vue enregistrée"
+        >
+          <option value="">Vues enregistrées…</option>
+          {views.map((v) => (
+            <option key={v.id} value={v.id}>
+              {showSpectacle && v.spectacleName ? `${v.name} — ${v.spectacleName}` : v.name}
+            </option>
+          ))}
+        </select>
+      )}
+      {onSave && canEdit && !naming && (
+        <button
+          onClick={() => {
+            setName(activeView?.name || "");
+            setNaming(true);
+          }}
+          className={BTN_CLASS}
+          title="Enregistrer les filtres, la période et la sélection actuels"
+        >
+          Enregistrer la vue
+        </button>
+      )}
+      {naming && (
+        <>
+          <input
+            type="text"
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") submit();
+              if (e.key === "Escape") setNaming(false);
+            }}
+            placeholder="Nom de la vue"
+            className={SELECT_CLASS}
+            style={{ fontSize: 11, padding: "3px 8px", width: 200 }}
+          />
+          <button onClick={submit} disabled={busy || !name.trim()} className={BTN_CLASS}>
+            OK
+          </button>
+          <button onClick={() => setNaming(false)} className={BTN_CLASS}>
+            Annuler
+          </button>
+        </>
+      )}
+      {onDelete && canEdit && activeView && !naming && (
+        <button
+          onClick={() => run(() => onDelete(activeView.id))}
+          disabled={busy}
+          className={BTN_CLASS}
+          title={`Supprimer la vue « ${activeView.name} »`}
+        >
+          ✕
+        </button>
+      )}
+      {error && <span className="text-xs text-red-red dark:text-red-redLight1">{error}</span>}
+    </div>
+  );
+}
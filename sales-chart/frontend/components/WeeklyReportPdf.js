@@ -0,0 +1,104 @@
+import { Document, Page, Text, View, StyleSheet, pdf } from "@react-pdf/renderer";
+import { formatDate } from "../utils/format";
+import { triggerDownload } from "../utils/weeklyReport";
+
+// --- Printable "Rapport hebdomadaire" ---
+// Renders buildWeeklyReport() output: one landscape section per artist, shows as
+// rows, the weekly window as columns (cumulative sold, with the week's delta
+// underneath), then the latest fill rate and last week's revenue. The XLSX
+// carries the full per-week revenue; the PDF is the at-a-glance version mailed
+// to managers.
+
+// Built-in Helvetica only: it covers French accents, no font to fetch. Its
+// WinAnsi encoding has no narrow no-break space, hence the plain spaces in num().
+
+// Sized so 16 weeks fit a landscape Letter page.
+const LABEL_W = 130;
+const WEEK_W = 32;
+const TAIL_W = 44;
+const styles = StyleSheet.create({
+  page: { paddingVertical: 28, paddingHorizontal: 24, fontFamily: "Helvetica", fontSize: 7, color: "#111827" },
+  title: { fontFamily: "Helvetica-Bold", fontSize: 15, color: "#13324b" },
+  subtitle: { fontSize: 9, color: "#6b7280", marginTop: 2, marginBottom: 10 },
+  row: { flexDirection: "row", borderBottomWidth: 0.5, borderBottomColor: "#e5e7eb", paddingVertical: 2 },
+  headerRow: { flexDirection: "row", backgroundColor: "#f2f4f8", paddingVertical: 3 },
+  totalRow: { flexDirection: "row", paddingVertical: 3, fontFamily: "Helvetica-Bold" },
+  label: { width: LABEL_W, paddingHorizontal: 3 },
+  labelSub: { color: "#6b7280" },
+  cell: { width: WEEK_W, textAlign: "right", paddingHorizontal: 2 },
+  tail: { width: TAIL_W, textAlign: "right", paddingHorizontal: 2 },
+  delta: { color: "#6b7280" },
+  bold: { fontFamily: "Helvetica-Bold" },
+});
+
+const num = (v) =>
+  v == null ? "" : Number(v).toLocaleString("fr-FR", { maximumFractionDigits: 0 }).replace(/[\u202f\u00a0]/g, " ");
+const pct = (v) => (v == null ? "—" : `${(v * 100).toLocaleString("fr-FR", { maximumFractionDigits: 1 })} %`);
+const money = (v) => (v == null ? "—" : `${num(v)} $`);
+
+function ArtistSection({ artist, weeks }) {
+  const lastIdx = weeks.length - 1;
+  return (
+    <Page size="LETTER" orientation="landscape" style={styles.page}>
+      <Text style={styles.title}>{artist.name}</Text>
+      <Text style={styles.subtitle}>
+        Billets vendus cumulés par semaine (variation en gris) · semaine du {formatDate(weeks[lastIdx])}
+      </Text>
+      <View style={styles.headerRow} fixed>
+        <Text style={[styles.label, styles.bold]}>Représentation</Text>
+        {weeks.map((w) => (
+          <Text key={w} style={[styles.cell, styles.bold]}>
+            {formatDate(w)}
+          </Text>
+        ))}
+        <Text style={[styles.tail, styles.bold]}>Rempl.</Text>
+        <Text style={[styles.tail, styles.bold]}>Rev. sem.</Text>
+      </View>
+      {artist.shows.map((show, i) => (
+        <View key={i} style={styles.row} wrap={false}>
+          <View style={styles.label}>
+            <Text>{show.spectacle}</Text>
+            <Text style={styles.labelSub}>
+              {[show.date, show.ville, show.salle].filter(Boolean).join(" · ")}
+            </Text>
+          </View>
+          {weeks.map((w, wi) => (
+            <View key={w} style={styles.cell}>
+              <Text>{show.sold[wi] > 0 ? num(show.sold[wi]) : ""}</Text>
+              <Text style={styles.delta}>{show.delta[wi] ? `+${num(show.delta[wi])}` : ""}</Text>
+            </View>
+          ))}
+          <Text style={styles.tail}>{pct(show.fill)}</Text>
+          <Text style={styles.tail}>{money(show.revenue[lastIdx])}</Text>
+        </View>
+      ))}
+      <View style={styles.totalRow} wrap={false}>
+        <Text style={styles.label}>Total</Text>
+        {weeks.map((w, wi) => (
+          <Text key={w} style={styles.cell}>
+            {num(artist.totals.sold[wi])}
+          </Text>
+        ))}
+        <Text style={styles.tail}>
+          {pct(artist.totals.capacity ? artist.totals.sold[lastIdx] / artist.totals.capacity : null)}
+        </Text>
+        <Text style={styles.tail}>{money(artist.totals.revenue[lastIdx])}</Text>
+      </View>
+    </Page>
+  );
+}
+
+export function WeeklyReportPdf({ report }) {
+  return (
+    <Document title={`Rapport hebdomadaire — ${report.generatedIso}`}>
+      {report.artists.map((artist, i) => (
+        <ArtistSection key={i} artist={artist} weeks={report.weeks} />
+      ))}
+    </Document>
+  );
+}
+
+export async function downloadWeeklyReportPdf(report) {
+  const blob = await pdf(<WeeklyReportPdf report={report} />).toBlob();
+  triggerDownload(blob, `rapport-hebdomadaire-${report.generatedIso}.pdf`);
+}
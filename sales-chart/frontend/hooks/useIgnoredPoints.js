@@ -0,0 +1,51 @@
+import { useMemo } from "react";
+import { useGlobalConfig, useSession } from "@airtable/blocks/interface/ui";
+import { pointKey } from "../utils/anomalies";
+
+// --- Sales points marked "ignored" (data-quality correction log) ---
+// Stored in globalConfig as a list of { recordId, date, by, at } so every
+// collaborator sees the same corrected chart, and who ignored what stays on
+// record. Returns { ignored: Map(pointKey -> entry), canEdit, toggle }.
+// Every sales_report reader applies the list (fetchSalesRows' `ignored`).
+// `knownRecordIds` (Set of every representation id) lets toggle() drop the
+// entries of deleted representations; the list is also capped at
+// MAX_IGNORED entries, oldest dropped first, to stay well within globalConfig's
+// size limit.
+const IGNORED_KEY = "ignoredSalesPoints";
+const MAX_IGNORED = 500;
+
+const readIgnored = (raw) =>
+  Array.isArray(raw) ? raw.filter((e) => e && e.recordId && e.date) : [];
+
+export function useIgnoredPoints(knownRecordIds = null) {
+  const globalConfig = useGlobalConfig();
+  const session = useSession();
+  const raw = globalConfig.get(IGNORED_KEY);
+  const ignored = useMemo(
+    () => new Map(readIgnored(raw).map((e) => [pointKey(e.recordId, e.date), e])),
+    [raw],
+  );
+  const canEdit = globalConfig.hasPermissionToSet(IGNORED_KEY);
+
+  // Re-reads the stored list so a concurrent edit is not overwritten.
+  const toggle = async (recordId, date) => {
+    const current = readIgnored(globalConfig.get(IGNORED_KEY)).filter(
+      (e) => !knownRecordIds?.size || knownRecordIds.has(e.recordId),
+    );
+    const key = pointKey(recordId, date);
+    const next = current.some((e) => pointKey(e.recordId, e.date) === key)
+      ? current.filter((e) => pointKey(e.recordId, e.date) !== key)
+      : [
+          ...current,
+          {
+            recordId,
+            date,
+            by: session.currentUser?.name || session.currentUser?.email || "",
+            at: new Date().toISOString(),
+          },
+        ];
+    await globalConfig.setAsync(IGNORED_KEY, next.slice(-MAX_IGNORED));
+  };
+
+  return { ignored, canEdit, toggle };
+}
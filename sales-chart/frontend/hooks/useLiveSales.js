@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef } from "react";
+import { pollSalesRows, appendSalesRows } from "../utils/salesReport";
+import { subscribeSalesChanges } from "../utils/salesRealtime";
+
+// Polling interval without realtime.
+const POLL_MS = 30000;
+// Safety poll while subscribed: catches rows realtime did not push (table not
+// in the realtime publication, dropped messages).
+const REALTIME_POLL_MS = 5 * 60000;
+
+// --- Live sales updates (opt-in, show day) ---
+// While `enabled`, follows the new and updated sales_report rows of
+// `recordIds` (comma string): through Supabase realtime when the channel
+// joins, else by polling from the last cached day on. Only the new or changed
+// rows reach `onRows`, so callers merge them (mergeSalesRows) instead of
+// refetching. Offline, polling pauses and
+// resumes with a catch-up poll as soon as the browser is back online.
+// Returns { mode: null | "realtime" | "polling" | "offline", lastUpdate
+// (Date of the last successful check or push), error }.
+export function useLiveSales({ enabled, supabaseUrl, supabaseAnonKey, baseId, recordIds, onRows }) {
+  const [mode, setMode] = useState(null);
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [error, setError] = useState(null);
+  const onRowsRef = useRef(onRows);
+  useEffect(() => {
+    onRowsRef.current = onRows;
+  });
+
+  useEffect(() => {
+    if (!enabled || !supabaseUrl || !supabaseAnonKey || !recordIds) {
+      setMode(null);
+      return;
+    }
+    const ids = recordIds.split(",");
+    const idSet = new Set(ids);
+    let cancelled = false;
+    let realtime = false;
+    let running = false;
+    let timer = null;
+
+    const deliver = (rows) => {
+      if (cancelled) return;
+      setLastUpdate(new Date());
+      setError(null);
+      if (rows.length) onRowsRef.current(rows);
+    };
+
+    const poll = async () => {
+      clearTimeout(timer);
+      if (cancelled || running) return;
+      if (!navigator.onLine) {
+        setMode("offline");
+        return;
+      }
+      running = true;
+      try {
+        deliver(await pollSalesRows({ supabaseUrl, supabaseAnonKey, baseId, recordIds: ids }));
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+      running = false;
+      if (cancelled) return;
+      setMode(realtime ? "realtime" : "polling");
+      timer = setTimeout(poll, realtime ? REALTIME_POLL_MS : POLL_MS);
+    };
+
+    const goOffline = () => {
+      clearTimeout(timer);
+      setMode("offline");
+    };
+    window.addEventListener("online", poll);
+    window.addEventListener("offline", goOffline);
+
+    const unsubscribe = subscribeSalesChanges({
+      supabaseUrl,
+      supabaseAnonKey,
+      baseId,
+      onRow: (row) => {
+        if (idSet.has(row.record_id)) deliver(appendSalesRows(baseId, [row]));
+      },
+      // Either way, poll now: a catch-up once joined, the fallback otherwise.
+      onStatus: (status) => {
+        realtime = status === "joined";
+        poll();
+      },
+    });
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      unsubscribe();
+      window.removeEventListener("online", poll);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [enabled, recordIds, supabaseUrl, supabaseAnonKey, baseId]);
+
+  return { mode: enabled ? mode : null, lastUpdate, error };
+}
@@ -1,16 +1,21 @@
 import { useState, useMemo, useEffect } from "react";
+import { EMPTY_FILTER_GROUP, applyFilterGroup, selectFieldOptions } from "../utils/repFilters";
 
 // --- Shared date/city/venue filtering for the events table ---
 // Used by both the per-spectacle detail page and the global all-events page.
-export function useRepFilters(representations) {
-  const [showAll, setShowAll] = useState(false);
-  const [filterVille, setFilterVille] = useState("");
-  const [filterSalle, setFilterSalle] = useState("");
+// `initial` ({ showAll, filterVille, filterSalle, filterGroup }, e.g. a saved
+// view) seeds the state on mount only. filterGroup holds the filter builder's
+// AND/OR conditions (utils/repFilters.js).
+export function useRepFilters(representations, initial = null) {
+  const [showAll, setShowAll] = useState(() => !!initial?.showAll);
+  const [filterVille, setFilterVille] = useState(() => initial?.filterVille || "");
+  const [filterSalle, setFilterSalle] = useState(() => initial?.filterSalle || "");
+  const [filterGroup, setFilterGroup] = useState(() => initial?.filterGroup || EMPTY_FILTER_GROUP);
 
   // Default filter: upcoming events only (date >= today). Everything else
   // (statut, site web, en vente) is deliberately NOT filtered — those values
-  // vary too much from one base to the next to be a safe default, and are
-  // visible as columns in the table anyway.
+  // vary too much from one base to the next to be a safe default; they are
+  // visible as columns and can be filtered explicitly with the filter builder.
   const filteredByDate = useMemo(() => {
     if (showAll) return representations;
     const today = new Date();
@@ -28,12 +33,14 @@ export function useRepFilters(representations) {
     return [...set].sort((a, b) => a.localeCompare(b, "fr"));
   }, [filteredByDate]);
 
+  const filterOptions = useMemo(() => selectFieldOptions(filteredByDate), [filteredByDate]);
+
   const filteredReps = useMemo(() => {
     let reps = filteredByDate;
     if (filterVille) reps = reps.filter((r) => r.colVille === filterVille);
     if (filterSalle) reps = reps.filter((r) => r.colSalle === filterSalle);
-    return reps;
-  }, [filteredByDate, filterVille, filterSalle]);
+    return applyFilterGroup(reps, filterGroup);
+  }, [filteredByDate, filterVille, filterSalle, filterGroup]);
 
   // Reset stale filters when options change
   useEffect(() => {
@@ -45,7 +52,9 @@ export function useRepFilters(representations) {
     showAll, setShowAll,
     filterVille, setFilterVille,
     filterSalle, setFilterSalle,
+    filterGroup, setFilterGroup,
     uniqueVilles, uniqueSalles,
+    filterOptions,
     filteredReps,
   };
 }
@@ -0,0 +1,93 @@
+import { useState, useMemo, useEffect } from "react";
+import { forecastRepresentation } from "../utils/forecast";
+import { fetchSalesRows } from "../utils/salesReport";
+import { useIgnoredPoints } from "./useIgnoredPoints";
+import { localTodayIso } from "../utils/format";
+
+// Past shows kept as comparables per representation (most recent first).
+const MAX_COMPARABLES = 10;
+
+// --- Projected final attendance for upcoming representations ---
+// `reps` are the representations to forecast (past ones are skipped);
+// `allReps` is the pool comparables are drawn from: past shows sharing the
+// venue (colSalle) or a spectacle with the target. Both sets are read through
+// the shared sales_report cache. Returns { forecasts: { repId: forecast } }.
+export function useSalesForecast({ reps, allReps, supabaseUrl, supabaseAnonKey, baseId, refreshKey }) {
+  const [rowsByRec, setRowsByRec] = useState({});
+
+  const todayIso = useMemo(() => localTodayIso(), []);
+
+  const upcoming = useMemo(
+    () => reps.filter((r) => r.dateRepIso && r.dateRepIso > todayIso),
+    [reps, todayIso],
+  );
+
+  // targetId -> [past rep], most recent first
+  const comparablesByRep = useMemo(() => {
+    const past = allReps
+      .filter((r) => r.dateRepIso && r.dateRepIso < todayIso)
+      .sort((a, b) => b.dateRepIso.localeCompare(a.dateRepIso));
+    const out = {};
+    upcoming.forEach((rep) => {
+      out[rep.id] = past
+        .filter(
+          (p) =>
+            (rep.colSalle && p.colSalle === rep.colSalle) ||
+            p.spectacleIds.some((sid) => rep.spectacleIds.includes(sid)),
+        )
+        .slice(0, MAX_COMPARABLES);
+    });
+    return out;
+  }, [upcoming, allReps, todayIso]);
+
+  const idsStr = useMemo(() => {
+    const ids = new Set(upcoming.map((r) => r.id));
+    Object.values(comparablesByRep).forEach((list) => list.forEach((p) => ids.add(p.id)));
+    return [...ids].sort().join(",");
+  }, [upcoming, comparablesByRep]);
+
+  const { ignored } = useIgnoredPoints();
+
+  useEffect(() => {
+    if (!supabaseUrl || !supabaseAnonKey || !idsStr) {
+      setRowsByRec({});
+      return;
+    }
+    let didCancel = false;
+    fetchSalesRows({ supabaseUrl, supabaseAnonKey, baseId, recordIds: idsStr.split(","), ignored })
+      .then((rows) => {
+        if (didCancel) return;
+        const grouped = {};
+        rows.forEach((r) => {
+          (grouped[r.record_id] = grouped[r.record_id] || []).push(r);
+        });
+        setRowsByRec(grouped);
+      })
+      .catch(() => {
+        if (!didCancel) setRowsByRec({});
+      });
+    return () => {
+      didCancel = true;
+    };
+  }, [idsStr, supabaseUrl, supabaseAnonKey, baseId, ignored, refreshKey]);
+
+  const forecasts = useMemo(() => {
+    const out = {};
+    upcoming.forEach((rep) => {
+      const f = forecastRepresentation({
+        rows: rowsByRec[rep.id] || [],
+        showIso: rep.dateRepIso,
+        comparables: (comparablesByRep[rep.id] || []).map((p) => ({
+          rows: rowsByRec[p.id] || [],
+          showIso: p.dateRepIso,
+        })),
+        capacity: rep.capacity,
+        todayIso,
+      });
+      if (f) out[rep.id] = f;
+    });
+    return out;
+  }, [upcoming, comparablesByRep, rowsByRec, todayIso]);
+
+  return { forecasts };
+}
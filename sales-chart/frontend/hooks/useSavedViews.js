@@ -0,0 +1,28 @@
+import { useMemo } from "react";
+import { useGlobalConfig } from "@airtable/blocks/interface/ui";
+import { SAVED_VIEWS_KEY, readSavedViews, upsertView } from "../utils/savedViews";
+
+// --- Saved views stored in globalConfig (shared by every collaborator) ---
+// Returns { views, canEdit, saveView, deleteView }. canEdit is false for
+// collaborators who may not change the extension's config; they can still
+// apply views.
+export function useSavedViews() {
+  const globalConfig = useGlobalConfig();
+  const raw = globalConfig.get(SAVED_VIEWS_KEY);
+  const views = useMemo(() => readSavedViews(raw), [raw]);
+  const canEdit = globalConfig.hasPermissionToSet(SAVED_VIEWS_KEY);
+
+  // Both re-read the current value so a concurrent edit by someone else is
+  // not overwritten with this render's copy.
+  const saveView = async (view) => {
+    const current = readSavedViews(globalConfig.get(SAVED_VIEWS_KEY));
+    await globalConfig.setAsync(SAVED_VIEWS_KEY, upsertView(current, view));
+  };
+
+  const deleteView = async (id) => {
+    const current = readSavedViews(globalConfig.get(SAVED_VIEWS_KEY));
+    await globalConfig.setAsync(SAVED_VIEWS_KEY, current.filter((v) => v.id !== id));
+  };
+
+  return { views, canEdit, saveView, deleteView };
+}
@@ -0,0 +1,32 @@
+import { useState } from "react";
+import { useGlobalConfig, useSession } from "@airtable/blocks/interface/ui";
+
+// --- Per-user layout of a representations table ---
+// { order: [columnKey], hidden: [columnKey], sort: { key, dir } | null,
+// groupBy: "" | "ville" | "salle" | "month" }, stored in globalConfig under
+// ["tableLayouts", userId, tableId] so each collaborator keeps their own.
+// Users who may not write the config still get the layout for the session.
+const LAYOUTS_KEY = "tableLayouts";
+
+export const EMPTY_LAYOUT = { order: [], hidden: [], sort: null, groupBy: "" };
+
+export function useTableLayout(tableId) {
+  const globalConfig = useGlobalConfig();
+  const session = useSession();
+  const userId = session.currentUser?.id || "anonymous";
+  const path = [LAYOUTS_KEY, userId, tableId];
+  const stored = globalConfig.get(path);
+  const [local, setLocal] = useState(null);
+  const layout = { ...EMPTY_LAYOUT, ...(local || (stored && typeof stored === "object" ? stored : {})) };
+
+  const setLayout = (patch) => {
+    const next = { ...layout, ...patch };
+    setLocal(next);
+    if (globalConfig.hasPermissionToSet(path, next)) {
+      // Best effort: a failed write only loses persistence, not the layout.
+      globalConfig.setAsync(path, next).catch(() => {});
+    }
+  };
+
+  return [layout, setLayout];
+}
@@ -2,7 +2,7 @@ import { FieldType } from "@airtable/blocks/interface/models";
 
 // --- Custom Properties Definition ---
 
-export function getCustomProperties(base, selectedSpectaclesTableId, selectedRepsTableId) {
+export function getCustomProperties(base, selectedSpectaclesTableId, selectedRepsTableId, selectedObjectivesTableId) {
   const tables = base.tables;
   const heuristicSpectacles =
     tables.find((t) => t.name.toLowerCase().includes("projet")) ||
@@ -14,12 +14,19 @@ export function getCustomProperties(base, selectedSpectaclesTableId, selectedRep
     tables.find((t) => t !== heuristicSpectacles) ||
     tables[1] ||
     tables[0];
+  const heuristicObjectives =
+    tables.find((t) => t.name.toLowerCase().includes("objectif")) ||
+    tables.find((t) => t.name.toLowerCase().includes("jalon")) ||
+    heuristicSpectacles;
   const spectaclesTable =
     (selectedSpectaclesTableId && base.getTableByIdIfExists(selectedSpectaclesTableId)) ||
     heuristicSpectacles;
   const repsTable =
     (selectedRepsTableId && base.getTableByIdIfExists(selectedRepsTableId)) ||
     heuristicReps;
+  const objectivesTable =
+    (selectedObjectivesTableId && base.getTableByIdIfExists(selectedObjectivesTableId)) ||
+    heuristicObjectives;
 
   const isLinkOrLookupField = (field) => {
     const t = field.config.type;
@@ -313,6 +320,42 @@ export function getCustomProperties(base, selectedSpectaclesTableId, selectedRep
       table: repsTable,
       shouldFieldBeAllowed: isCheckboxLikeField,
     },
+    // --- Producer objectives (optional) ---
+    // One record per milestone: the spectacle, the J-x and the cumulative
+    // revenue and/or tickets each of its representations should have reached.
+    {
+      key: "objectivesTable",
+      label: "Table des objectifs producteur (jalons J-x, optionnel)",
+      type: "table",
+    },
+    {
+      key: "objectiveSpectacleField",
+      label: "Champ lien vers Projet/Spectacle (dans Objectifs)",
+      type: "field",
+      table: objectivesTable,
+      shouldFieldBeAllowed: isLinkOrLookupField,
+    },
+    {
+      key: "objectiveDaysField",
+      label: "Champ jalon, en jours avant l'evenement (ex: 30 ou J-30)",
+      type: "field",
+      table: objectivesTable,
+      shouldFieldBeAllowed: isAnyField,
+    },
+    {
+      key: "objectiveRevenueField",
+      label: "Champ Revenus cumules vises par evenement (dans Objectifs)",
+      type: "field",
+      table: objectivesTable,
+      shouldFieldBeAllowed: isNumericField,
+    },
+    {
+      key: "objectiveTicketsField",
+      label: "Champ Billets cumules vises par evenement (dans Objectifs)",
+      type: "field",
+      table: objectivesTable,
+      shouldFieldBeAllowed: isNumericField,
+    },
     // --- Supabase ---
     {
       key: "supabaseUrl",
@@ -0,0 +1,78 @@
+// --- Sales velocity alerts for upcoming shows ---
+// A show is judged on where it stands *today* relative to where it should be
+// given the days remaining, not on its raw fill: 30 % sold is fine at J-90 and
+// alarming at J-7. The target (in tickets) is the producer's revenue objective
+// (colObjectifRevenus) converted at the show's net unit price, capped by the
+// capacity; without an objective or a known price it falls back to capacity.
+// The share of the target expected by now follows the same kind of convex ramp
+// as buildObjectiveSeries (slow start, accelerating toward the show date).
+
+// Sales window the ramp spans: before J-SALES_HORIZON nothing is expected yet.
+const SALES_HORIZON_DAYS = 120;
+const EXPECTED_ACCEL = 2.2;
+// actual ÷ expected thresholds
+const LATE_BELOW = 0.7;
+const WATCH_BELOW = 0.9;
+
+export const ALERT_LEVELS = {
+  late: { key: "late", label: "En retard", color: "redBright", rank: 0 },
+  watch: { key: "watch", label: "À surveiller", color: "orangeLight1", rank: 1 },
+  ok: { key: "ok", label: "OK", color: "greenBright", rank: 2 },
+};
+
+// Share of the final target expected to be sold with `daysLeft` days to go.
+export function expectedShare(daysLeft) {
+  if (daysLeft <= 0) return 1;
+  if (daysLeft >= SALES_HORIZON_DAYS) return 0;
+  return Math.pow((SALES_HORIZON_DAYS - daysLeft) / SALES_HORIZON_DAYS, EXPECTED_ACCEL);
+}
+
+// Days until the show: the configured "J. restants" column when it reads as a
+// number, else computed from the show date against `todayIso`.
+export function daysRemaining(rep, todayIso) {
+  const fromCol = parseInt(String(rep.colJoursRestants || "").replace(/\s/g, ""), 10);
+  if (!isNaN(fromCol)) return fromCol;
+  if (!rep.dateRepIso || !todayIso) return null;
+  const toUtc = (iso) => {
+    const [y, m, d] = iso.split("-").map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((toUtc(rep.dateRepIso) - toUtc(todayIso)) / 86400000);
+}
+
+// Evaluates one upcoming representation.
+// - sold: current cumulative tickets sold;
+// - price: net unit price (see computeWeekDeltas), null when unknown;
+// - forecast: its forecastRepresentation() result, optional.
+// Returns null when the show has no usable target or is already past, else
+// { level, daysLeft, target, expected, sold, ratio, projected,
+//   shortfall, shortfallRevenue } (tickets, shortfall ≥ 0).
+export function evaluateSalesAlert({ rep, sold, price, forecast, todayIso }) {
+  const daysLeft = daysRemaining(rep, todayIso);
+  if (daysLeft == null || daysLeft < 0) return null;
+  const capacity = rep.capacity || rep.colCapacite || null;
+  let target = null;
+  if (rep.colObjectifRevenus && price) target = rep.colObjectifRevenus / price;
+  if (capacity) target = target != null ? Math.min(target, capacity) : capacity;
+  if (!target) return null;
+
+  const expected = target * expectedShare(daysLeft);
+  // Nothing expected yet (far-off show): on track by definition.
+  const ratio = expected > 0 ? (sold || 0) / expected : 1;
+  const level =
+    ratio < LATE_BELOW ? ALERT_LEVELS.late : ratio < WATCH_BELOW ? ALERT_LEVELS.watch : ALERT_LEVELS.ok;
+
+  const projected = forecast ? forecast.projected : null;
+  const shortfall = projected != null ? Math.max(0, target - projected) : null;
+  return {
+    level,
+    daysLeft,
+    target,
+    expected,
+    sold: sold || 0,
+    ratio,
+    projected,
+    shortfall,
+    shortfallRevenue: shortfall != null && price ? shortfall * price : null,
+  };
+}
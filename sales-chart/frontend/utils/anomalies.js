@@ -0,0 +1,120 @@
+// --- sales_report data-quality checks ---
+// aggregateSalesByDate absorbs glitches (running max on sold/total, last value
+// on free); this module lists them instead, per representation:
+// - dip: cumulative `sold` (or `total`) reported below an earlier value;
+// - spike: a lone value far above both neighbours, which the running max would
+//   otherwise lock in (`sold`, `total`) or show for a day (`free`, e.g. the 5908
+//   between two 7s);
+// - gap: GAP_MIN_DAYS or more days without a report between two reports.
+// A point (one representation on one day) can be marked ignored; withoutIgnored
+// drops those rows before aggregation so the chart skips them.
+
+// Missing days between two reports before it counts as a gap.
+const GAP_MIN_DAYS = 2;
+// A `free` value is a spike when it exceeds FREE_SPIKE_RATIO × the larger
+// neighbour by at least FREE_SPIKE_MIN tickets (faveurs legitimately move by a
+// few units and get corrected downward).
+const FREE_SPIKE_RATIO = 5;
+const FREE_SPIKE_MIN = 50;
+
+export const ANOMALY_KINDS = {
+  dip: { label: "Creux", color: "orangeLight1" },
+  spike: { label: "Pic", color: "redBright" },
+  gap: { label: "Trou", color: "gray" },
+};
+
+export const ANOMALY_METRICS = {
+  sold: "Vendus",
+  free: "Gratuits",
+  total: "Revenus",
+};
+
+export const pointKey = (recordId, date) => `${recordId}:${date}`;
+
+const dayOf = (row) => (row.date ? row.date.split("T")[0] : row.date);
+
+function daysBetween(a, b) {
+  const [ya, ma, da] = a.split("-").map(Number);
+  const [yb, mb, db] = b.split("-").map(Number);
+  return Math.round((Date.UTC(yb, mb - 1, db) - Date.UTC(ya, ma - 1, da)) / 86400000);
+}
+
+// Dips and spikes on a cumulative series. A drop right after a new high that
+// returns to the level before it is the high's fault (spike), otherwise the
+// drop itself is the anomaly (dip). `points` = [{ date, value }], date order.
+function cumulativeAnomalies(points, metric, recordId) {
+  const out = [];
+  let maxBefore = -Infinity; // running max up to i-2
+  for (let i = 0; i < points.length; i++) {
+    const cur = points[i].value;
+    const prev = i > 0 ? points[i - 1].value : null;
+    const runMax = Math.max(maxBefore, prev ?? -Infinity);
+    if (prev != null && cur < runMax) {
+      const loneHigh = prev === runMax && prev > maxBefore && i >= 2 && cur >= points[i - 2].value;
+      if (loneHigh) {
+        const base = Math.max(points[i - 2].value, cur);
+        out.push({ recordId, date: points[i - 1].date, metric, kind: "spike", value: prev, expected: base, magnitude: prev - base });
+        // The spike no longer counts toward the running max.
+        maxBefore = Math.max(maxBefore, cur);
+        continue;
+      }
+      out.push({ recordId, date: points[i].date, metric, kind: "dip", value: cur, expected: runMax, magnitude: runMax - cur });
+    }
+    if (prev != null) maxBefore = Math.max(maxBefore, prev);
+  }
+  return out;
+}
+
+function freeSpikes(points, recordId) {
+  const out = [];
+  for (let i = 1; i < points.length - 1; i++) {
+    const neighbour = Math.max(points[i - 1].value, points[i + 1].value);
+    const v = points[i].value;
+    if (v - neighbour >= FREE_SPIKE_MIN && v > neighbour * FREE_SPIKE_RATIO) {
+      out.push({ recordId, date: points[i].date, metric: "free", kind: "spike", value: v, expected: neighbour, magnitude: v - neighbour });
+    }
+  }
+  return out;
+}
+
+// Every anomaly in `rows` (raw sales_report rows), newest first. Each entry:
+// { id, recordId, date, metric (null for gaps), kind, value, expected,
+// magnitude } — magnitude in tickets/dollars, or missing days for a gap.
+export function detectAnomalies(rows) {
+  const byRecord = {};
+  rows.forEach((r) => {
+    // Last row of a day wins, as in aggregateSalesByDate.
+    (byRecord[r.record_id] = byRecord[r.record_id] || {})[dayOf(r)] = r;
+  });
+  const out = [];
+  for (const rid in byRecord) {
+    const days = Object.keys(byRecord[rid]).sort();
+    const series = (read) => days.map((date) => ({ date, value: read(byRecord[rid][date]) }));
+    out.push(...cumulativeAnomalies(series((r) => Number(r.sold) || 0), "sold", rid));
+    // `total` is backfilled by a batch script: recent rows are 0/NULL until it
+    // runs, so only filled values are compared.
+    out.push(
+      ...cumulativeAnomalies(
+        series((r) => parseFloat(r.total) || 0).filter((p) => p.value > 0),
+        "total",
+        rid,
+      ),
+    );
+    out.push(...freeSpikes(series((r) => Number(r.free) || 0), rid));
+    for (let i = 1; i < days.length; i++) {
+      const missing = daysBetween(days[i - 1], days[i]) - 1;
+      if (missing >= GAP_MIN_DAYS) {
+        out.push({ recordId: rid, date: days[i - 1], metric: null, kind: "gap", value: null, expected: null, magnitude: missing, until: days[i] });
+      }
+    }
+  }
+  return out
+    .map((a) => ({ ...a, id: `${pointKey(a.recordId, a.date)}:${a.metric || "gap"}` }))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.recordId.localeCompare(b.recordId));
+}
+
+// Rows minus the ignored points (`ignored`: Set or Map of pointKey).
+export function withoutIgnored(rows, ignored) {
+  if (!ignored || !ignored.size) return rows;
+  return rows.filter((r) => !ignored.has(pointKey(r.record_id, dayOf(r))));
+}
@@ -0,0 +1,146 @@
+// --- Ticket sales breakdown by sales channel and price tier ---
+// sales_report may carry optional per-row breakdown columns, all cumulative
+// like `sold`:
+// - sold_box_office / sold_online / sold_partner: tickets per sales channel;
+// - sold_by_tier: JSON object { "<tier name>": tickets }.
+// Every helper here tolerates their absence (older projects, rows written
+// before the columns existed): missing values read as "not broken down", and
+// whatever `sold` is not attributed to a channel lands in "Non ventilé".
+
+export const CHANNELS = [
+  { key: "box_office", column: "sold_box_office", label: "Billetterie salle", color: "#cc0000" },
+  { key: "online", column: "sold_online", label: "En ligne", color: "#3b82f6" },
+  { key: "partner", column: "sold_partner", label: "Partenaires", color: "#8b46ff" },
+];
+export const UNASSIGNED = { key: "unassigned", label: "Non ventilé", color: "#aaaaaa" };
+const TIER_COLUMN = "sold_by_tier";
+
+export const BREAKDOWN_COLUMNS = [...CHANNELS.map((c) => c.column), TIER_COLUMN];
+
+const readNum = (v) => (v == null || v === "" ? null : Number(v) || 0);
+
+function readTiers(v) {
+  if (!v) return null;
+  let obj = v;
+  if (typeof v === "string") {
+    try {
+      obj = JSON.parse(v);
+    } catch {
+      return null;
+    }
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return null;
+  const out = {};
+  for (const name in obj) out[name] = Number(obj[name]) || 0;
+  return out;
+}
+
+// True when at least one row carries channel or tier data.
+export function hasBreakdown(rows) {
+  return rows.some(
+    (r) => CHANNELS.some((c) => readNum(r[c.column]) != null) || readTiers(r[TIER_COLUMN]),
+  );
+}
+
+// Latest breakdown per record (running max per channel/tier, like `sold`).
+// Returns { recordId: { sold, channels: { key: n }, unassigned, tiers: { name: n } | null } }.
+export function latestBreakdownByRecord(rows) {
+  const out = {};
+  const sorted = [...rows].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  for (const r of sorted) {
+    const rec = (out[r.record_id] = out[r.record_id] || {
+      sold: 0,
+      channels: Object.fromEntries(CHANNELS.map((c) => [c.key, 0])),
+      unassigned: 0,
+      tiers: null,
+    });
+    rec.sold = Math.max(rec.sold, Number(r.sold) || 0);
+    CHANNELS.forEach((c) => {
+      const v = readNum(r[c.column]);
+      if (v != null) rec.channels[c.key] = Math.max(rec.channels[c.key], v);
+    });
+    const tiers = readTiers(r[TIER_COLUMN]);
+    if (tiers) {
+      rec.tiers = rec.tiers || {};
+      for (const name in tiers) rec.tiers[name] = Math.max(rec.tiers[name] || 0, tiers[name]);
+    }
+  }
+  for (const rid in out) {
+    const rec = out[rid];
+    const attributed = CHANNELS.reduce((s, c) => s + rec.channels[c.key], 0);
+    rec.unassigned = Math.max(0, rec.sold - attributed);
+  }
+  return out;
+}
+
+// Sums latestBreakdownByRecord() over the given record ids.
+// Returns { sold, channels, unassigned, tiers: [{ name, sold }] sorted desc }.
+export function sumBreakdowns(byRecord, recordIds) {
+  const total = {
+    sold: 0,
+    channels: Object.fromEntries(CHANNELS.map((c) => [c.key, 0])),
+    unassigned: 0,
+    tiers: {},
+  };
+  recordIds.forEach((rid) => {
+    const rec = byRecord[rid];
+    if (!rec) return;
+    total.sold += rec.sold;
+    total.unassigned += rec.unassigned;
+    CHANNELS.forEach((c) => (total.channels[c.key] += rec.channels[c.key]));
+    if (rec.tiers) for (const name in rec.tiers) total.tiers[name] = (total.tiers[name] || 0) + rec.tiers[name];
+  });
+  return {
+    ...total,
+    tiers: Object.entries(total.tiers)
+      .map(([name, sold]) => ({ name, sold }))
+      .sort((a, b) => b.sold - a.sold),
+  };
+}
+
+// Per-day channel totals, same gap-filling as aggregateSalesByDate (each
+// record carries its last known value forward). Returns { isoDate: {
+// canal_<key>: n, canal_unassigned: n } } for merging into the chart series.
+export function aggregateChannelsByDate(rows) {
+  const byRecord = {};
+  const days = new Set();
+  rows.forEach((r) => {
+    const day = r.date ? r.date.split("T")[0] : r.date;
+    days.add(day);
+    (byRecord[r.record_id] = byRecord[r.record_id] || {})[day] = r;
+  });
+  const sortedDays = [...days].sort();
+  if (!sortedDays.length) return {};
+  const nextDay = (dateStr) => {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    const dt = new Date(y, m - 1, d + 1);
+    return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, "0")}-${String(dt.getDate()).padStart(2, "0")}`;
+  };
+  const last = {};
+  const out = {};
+  for (let day = sortedDays[0]; day <= sortedDays[sortedDays.length - 1]; day = nextDay(day)) {
+    const point = Object.fromEntries([...CHANNELS, UNASSIGNED].map((c) => [`canal_${c.key}`, 0]));
+    for (const rid in byRecord) {
+      const row = byRecord[rid][day];
+      if (row) {
+        const prev = last[rid] || { sold: 0, channels: {} };
+        const channels = {};
+        CHANNELS.forEach((c) => {
+          const v = readNum(row[c.column]);
+          channels[c.key] = Math.max(prev.channels[c.key] || 0, v || 0);
+        });
+        last[rid] = { sold: Math.max(prev.sold, Number(row.sold) || 0), channels };
+      }
+      const rec = last[rid];
+      if (!rec) continue;
+      let attributed = 0;
+      CHANNELS.forEach((c) => {
+        point[`canal_${c.key}`] += rec.channels[c.key];
+        attributed += rec.channels[c.key];
+      });
+      point.canal_unassigned += Math.max(0, rec.sold - attributed);
+    }
+    out[day] = point;
+  }
+  return out;
+}
@@ -31,3 +31,19 @@ export const AIRTABLE_COLORS = {
   grayBright:   { bg: "#666666", text: "#fff" },
   gray:         { bg: "#aaaaaa", text: "#fff" },
 };
+
+// --- Fill-rate scale ---
+// Shared by the events table's fill bars and the venue × month heatmap, so a
+// given rate reads the same colour everywhere. Thresholds apply to the rounded
+// percentage, highest first.
+export const FILL_RATE_STEPS = [
+  { min: 80, color: "greenBright", label: "≥ 80 %" },
+  { min: 50, color: "yellowBright", label: "50 – 79 %" },
+  { min: -Infinity, color: "redBright", label: "< 50 %" },
+];
+
+// Palette entry ({ bg, text }) for a fill rate given as a 0–1 ratio.
+export function fillRateColor(ratio) {
+  const pct = Math.round(ratio * 100);
+  return AIRTABLE_COLORS[FILL_RATE_STEPS.find((s) => pct >= s.min).color];
+}
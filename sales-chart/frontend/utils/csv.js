@@ -1,43 +1,48 @@
-// Export the table rows (already filtered) to a CSV matching the displayed
-// columns. Semicolon-delimited + comma decimals + UTF-8 BOM for French Excel.
-export function downloadRepsCsv(reps, weekDeltas, showSpectacleCol, title) {
+import { CHANNELS, UNASSIGNED } from "./breakdown";
+
+// Export the table rows (already filtered, sorted) to a CSV with the visible
+// columns, in display order (`columns` from resolveColumns, `ctx` their value
+// context). Semicolon-delimited + comma decimals + UTF-8 BOM for French Excel.
+// `breakdowns` (latestBreakdownByRecord output, when sales_report carries the
+// optional columns) appends sold per channel and per price tier.
+export function downloadRepsCsv(reps, columns, ctx, title, breakdowns = null) {
   const num = (v) =>
     v == null || (typeof v === "number" && isNaN(v)) ? "" : String(v).replace(".", ",");
-  const sel = (v) => (v && v.text) || "";
-  const columns = [
-    ...(showSpectacleCol ? [["Spectacle", (r) => r.spectacleName || ""]] : []),
-    ["J. restants", (r) => r.colJoursRestants || ""],
-    ["Date", (r) => r.colDateRep || ""],
-    ["Salle", (r) => r.colSalle || ""],
-    ["Ville", (r) => r.colVille || ""],
-    ["Capacite", (r) => num(r.colCapacite)],
-    ["Places bloquees", (r) => num(r.colPlacesBloques)],
-    ["Billets dispo", (r) => num(r.colBilletsDispo)],
-    ["Total vendus", (r) => num(r.colTotalBilletsVendus)],
-    ["Total gratuits", (r) => num(r.colTotalBilletsGratuits)],
-    ["Vendus (sem.)", (r) => num(weekDeltas[r.id]?.sold)],
-    ["Revenus (sem.)", (r) => num(weekDeltas[r.id]?.revenue)],
-    ["Assistance", (r) => num(r.colAssistance)],
-    ["Taux remplissage (%)", (r) => (r.colTauxRemplissage != null ? num(Math.round(r.colTauxRemplissage * 100)) : "")],
-    ["Revenus billetterie", (r) => num(r.colRevenus)],
-    ["Statut rapport", (r) => sel(r.colStatutRapport)],
-    ["Objectif revenus", (r) => num(r.colObjectifRevenus)],
-    ["Mise a jour", (r) => sel(r.colMiseAJour)],
-    ["Priorisation", (r) => sel(r.colPriorisation)],
-    ["Billetterie Salle", (r) => sel(r.colBilleterieSalle)],
-    ["Note", (r) => sel(r.colNote)],
-    ["Statut", (r) => sel(r.colStatut)],
-    ["Site web", (r) => sel(r.colSiteWeb)],
+  const cell = (col, r) => {
+    const v = col.value(r, ctx);
+    if (col.type === "select") return (v && v.text) || "";
+    if (col.type === "fill") return v != null ? num(Math.round(v * 100)) : "";
+    if (col.type === "number" || col.type === "currency") return num(v);
+    return v ?? "";
+  };
+  const out = [
+    ...columns.map((col) => [col.csvLabel || col.label, (r) => cell(col, r)]),
+    ...(breakdowns ? breakdownColumns(reps, breakdowns, num) : []),
   ];
   const esc = (s) => {
     const str = String(s ?? "");
     return /[";\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
   };
-  const lines = [columns.map((c) => esc(c[0])).join(";")];
-  for (const r of reps) lines.push(columns.map((c) => esc(c[1](r))).join(";"));
+  const lines = [out.map((c) => esc(c[0])).join(";")];
+  for (const r of reps) lines.push(out.map((c) => esc(c[1](r))).join(";"));
   triggerCsvDownload(lines, title || "representations");
 }
 
+// One column per channel, "Non ventilé", then one per price tier seen in any
+// exported row (blank where a row has no tier data).
+function breakdownColumns(reps, breakdowns, num) {
+  const tierNames = new Set();
+  reps.forEach((r) => {
+    const tiers = breakdowns[r.id]?.tiers;
+    if (tiers) Object.keys(tiers).forEach((name) => tierNames.add(name));
+  });
+  return [
+    ...CHANNELS.map((c) => [`Vendus ${c.label}`, (r) => num(breakdowns[r.id]?.channels[c.key])]),
+    [`Vendus ${UNASSIGNED.label}`, (r) => num(breakdowns[r.id]?.unassigned)],
+    ...[...tierNames].sort().map((name) => [`Tarif ${name}`, (r) => num(breakdowns[r.id]?.tiers?.[name])]),
+  ];
+}
+
 // Shared writer: prepend a UTF-8 BOM, join with CRLF, and trigger a download.
 function triggerCsvDownload(lines, title) {
   const csv = "﻿" + lines.join("\r\n");
@@ -57,13 +62,14 @@ const csvEsc = (s) => {
   return /[";\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
 };
 
-// Export the artists weekly sold grid. One row per représentation, columns:
-// Artiste, Spectacle, Date, Ville, then one column per week (ISO Monday) holding
-// the cumulative tickets sold as of that week. `soldByRec` = { repId: [perWeek] }.
-export function downloadArtistsCsv(artists, weeks, soldByRec, title) {
+// Export the artists sold grid. One row per représentation, columns: Artiste,
+// Spectacle, Date, Ville, then one column per bucket (see utils/timeBuckets.js;
+// headed by its key: ISO start date, or "J-x" when aligned) holding the
+// cumulative tickets sold as of its end. `soldByRec` = { repId: [perBucket] }.
+export function downloadArtistsCsv(artists, buckets, soldByRec, title) {
   const num = (v) =>
     v == null || (typeof v === "number" && isNaN(v)) ? "" : String(v).replace(".", ",");
-  const header = ["Artiste", "Spectacle", "Date", "Ville", ...weeks.map((w) => w.mondayIso)];
+  const header = ["Artiste", "Spectacle", "Date", "Ville", ...buckets.map((b) => b.key)];
   const lines = [header.map(csvEsc).join(";")];
   artists.forEach((artist) => {
     artist.spectacles.forEach((spec) => {
@@ -74,8 +80,8 @@ export function downloadArtistsCsv(artists, weeks, soldByRec, title) {
           spec.projetName,
           show.dateRepIso || show.colDateRep || "",
           show.colVille || "",
-          ...weeks.map((w, wi) => {
-            const v = series ? series[wi] : 0;
+          ...buckets.map((b, bi) => {
+            const v = series ? series[bi] : 0;
             return v > 0 ? num(v) : "";
           }),
         ];
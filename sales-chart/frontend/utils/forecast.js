@@ -0,0 +1,174 @@
+import { localTodayIso } from "./format";
+
+// --- Sales pace forecasting ---
+// Projects each upcoming representation's cumulative `sold` up to its show
+// date. Two estimates are blended:
+// - its own recent pace (tickets/day over the last 14 days, extended linearly
+//   over the days remaining);
+// - the pickup of comparable past shows (same venue or same spectacle): a show
+//   that had sold `at` tickets at J-x and finished at `final` scales the current
+//   count by final/at.
+// The confidence band spans the pace over shorter/longer windows (7 and 28
+// days) and the inter-quartile range of the comparable estimates, clamped to
+// [current sold, capacity]. Day math runs on UTC day numbers built from the ISO
+// strings, so no timezone can shift a date.
+
+const DAY_MS = 86400000;
+const PACE_WINDOW = 14;
+const BAND_WINDOWS = [7, 28];
+// Comparables whose J-x count was under this share of their final total are
+// skipped: final/at explodes for shows that barely sold early on.
+const MIN_COMPARABLE_SHARE = 0.05;
+// Weight of the comparables estimate once there are enough of them; ramps up
+// linearly from 0 with the number of usable comparables.
+const COMPARABLE_WEIGHT = 0.5;
+const FULL_WEIGHT_COMPARABLES = 3;
+
+const dayNum = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+};
+const isoFromDayNum = (n) => new Date(n * DAY_MS).toISOString().slice(0, 10);
+
+// Sorts one record's rows into [{ day, sold }] with `sold` as a running max
+// (same monotonic clamp as aggregateSalesByDate).
+function soldSeries(rows) {
+  const list = rows
+    .filter((r) => r.date)
+    .map((r) => ({ day: dayNum(r.date.split("T")[0]), sold: Number(r.sold) || 0 }))
+    .sort((a, b) => a.day - b.day);
+  let run = 0;
+  list.forEach((e) => {
+    if (e.sold > run) run = e.sold;
+    e.sold = run;
+  });
+  return list;
+}
+
+// Cumulative sold on/before `day` (0 before the first row).
+function soldAt(list, day) {
+  let sold = 0;
+  for (const e of list) {
+    if (e.day > day) break;
+    sold = e.sold;
+  }
+  return sold;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Forecast for one representation.
+// - rows: its sales_report rows; showIso: its date (YYYY-MM-DD);
+// - comparables: [{ rows, showIso }] of past shows (their full history);
+// - capacity: optional upper bound for the projection;
+// - todayIso: reference day (defaults to the local today).
+// Returns null for past/undated shows, else { current, projected, low, high,
+// daysLeft, comparableCount, fill, points: [{ date, projected, low, high }] }
+// with one point per day from tomorrow up to the show date.
+export function forecastRepresentation({ rows, showIso, comparables = [], capacity = null, todayIso }) {
+  if (!showIso) return null;
+  const ref = todayIso || localTodayIso();
+  const today = dayNum(ref);
+  const show = dayNum(showIso);
+  const daysLeft = show - today;
+  if (daysLeft <= 0) return null;
+
+  const list = soldSeries(rows || []);
+  const current = soldAt(list, today);
+  // A rep on sale for 3 days must not have its pace diluted over 14.
+  const onSaleDays = list.length ? Math.max(1, today - list[0].day) : 1;
+  const paceOver = (window) => {
+    const w = Math.min(window, onSaleDays);
+    return Math.max(0, (current - soldAt(list, today - w)) / w);
+  };
+  const paceFinal = (window) => current + paceOver(window) * daysLeft;
+  const paceProjection = paceFinal(PACE_WINDOW);
+  const paceBand = BAND_WINDOWS.map(paceFinal);
+
+  const compEstimates = [];
+  if (current > 0) {
+    comparables.forEach((comp) => {
+      if (!comp.showIso) return;
+      const cl = soldSeries(comp.rows || []);
+      const compShow = dayNum(comp.showIso);
+      const final = soldAt(cl, compShow);
+      const at = soldAt(cl, compShow - daysLeft);
+      if (final <= 0 || at < final * MIN_COMPARABLE_SHARE) return;
+      compEstimates.push(current * (final / at));
+    });
+  }
+  compEstimates.sort((a, b) => a - b);
+
+  const weight =
+    COMPARABLE_WEIGHT * Math.min(1, compEstimates.length / FULL_WEIGHT_COMPARABLES);
+  let projected = paceProjection;
+  let low = Math.min(...paceBand, paceProjection);
+  let high = Math.max(...paceBand, paceProjection);
+  if (compEstimates.length) {
+    projected = (1 - weight) * paceProjection + weight * quantile(compEstimates, 0.5);
+    low = Math.min(low, quantile(compEstimates, 0.25), projected);
+    high = Math.max(high, quantile(compEstimates, 0.75), projected);
+  }
+  const clamp = (v) => Math.max(current, capacity ? Math.min(capacity, v) : v);
+  projected = clamp(projected);
+  low = clamp(low);
+  high = clamp(high);
+
+  const points = [];
+  for (let d = today + 1; d <= show; d++) {
+    const t = (d - today) / daysLeft;
+    points.push({
+      date: isoFromDayNum(d),
+      projected: current + (projected - current) * t,
+      low: current + (low - current) * t,
+      high: current + (high - current) * t,
+    });
+  }
+
+  return {
+    current,
+    projected,
+    low,
+    high,
+    daysLeft,
+    comparableCount: compEstimates.length,
+    fill: capacity ? projected / capacity : null,
+    points,
+  };
+}
+
+// Sums per-rep forecasts into an aggregate extension, expressed as deltas over
+// today's total so it can be stacked on the last actual point of the
+// aggregated series. A rep whose show date has passed keeps its final value.
+// Returns [{ date, projected, low, high }] (deltas), sorted by date.
+export function aggregateForecastDeltas(forecasts) {
+  const list = forecasts.filter((f) => f && f.points.length);
+  if (!list.length) return [];
+  const lastDate = list.reduce((max, f) => {
+    const d = f.points[f.points.length - 1].date;
+    return d > max ? d : max;
+  }, "");
+  const out = [];
+  const start = dayNum(list[0].points[0].date);
+  for (let d = start; d <= dayNum(lastDate); d++) {
+    const date = isoFromDayNum(d);
+    let projected = 0;
+    let low = 0;
+    let high = 0;
+    list.forEach((f) => {
+      const idx = Math.min(d - start, f.points.length - 1);
+      const p = f.points[idx];
+      projected += p.projected - f.current;
+      low += p.low - f.current;
+      high += p.high - f.current;
+    });
+    out.push({ date, projected, low, high });
+  }
+  return out;
+}
@@ -1,3 +1,5 @@
+import { PRESETS } from "./constants";
+
 // --- Date & number formatting helpers (fr-FR locale) ---
 
 const MONTHS_SHORT = [
@@ -15,15 +17,32 @@ const MONTHS_SHORT = [
   "dec",
 ];
 
+// YYYY-MM-DD of a Date in local time. toISOString() would give the UTC day,
+// which is already tomorrow in the evening west of Greenwich.
+export const toLocalIso = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+export const localTodayIso = () => toLocalIso(new Date());
+
 // Default visible window: last 7 days (matches the "7j" preset). Used as the
 // initial date filter so charts open zoomed on recent weekly variation.
 export function defaultDateRange() {
-  const iso = (d) =>
-    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
   const now = new Date();
   const from = new Date(now);
   from.setDate(from.getDate() - 7);
-  return { from: iso(from), to: iso(now) };
+  return { from: toLocalIso(from), to: toLocalIso(now) };
+}
+
+// { from, to } of a date preset (see PRESETS), relative to now. Unknown keys
+// and "all" clear both bounds.
+export function presetRange(key) {
+  const p = PRESETS.find((x) => x.key === key);
+  if (!p || key === "all") return { from: "", to: "" };
+  const now = new Date();
+  const from = new Date(now);
+  if (p.days != null) from.setDate(from.getDate() - p.days);
+  else from.setMonth(from.getMonth() - p.months);
+  return { from: toLocalIso(from), to: p.days != null ? toLocalIso(now) : "" };
 }
 
 // Parses YYYY-MM-DD into a local-midnight Date. `new Date(iso)` would parse it
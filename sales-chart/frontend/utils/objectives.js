@@ -0,0 +1,141 @@
+import { computeWeekDeltas } from "./salesData";
+
+// --- Producer objectives: milestone curves per spectacle ---
+// Producers enter milestones in a linked Airtable table: for a spectacle, the
+// cumulative revenue and/or tickets each representation should have reached
+// J-x days before its date (e.g. J-90, J-30, J-7). A representation's
+// objective curve joins its spectacle's milestones linearly, starting from 0
+// at J-OBJECTIVE_ONSALE_DAYS (or twice the farthest milestone, whichever is
+// further out), and stays at the last milestone up to and after the show.
+// Aggregate curves (chart, roll-ups) sum the representations that have one.
+
+// Default on-sale horizon before the first milestone, in days.
+const OBJECTIVE_ONSALE_DAYS = 180;
+
+export const OBJECTIVE_METRICS = ["revenue", "tickets"];
+
+const dayMs = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+
+// Days from `iso` to the show (positive before it, negative after).
+export function daysBefore(showIso, iso) {
+  return Math.round((dayMs(showIso) - dayMs(iso)) / 86400000);
+}
+
+// Groups milestone entries ({ spectacleIds, days, revenue, tickets }) into
+// { spectacleId: { revenue: [{ days, value }], tickets: [...] } }, each list
+// sorted farthest-first. Empty values are skipped; for a duplicated J-x the
+// last entry wins.
+export function groupMilestones(entries) {
+  const byKey = {};
+  entries.forEach((e) => {
+    if (e.days == null) return;
+    e.spectacleIds.forEach((sid) => {
+      const target = (byKey[sid] = byKey[sid] || { revenue: {}, tickets: {} });
+      OBJECTIVE_METRICS.forEach((metric) => {
+        if (e[metric] != null) target[metric][e.days] = e[metric];
+      });
+    });
+  });
+  const out = {};
+  for (const sid in byKey) {
+    out[sid] = {};
+    OBJECTIVE_METRICS.forEach((metric) => {
+      out[sid][metric] = Object.entries(byKey[sid][metric])
+        .map(([days, value]) => ({ days: Number(days), value }))
+        .sort((a, b) => b.days - a.days);
+    });
+  }
+  return out;
+}
+
+// Objective value `days` before the show for one milestone list (farthest
+// first), or null without milestones.
+export function interpolateMilestones(points, days) {
+  if (!points || !points.length) return null;
+  const first = points[0];
+  const start = Math.max(OBJECTIVE_ONSALE_DAYS, first.days * 2);
+  if (days >= start) return 0;
+  if (days >= first.days) return (first.value * (start - days)) / (start - first.days);
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (days >= b.days) return a.value + ((b.value - a.value) * (a.days - days)) / (a.days - b.days);
+  }
+  return points[points.length - 1].value;
+}
+
+// Milestone list of a representation for `metric`: the first of its
+// spectacles that has one. Representations without a date have no curve.
+export function repMilestones(rep, milestones, metric) {
+  if (!milestones || !rep.dateRepIso) return null;
+  for (const sid of rep.spectacleIds) {
+    const list = milestones[sid]?.[metric];
+    if (list && list.length) return list;
+  }
+  return null;
+}
+
+// Summed objective of `reps` on each ISO date: { isoDate: value }, or null
+// when none of them has milestones for `metric`.
+export function objectiveSeries(reps, milestones, dates, metric) {
+  const tracked = reps
+    .map((rep) => ({ rep, points: repMilestones(rep, milestones, metric) }))
+    .filter((t) => t.points);
+  if (!tracked.length) return null;
+  const out = {};
+  dates.forEach((iso) => {
+    out[iso] = tracked.reduce(
+      (s, t) => s + interpolateMilestones(t.points, daysBefore(t.rep.dateRepIso, iso)),
+      0,
+    );
+  });
+  return out;
+}
+
+// Per-representation cumulative { sold, revenue } on `iso`. Revenue prices the
+// sold count at the average net price, like the weekly table columns: the
+// backfilled `total` lags behind `sold` (see computeWeekDeltas). The empty
+// lower bound sorts before every date, so the delta starts from 0.
+export function actualsAt(rows, iso) {
+  return computeWeekDeltas(rows, "", iso);
+}
+
+// Actual vs objective on `iso` for each representation with milestones.
+// `actuals` = { recordId: { sold, revenue } } (actualsAt output).
+// Returns [{ rep, soldActual, soldTarget, revActual, revTarget }]; a target is
+// null when the spectacle has no milestone for that metric.
+export function objectiveGaps(reps, milestones, actuals, iso) {
+  const out = [];
+  reps.forEach((rep) => {
+    const revenuePoints = repMilestones(rep, milestones, "revenue");
+    const ticketPoints = repMilestones(rep, milestones, "tickets");
+    if (!revenuePoints && !ticketPoints) return;
+    const days = daysBefore(rep.dateRepIso, iso);
+    const actual = actuals[rep.id] || { sold: 0, revenue: 0 };
+    out.push({
+      rep,
+      soldActual: actual.sold,
+      soldTarget: ticketPoints ? interpolateMilestones(ticketPoints, days) : null,
+      revActual: actual.revenue,
+      revTarget: revenuePoints ? interpolateMilestones(revenuePoints, days) : null,
+    });
+  });
+  return out;
+}
+
+// Sums gap rows. Where some rows have a target for a metric, only those
+// count toward its actual total, so the gap compares like with like.
+export function sumGaps(rows) {
+  const total = (actualKey, targetKey) => {
+    const tracked = rows.filter((r) => r[targetKey] != null);
+    const src = tracked.length ? tracked : rows;
+    return {
+      [actualKey]: src.reduce((s, r) => s + (r[actualKey] || 0), 0),
+      [targetKey]: tracked.length ? tracked.reduce((s, r) => s + r[targetKey], 0) : null,
+    };
+  };
+  return { ...total("soldActual", "soldTarget"), ...total("revActual", "revTarget") };
+}
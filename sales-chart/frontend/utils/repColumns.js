@@ -0,0 +1,153 @@
+// --- Representations table columns ---
+// One definition per column drives the header, the cells, sorting, group
+// subtotals and the CSV export, so the CSV always matches what is on screen.
+// `value(rep, ctx)` returns the raw value (ctx = { weekDeltas, forecasts,
+// showSpectacleCol }); `type` picks how it is rendered and exported:
+// text | number | currency | select ({ text, color }) | fill (0–1 ratio).
+// `available(ctx)` hides columns whose data the page doesn't compute; `width`
+// adds up to the table's minimum width.
+
+const parseNum = (v) => {
+  if (v == null || v === "") return null;
+  const n = typeof v === "number" ? v : parseFloat(String(v).replace(",", "."));
+  return isNaN(n) ? null : n;
+};
+
+export const REP_COLUMNS = [
+  { key: "spectacle", label: "Spectacle", type: "text", width: 180, strong: true, value: (r) => r.spectacleName || "", available: (ctx) => ctx.showSpectacleCol },
+  { key: "joursRestants", label: "J. restants", type: "text", width: 80, value: (r) => r.colJoursRestants, sortValue: (r) => parseNum(r.colJoursRestants) },
+  { key: "date", label: "Date", type: "text", width: 150, nowrap: true, value: (r) => r.colDateRep, sortValue: (r) => r.dateRepIso || null },
+  { key: "salle", label: "Salle", type: "text", width: 120, value: (r) => r.colSalle },
+  { key: "ville", label: "Ville", type: "text", width: 100, value: (r) => r.colVille },
+  { key: "capacite", label: "Capacite", type: "number", width: 80, value: (r) => r.colCapacite },
+  { key: "placesBloquees", label: "Places bloq.", csvLabel: "Places bloquees", type: "number", width: 90, value: (r) => r.colPlacesBloques },
+  { key: "billetsDispo", label: "Billets dispo", type: "number", width: 90, value: (r) => r.colBilletsDispo },
+  { key: "totalVendus", label: "Total vendus", type: "number", width: 90, value: (r) => r.colTotalBilletsVendus },
+  { key: "totalGratuits", label: "Total gratuits", type: "number", width: 90, value: (r) => r.colTotalBilletsGratuits },
+  { key: "vendusSem", label: "Vendus (sem.)", title: "Dernière semaine complète (lundi → lundi)", type: "number", width: 90, value: (r, ctx) => ctx.weekDeltas[r.id]?.sold },
+  { key: "revenusSem", label: "Revenus (sem.)", title: "Dernière semaine complète (lundi → lundi)", type: "currency", width: 100, value: (r, ctx) => ctx.weekDeltas[r.id]?.revenue },
+  { key: "assistance", label: "Assistance", type: "number", width: 90, value: (r) => r.colAssistance },
+  { key: "tauxRemplissage", label: "Taux remplissage", csvLabel: "Taux remplissage (%)", type: "fill", width: 120, value: (r) => r.colTauxRemplissage },
+  {
+    key: "projVendus",
+    label: "Proj. vendus",
+    csvLabel: "Projection vendus",
+    title: "Billets vendus projetés à la date du spectacle",
+    type: "number",
+    width: 100,
+    value: (r, ctx) => (ctx.forecasts[r.id] ? Math.round(ctx.forecasts[r.id].projected) : null),
+    cellTitle: (r, ctx) => {
+      const f = ctx.forecasts[r.id];
+      return f ? `Intervalle : ${Math.round(f.low)} – ${Math.round(f.high)}` : undefined;
+    },
+    available: (ctx) => !!ctx.forecasts,
+  },
+  {
+    key: "projRemplissage",
+    label: "Proj. remplissage",
+    csvLabel: "Projection remplissage (%)",
+    title: "Taux de remplissage projeté à la date du spectacle",
+    type: "fill",
+    dashed: true,
+    width: 120,
+    value: (r, ctx) => ctx.forecasts[r.id]?.fill ?? null,
+    available: (ctx) => !!ctx.forecasts,
+  },
+  { key: "revenus", label: "Revenus billetterie", type: "currency", width: 110, value: (r) => r.colRevenus },
+  { key: "statutRapport", label: "Statut rapport", type: "select", width: 110, value: (r) => r.colStatutRapport },
+  { key: "objectifRevenus", label: "Objectif revenus", type: "currency", width: 110, value: (r) => r.colObjectifRevenus },
+  { key: "miseAJour", label: "Mise a jour", type: "select", width: 100, value: (r) => r.colMiseAJour },
+  { key: "priorisation", label: "Priorisation", type: "select", width: 100, value: (r) => r.colPriorisation },
+  { key: "billetterieSalle", label: "Billetterie Salle", type: "select", width: 110, value: (r) => r.colBilleterieSalle },
+  { key: "note", label: "Note", type: "select", width: 90, value: (r) => r.colNote },
+  { key: "statut", label: "Statut", type: "select", width: 100, value: (r) => r.colStatut },
+  { key: "siteWeb", label: "Site web", type: "select", width: 90, value: (r) => r.colSiteWeb },
+];
+
+export const GROUP_OPTIONS = [
+  { key: "", label: "Aucun regroupement" },
+  { key: "ville", label: "Par ville" },
+  { key: "salle", label: "Par salle" },
+  { key: "month", label: "Par mois" },
+];
+
+// Columns the group subtotal row fills in, by column key.
+export const SUBTOTAL_KEYS = ["totalVendus", "totalGratuits", "revenus", "tauxRemplissage"];
+
+// Ordered visible columns for a stored layout ({ order, hidden }). Columns
+// missing from `order` (added since the layout was saved) keep their default
+// position relative to the ones before them.
+export function resolveColumns(layout, ctx) {
+  const available = REP_COLUMNS.filter((c) => !c.available || c.available(ctx));
+  const byKey = Object.fromEntries(available.map((c) => [c.key, c]));
+  const order = (layout?.order || []).filter((k) => byKey[k]);
+  available.forEach((c, i) => {
+    if (order.includes(c.key)) return;
+    const prev = available.slice(0, i).reverse().find((p) => order.includes(p.key));
+    order.splice(prev ? order.indexOf(prev.key) + 1 : 0, 0, c.key);
+  });
+  const hidden = new Set(layout?.hidden || []);
+  return {
+    all: order.map((k) => byKey[k]),
+    visible: order.filter((k) => !hidden.has(k)).map((k) => byKey[k]),
+  };
+}
+
+function sortKey(col, rep, ctx) {
+  const v = col.sortValue ? col.sortValue(rep, ctx) : col.value(rep, ctx);
+  if (col.type === "select") return v && v.text ? v.text : null;
+  return v === "" ? null : v ?? null;
+}
+
+// Stable sort on one column; empty values always last.
+export function sortReps(reps, col, dir, ctx) {
+  if (!col) return reps;
+  const sign = dir === "desc" ? -1 : 1;
+  return reps
+    .map((rep, i) => ({ rep, i, k: sortKey(col, rep, ctx) }))
+    .sort((a, b) => {
+      if (a.k == null || b.k == null) return a.k == null ? (b.k == null ? a.i - b.i : 1) : -1;
+      const c = typeof a.k === "number" && typeof b.k === "number"
+        ? a.k - b.k
+        : String(a.k).localeCompare(String(b.k), "fr", { numeric: true });
+      return c * sign || a.i - b.i;
+    })
+    .map((x) => x.rep);
+}
+
+function groupOf(rep, groupBy) {
+  if (groupBy === "ville") return { key: rep.colVille || "", label: rep.colVille || "(Sans ville)" };
+  if (groupBy === "salle") return { key: rep.colSalle || "", label: rep.colSalle || "(Sans salle)" };
+  const month = rep.dateRepIso ? rep.dateRepIso.slice(0, 7) : "";
+  if (!month) return { key: "", label: "(Sans date)" };
+  const [y, m] = month.split("-").map(Number);
+  const label = new Date(y, m - 1, 1).toLocaleDateString("fr-FR", { month: "long", year: "numeric" });
+  return { key: month, label: label.charAt(0).toUpperCase() + label.slice(1) };
+}
+
+// Groups already-sorted reps, keeping first-appearance order. Months are
+// listed chronologically. Each group carries its subtotals: sold, free and
+// revenue summed, fill averaged over the reps that have one.
+export function groupReps(reps, groupBy) {
+  const groups = new Map();
+  reps.forEach((rep) => {
+    const { key, label } = groupOf(rep, groupBy);
+    if (!groups.has(key)) groups.set(key, { key, label, reps: [] });
+    groups.get(key).reps.push(rep);
+  });
+  const list = [...groups.values()];
+  if (groupBy === "month") list.sort((a, b) => (a.key || "9999").localeCompare(b.key || "9999"));
+  return list.map((g) => {
+    const fills = g.reps.map((r) => r.colTauxRemplissage).filter((v) => v != null);
+    const sum = (f) => g.reps.reduce((s, r) => s + (r[f] || 0), 0);
+    return {
+      ...g,
+      totals: {
+        totalVendus: sum("colTotalBilletsVendus"),
+        totalGratuits: sum("colTotalBilletsGratuits"),
+        revenus: sum("colRevenus"),
+        tauxRemplissage: fills.length ? fills.reduce((s, v) => s + v, 0) / fills.length : null,
+      },
+    };
+  });
+}
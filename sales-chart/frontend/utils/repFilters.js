@@ -0,0 +1,121 @@
+// --- Condition filters on representations (filter builder) ---
+// A filter group is { conjunction: "and" | "or", conditions: [...] }. Each
+// condition targets one FILTER_FIELDS entry:
+// - select fields: { id, field, op: "is" | "isNot" | "isEmpty" | "isNotEmpty", value };
+// - number fields: { id, field, op: "between" | "isEmpty" | "isNotEmpty", min, max }
+//   (either bound may be blank; percent fields are entered in %).
+// Incomplete conditions (no value, no bound) are ignored rather than matching
+// nothing, so a half-built filter never empties the table.
+
+export const FILTER_FIELDS = [
+  { key: "colStatut", label: "Statut", type: "select" },
+  { key: "colSiteWeb", label: "Site web", type: "select" },
+  { key: "colPriorisation", label: "Priorisation", type: "select" },
+  { key: "colBilleterieSalle", label: "Billetterie Salle", type: "select" },
+  { key: "colStatutRapport", label: "Statut rapport", type: "select" },
+  { key: "colMiseAJour", label: "Mise a jour", type: "select" },
+  { key: "colNote", label: "Note", type: "select" },
+  { key: "colTauxRemplissage", label: "Taux remplissage (%)", type: "number", percent: true },
+  { key: "colJoursRestants", label: "J. restants", type: "number" },
+  { key: "colCapacite", label: "Capacite", type: "number" },
+  { key: "colTotalBilletsVendus", label: "Total vendus", type: "number" },
+  { key: "colRevenus", label: "Revenus billetterie", type: "number" },
+];
+
+export const SELECT_OPS = [
+  { key: "is", label: "est" },
+  { key: "isNot", label: "n'est pas" },
+  { key: "isEmpty", label: "est vide" },
+  { key: "isNotEmpty", label: "n'est pas vide" },
+];
+
+export const NUMBER_OPS = [
+  { key: "between", label: "entre" },
+  { key: "isEmpty", label: "est vide" },
+  { key: "isNotEmpty", label: "n'est pas vide" },
+];
+
+export const EMPTY_FILTER_GROUP = { conjunction: "and", conditions: [] };
+
+const fieldByKey = Object.fromEntries(FILTER_FIELDS.map((f) => [f.key, f]));
+
+// Select cells are { text, color } (getColSelect) and days remaining is the
+// cell's display string, hence the parsing.
+function readValue(rep, field) {
+  const raw = rep[field.key];
+  if (field.type === "select") return raw && raw.text ? raw.text : null;
+  if (raw == null || raw === "") return null;
+  const n = typeof raw === "number" ? raw : parseFloat(String(raw).replace(",", "."));
+  if (isNaN(n)) return null;
+  return field.percent ? n * 100 : n;
+}
+
+const parseBound = (v) => (v === "" || v == null || isNaN(Number(v)) ? null : Number(v));
+
+// null when the condition is incomplete (ignored), else a rep -> boolean test.
+function compile(cond) {
+  const field = fieldByKey[cond.field];
+  if (!field) return null;
+  const read = (rep) => readValue(rep, field);
+  switch (cond.op) {
+    case "isEmpty":
+      return (rep) => read(rep) == null;
+    case "isNotEmpty":
+      return (rep) => read(rep) != null;
+    case "is":
+      return cond.value ? (rep) => read(rep) === cond.value : null;
+    case "isNot":
+      return cond.value ? (rep) => read(rep) !== cond.value : null;
+    case "between": {
+      const min = parseBound(cond.min);
+      const max = parseBound(cond.max);
+      if (min == null && max == null) return null;
+      return (rep) => {
+        const v = read(rep);
+        return v != null && (min == null || v >= min) && (max == null || v <= max);
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+export function applyFilterGroup(reps, group) {
+  const tests = (group?.conditions || []).map(compile).filter(Boolean);
+  if (!tests.length) return reps;
+  return group.conjunction === "or"
+    ? reps.filter((rep) => tests.some((t) => t(rep)))
+    : reps.filter((rep) => tests.every((t) => t(rep)));
+}
+
+// Number of conditions actually filtering (complete ones).
+export const activeConditionCount = (group) =>
+  (group?.conditions || []).map(compile).filter(Boolean).length;
+
+// Distinct values of every select field, for the value dropdowns.
+export function selectFieldOptions(reps) {
+  const out = {};
+  FILTER_FIELDS.filter((f) => f.type === "select").forEach((f) => {
+    const set = new Set();
+    reps.forEach((rep) => {
+      const v = readValue(rep, f);
+      if (v) set.add(v);
+    });
+    out[f.key] = [...set].sort((a, b) => a.localeCompare(b, "fr"));
+  });
+  return out;
+}
+
+export const newCondition = (fieldKey = FILTER_FIELDS[0].key) => {
+  const field = fieldByKey[fieldKey];
+  return {
+    id: `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    field: fieldKey,
+    op: field.type === "number" ? "between" : "is",
+    value: "",
+    min: "",
+    max: "",
+  };
+};
+
+export const filterField = (key) => fieldByKey[key];
@@ -88,7 +88,8 @@ export function lastCompleteWeekBounds(ref = new Date()) {
 //   by a manual batch script (calculate-totals.mjs) so recent rows are 0/NULL and
 //   would crush the weekly revenue to ~0. Pricing the sold delta mirrors that
 //   same backfill logic (total = sold × prix_effectif) and stays reliable.
-// Returns { recordId: { sold, revenue } } (revenue null when no price is known).
+// Returns { recordId: { sold, revenue, price } } (revenue/price null when no
+// price is known).
 export function computeWeekDeltas(rows, startISO, endISO) {
   const byRec = {};
   for (const r of rows) {
@@ -125,60 +126,12 @@ export function computeWeekDeltas(rows, startISO, endISO) {
     out[rid] = {
       sold: soldDelta,
       revenue: prixNet != null ? soldDelta * prixNet : null,
+      price: prixNet,
     };
   }
   return out;
 }
 
-// The last `n` weeks as Monday boundaries, oldest→newest, ending with the
-// current week's Monday (most recent Monday on/before `ref`). Each entry:
-// { mondayIso, endIso } where endIso = mondayIso + 6 days (the Sunday).
-export function lastNMondays(n, ref = new Date()) {
-  const iso = (d) =>
-    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
-  const d = new Date(ref.getFullYear(), ref.getMonth(), ref.getDate());
-  const dow = (d.getDay() + 6) % 7; // 0 = Monday
-  const thisMonday = new Date(d);
-  thisMonday.setDate(d.getDate() - dow);
-  const weeks = [];
-  for (let i = n - 1; i >= 0; i--) {
-    const mon = new Date(thisMonday);
-    mon.setDate(thisMonday.getDate() - i * 7);
-    const end = new Date(mon);
-    end.setDate(mon.getDate() + 6);
-    weeks.push({ mondayIso: iso(mon), endIso: iso(end) });
-  }
-  return weeks;
-}
-
-// Per-record cumulative `sold` (running max) as of each target ISO date.
-// rows: [{ record_id, date, sold }]; `targets`: ISO strings sorted ascending.
-// Returns { record_id: [soldAtTarget0, soldAtTarget1, ...] }. Single pass per
-// record since both the rows and the targets are processed in date order.
-export function cumulativeSoldByWeek(rows, targets) {
-  const byRec = {};
-  for (const r of rows) {
-    const day = r.date ? r.date.split("T")[0] : r.date;
-    (byRec[r.record_id] = byRec[r.record_id] || []).push({ day, sold: Number(r.sold) || 0 });
-  }
-  const out = {};
-  for (const rid in byRec) {
-    const list = byRec[rid].sort((a, b) => a.day.localeCompare(b.day));
-    const series = [];
-    let idx = 0;
-    let run = 0;
-    for (const target of targets) {
-      while (idx < list.length && list[idx].day <= target) {
-        if (list[idx].sold > run) run = list[idx].sold;
-        idx++;
-      }
-      series.push(run);
-    }
-    out[rid] = series;
-  }
-  return out;
-}
-
 // Synthesize a cumulative budget-target curve over the given sorted ISO dates:
 // a single convex (accelerating) ramp from 0 at the first date to totalObjective
 // at the last date (right edge / today). Returns { isoDate: value }.
@@ -199,3 +152,58 @@ export function buildObjectiveSeries(dates, totalObjective) {
   }
   return out;
 }
+
+// Re-keys an aggregateSalesByDate() series on days before the show (J-x).
+// Returns { x: ventes } for x ≥ 0 plus `minX`, the closest J-x with data. Days
+// after the show are dropped. When the show is past (`carryToShow`) and the
+// reporting stopped before it, the last value is carried down to J-0; for an
+// upcoming show the curve simply stops at today (minX = days left).
+export function alignSalesOnShowDate(points, showIso, carryToShow = false) {
+  const dayMs = (iso) => {
+    const [y, m, d] = iso.split("-").map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  const show = dayMs(showIso);
+  const byX = {};
+  let minX = null;
+  let lastValue = 0;
+  for (const p of points) {
+    const x = Math.round((show - dayMs(p.date)) / 86400000);
+    if (x < 0) break;
+    byX[x] = p.ventes;
+    lastValue = p.ventes;
+    minX = x;
+  }
+  if (minX != null && carryToShow) {
+    for (let x = minX - 1; x >= 0; x--) byX[x] = lastValue;
+    minX = 0;
+  }
+  return { byX, minX };
+}
+
+// Merges aligned series (one per representation) into a single curve over
+// J-`horizon`…J-0. At each J-x only representations whose curve reaches that
+// point are counted, and their capacities form the denominator of the fill
+// rate — so a tour still on sale is compared on the days it has lived, never
+// diluted by dates it has not reached yet. Each series carries its `capacity`.
+// Returns [{ x, ventes, fill }] from J-horizon to J-0
+// (fill null without capacity; entries with no rep reaching them omitted).
+export function mergeAlignedSeries(series, horizon) {
+  const out = [];
+  for (let x = horizon; x >= 0; x--) {
+    let ventes = 0;
+    let capacity = 0;
+    let reached = 0;
+    for (const s of series) {
+      if (s.minX == null || x < s.minX) continue;
+      reached += 1;
+      // aggregateSalesByDate fills gap days, so the only holes are before the
+      // first row — not on sale yet.
+      ventes += s.byX[x] ?? 0;
+      capacity += s.capacity || 0;
+    }
+    if (!reached) continue;
+    out.push({ x, ventes, fill: capacity > 0 ? ventes / capacity : null });
+  }
+  return out;
+}
@@ -0,0 +1,102 @@
+// --- Supabase realtime: sales_report inserts and updates ---
+// Minimal client for Supabase Realtime (Phoenix channels over a WebSocket, JSON
+// protocol 1.0.0), enough to follow INSERTs and UPDATEs on `sales_report` for
+// one base (a day's row is usually rewritten in place as its sales come in)
+// without pulling in supabase-js. Realtime is "available" when the socket opens
+// and the channel join is acknowledged; the table must also be part of the
+// project's `supabase_realtime` publication, which the client cannot check —
+// live mode therefore keeps a slow safety poll even when joined.
+// onStatus("joined") once subscribed, onStatus("closed") when the socket,
+// the join or the channel fails (no reconnection: the caller falls back to
+// polling). Returns an unsubscribe function.
+
+const HEARTBEAT_MS = 25000;
+const JOIN_TIMEOUT_MS = 10000;
+
+export function subscribeSalesChanges({ supabaseUrl, supabaseAnonKey, baseId, onRow, onStatus }) {
+  let socket;
+  try {
+    const wsUrl = supabaseUrl.replace(/^http/, "ws").replace(/\/$/, "");
+    socket = new WebSocket(
+      `${wsUrl}/realtime/v1/websocket?apikey=${encodeURIComponent(supabaseAnonKey)}&vsn=1.0.0`,
+    );
+  } catch {
+    onStatus("closed");
+    return () => {};
+  }
+
+  const topic = `realtime:sales-chart-${baseId}`;
+  let ref = 0;
+  let joinRef = null;
+  let heartbeat = null;
+  let joinTimer = null;
+  let closed = false;
+  const send = (t, event, payload) => {
+    ref += 1;
+    socket.send(JSON.stringify({ topic: t, event, payload, ref: String(ref) }));
+    return String(ref);
+  };
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(joinTimer);
+    onStatus("closed");
+    try {
+      socket.close();
+    } catch {
+      /* already closing */
+    }
+  };
+  joinTimer = setTimeout(close, JOIN_TIMEOUT_MS);
+
+  socket.onopen = () => {
+    joinRef = send(topic, "phx_join", {
+      config: {
+        broadcast: { self: false },
+        presence: { key: "" },
+        postgres_changes: [
+          { event: "INSERT", schema: "public", table: "sales_report", filter: `base_id=eq.${baseId}` },
+          { event: "UPDATE", schema: "public", table: "sales_report", filter: `base_id=eq.${baseId}` },
+        ],
+      },
+      access_token: supabaseAnonKey,
+    });
+    heartbeat = setInterval(() => send("phoenix", "heartbeat", {}), HEARTBEAT_MS);
+  };
+  socket.onmessage = (e) => {
+    let msg;
+    try {
+      msg = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    if (msg.topic !== topic) return;
+    if (msg.event === "phx_reply" && msg.ref === joinRef) {
+      clearTimeout(joinTimer);
+      if (msg.payload?.status === "ok") onStatus("joined");
+      else close();
+    } else if (msg.event === "postgres_changes") {
+      const record = msg.payload?.data?.record;
+      if (record && record.record_id) onRow(record);
+    } else if (msg.event === "phx_error" || msg.event === "phx_close") {
+      close();
+    } else if (msg.event === "system" && msg.payload?.status === "error") {
+      // e.g. postgres_changes not enabled for this project
+      close();
+    }
+  };
+  socket.onerror = close;
+  socket.onclose = close;
+
+  return () => {
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(joinTimer);
+    try {
+      socket.close();
+    } catch {
+      /* already closing */
+    }
+  };
+}
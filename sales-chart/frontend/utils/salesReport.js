@@ -0,0 +1,372 @@
+import { BREAKDOWN_COLUMNS } from "./breakdown";
+import { localTodayIso } from "./format";
+import { withoutIgnored } from "./anomalies";
+
+// --- Shared Supabase sales_report client ---
+// Every page (home chart, detail, artists) reads the same `sales_report` rows,
+// so they go through this single layer instead of each running its own
+// paginated fetch loop:
+// - rows are cached per representation (`record_id`) in IndexedDB, so a reload
+//   or a page switch reuses what was already downloaded;
+// - a cached representation is synced incrementally: only rows dated on or
+//   after its newest cached row are requested, and they replace the cached
+//   rows of that day (the current day's row keeps changing as sales come in);
+// - requests in flight are shared, so two pages asking for the same
+//   representation at once trigger a single download.
+// A representation synced today is served from cache without touching the
+// network until invalidateSalesRows() (the ↺ button) drops the cache, which
+// forces a full re-download.
+// Live mode (see hooks/useLiveSales.js) bypasses the daily freshness through
+// pollSalesRows() and feeds realtime inserts and updates through
+// appendSalesRows(); both return only the rows the cache did not have yet or
+// had with other values, which callers fold in with mergeSalesRows().
+// The optional breakdown columns (see utils/breakdown.js) are requested too;
+// a project whose table lacks them gets PostgREST's "undefined column" error,
+// and the client falls back to the base columns. The column set that worked is
+// remembered per Supabase URL in IndexedDB, so later sessions neither repeat
+// the failing request nor discard the rows cached under the base columns;
+// invalidateSalesRows() tries the breakdown columns again.
+
+const DB_NAME = "sales-chart";
+const DB_VERSION = 2;
+const STORE = "salesRows";
+// supabaseUrl -> { key, select }
+const SELECT_STORE = "selects";
+const BASE_SELECT = "record_id,date,sold,free,total";
+const FULL_SELECT = `${BASE_SELECT},${BREAKDOWN_COLUMNS.join(",")}`;
+// PostgreSQL "undefined_column"
+const UNDEFINED_COLUMN = "42703";
+// Chunk the IN() filter so URLs stay within server limits.
+const CHUNK_SIZE = 150;
+// Supabase caps responses at 1000 rows.
+const PAGE_SIZE = 1000;
+
+// key (`baseId:recordId`) -> { key, rows, lastDate, syncedOn, syncedAt, select }
+const memory = new Map();
+// supabaseUrl -> select that works there (absent = try FULL_SELECT first)
+const selectByUrl = new Map();
+// Set by invalidateSalesRows(): ignore the stored selects and probe again.
+let reprobeSelects = false;
+// key -> Promise<entry> for syncs currently running
+const inflight = new Map();
+// Entries synced before this instant are discarded (see invalidateSalesRows).
+let staleBefore = 0;
+let dbPromise = null;
+
+const entryKey = (baseId, recordId) => `${baseId}:${recordId}`;
+
+const selectFor = (supabaseUrl) => selectByUrl.get(supabaseUrl) || FULL_SELECT;
+
+const isFresh = (entry) => !!entry && entry.syncedOn === localTodayIso();
+
+// Rows cached under another column set cannot be extended incrementally (the
+// older rows would lack the columns), and rows cached before the last
+// invalidateSalesRows() are not trusted: such entries count as not cached.
+const usableEntry = (entry, select) =>
+  entry && entry.select === select && entry.syncedAt > staleBefore ? entry : null;
+
+// Same date and same values in every column (rows are flat JSON objects; a
+// missing column reads as null).
+const sameRow = (a, b) =>
+  !!a &&
+  !!b &&
+  Object.keys(b).every((k) => JSON.stringify(a[k] ?? null) === JSON.stringify(b[k] ?? null));
+
+class UndefinedColumnError extends Error {}
+
+// Resolves to null when IndexedDB is unavailable (private mode, sandboxed
+// frame…): the layer then degrades to an in-memory cache for the session.
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      try {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "key" });
+          if (!db.objectStoreNames.contains(SELECT_STORE)) {
+            db.createObjectStore(SELECT_STORE, { keyPath: "key" });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+  return dbPromise;
+}
+
+// Loads the given keys into `memory` (IndexedDB is only read for keys not
+// already there). Missing keys are simply absent from the map afterwards.
+async function loadEntries(keys) {
+  const missing = keys.filter((k) => !memory.has(k));
+  if (!missing.length) return;
+  const db = await openDb();
+  if (!db) return;
+  await new Promise((resolve) => {
+    try {
+      const store = db.transaction(STORE, "readonly").objectStore(STORE);
+      let pending = missing.length;
+      missing.forEach((key) => {
+        const req = store.get(key);
+        req.onsuccess = () => {
+          if (req.result && !memory.has(key)) memory.set(key, req.result);
+          if (--pending === 0) resolve();
+        };
+        req.onerror = () => {
+          if (--pending === 0) resolve();
+        };
+      });
+    } catch {
+      resolve();
+    }
+  });
+}
+
+// Loads the select stored for `supabaseUrl` into `selectByUrl`, unless one is
+// already known this session.
+async function loadSelect(supabaseUrl) {
+  if (selectByUrl.has(supabaseUrl) || reprobeSelects) return;
+  const db = await openDb();
+  if (!db) return;
+  await new Promise((resolve) => {
+    try {
+      const req = db.transaction(SELECT_STORE, "readonly").objectStore(SELECT_STORE).get(supabaseUrl);
+      req.onsuccess = () => {
+        if (req.result && !selectByUrl.has(supabaseUrl)) selectByUrl.set(supabaseUrl, req.result.select);
+        resolve();
+      };
+      req.onerror = () => resolve();
+    } catch {
+      resolve();
+    }
+  });
+}
+
+// Records the select that worked for `supabaseUrl`, in memory and on disk.
+function rememberSelect(supabaseUrl, select) {
+  if (selectByUrl.get(supabaseUrl) === select) return;
+  selectByUrl.set(supabaseUrl, select);
+  saveEntries([{ key: supabaseUrl, select }], SELECT_STORE);
+}
+
+// Best-effort persistence: a failed write only costs a re-download later.
+async function saveEntries(entries, storeName = STORE) {
+  const db = await openDb();
+  if (!db || !entries.length) return;
+  try {
+    const store = db.transaction(storeName, "readwrite").objectStore(storeName);
+    entries.forEach((e) => store.put(e));
+  } catch {
+    /* quota exceeded or database closed */
+  }
+}
+
+// Fetches every row for `ids` (optionally only those dated on or after
+// `fromDate`), chunking the IN() filter and paginating each chunk.
+async function fetchRemoteRows({ supabaseUrl, supabaseAnonKey, baseId, ids, fromDate, select }) {
+  let rows = [];
+  for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + CHUNK_SIZE).join(",");
+    const baseUrl =
+      `${supabaseUrl}/rest/v1/sales_report` +
+      `?base_id=eq.${baseId}` +
+      `&record_id=in.(${chunk})` +
+      (fromDate ? `&date=gte.${encodeURIComponent(fromDate)}` : "") +
+      `&order=date.asc` +
+      `&select=${select}`;
+    let offset = 0;
+    while (true) {
+      const response = await fetch(baseUrl + `&limit=${PAGE_SIZE}&offset=${offset}`, {
+        headers: {
+          apikey: supabaseAnonKey,
+          Authorization: `Bearer ${supabaseAnonKey}`,
+          "Content-Type": "application/json",
+        },
+      });
+      if (!response.ok) {
+        if (response.status === 400 && select !== BASE_SELECT) {
+          const body = await response.json().catch(() => null);
+          if (body && body.code === UNDEFINED_COLUMN) throw new UndefinedColumnError();
+        }
+        throw new Error(`Erreur Supabase: ${response.status} ${response.statusText}`);
+      }
+      const page = await response.json();
+      rows = rows.concat(page);
+      if (page.length < PAGE_SIZE) break;
+      offset += PAGE_SIZE;
+    }
+  }
+  return rows;
+}
+
+// Syncs the given (non-fresh, not in-flight) record ids. Records sharing the
+// same newest cached date are fetched together — after the daily sync nearly
+// all of them do, so this stays a handful of requests. The rows of that date
+// are downloaded again and replace the cached ones. Resolves to the rows that
+// are new or changed.
+async function syncRecords(opts, recordIds) {
+  const { baseId, supabaseUrl } = opts;
+  const select = selectFor(supabaseUrl);
+  const groups = new Map(); // lastDate ("" = nothing cached) -> [recordId]
+  recordIds.forEach((rid) => {
+    const lastDate = usableEntry(memory.get(entryKey(baseId, rid)), select)?.lastDate || "";
+    if (!groups.has(lastDate)) groups.set(lastDate, []);
+    groups.get(lastDate).push(rid);
+  });
+
+  const now = Date.now();
+  const syncedOn = localTodayIso();
+  const updated = [];
+  const changed = [];
+  try {
+    for (const [lastDate, ids] of groups) {
+      const fresh = await fetchRemoteRows({ ...opts, ids, fromDate: lastDate || null, select });
+      const byRecord = {};
+      fresh.forEach((row) => {
+        (byRecord[row.record_id] = byRecord[row.record_id] || []).push(row);
+      });
+      ids.forEach((rid) => {
+        const key = entryKey(baseId, rid);
+        const prev = usableEntry(memory.get(key), select);
+        const added = byRecord[rid] || [];
+        const kept = prev ? prev.rows.filter((r) => r.date < lastDate) : [];
+        const replaced = prev ? prev.rows.slice(kept.length) : [];
+        changed.push(...added.filter((row) => !replaced.some((r) => sameRow(r, row))));
+        // Nothing came back for the last date (row deleted upstream, or the
+        // request raced a rewrite): keep the cached rows rather than lose them.
+        const rows = added.length ? kept.concat(added) : prev ? prev.rows : [];
+        const entry = {
+          key,
+          rows,
+          lastDate: rows.length ? rows[rows.length - 1].date : null,
+          syncedOn,
+          syncedAt: now,
+          select,
+        };
+        memory.set(key, entry);
+        updated.push(entry);
+      });
+    }
+  } catch (err) {
+    if (!(err instanceof UndefinedColumnError)) throw err;
+    // The breakdown columns don't exist in this project: retry without them.
+    rememberSelect(supabaseUrl, BASE_SELECT);
+    return syncRecords(opts, recordIds);
+  }
+  rememberSelect(supabaseUrl, select);
+  saveEntries(updated);
+  return changed;
+}
+
+// Starts syncing `ids` and registers each one in `inflight` until it lands.
+function startSync(opts, ids) {
+  const sync = syncRecords(opts, ids);
+  ids.forEach((rid) => {
+    const key = entryKey(opts.baseId, rid);
+    const p = sync.then(() => memory.get(key));
+    // Rejections surface through the awaiting caller; the map entry is
+    // dropped either way so the next call retries.
+    p.catch(() => {}).finally(() => {
+      if (inflight.get(key) === p) inflight.delete(key);
+    });
+    inflight.set(key, p);
+  });
+  return sync;
+}
+
+// Returns every sales_report row (record_id, date, sold, free, total, plus the
+// breakdown columns when the table has them) for the given representation ids,
+// in date order per record. Cached rows are served as-is when synced today;
+// otherwise only the rows from the newest cached date on are downloaded.
+// `ignored` (from hooks/useIgnoredPoints.js) leaves out the points marked
+// ignored in the data-quality panel, so every chart, total and forecast built
+// on these rows skips them; the cache itself keeps them.
+export async function fetchSalesRows({ supabaseUrl, supabaseAnonKey, baseId, recordIds, ignored = null }) {
+  const ids = [...new Set(recordIds)].filter(Boolean);
+  if (!supabaseUrl || !supabaseAnonKey || !ids.length) return [];
+  const keys = ids.map((rid) => entryKey(baseId, rid));
+
+  await loadSelect(supabaseUrl);
+  await loadEntries(keys.filter((k) => !inflight.has(k)));
+
+  const select = selectFor(supabaseUrl);
+  const toSync = ids.filter(
+    (rid, i) => !inflight.has(keys[i]) && !isFresh(usableEntry(memory.get(keys[i]), select)),
+  );
+  if (toSync.length) startSync({ supabaseUrl, supabaseAnonKey, baseId }, toSync);
+
+  // An entry cached under another column set is still better than nothing
+  // when its refresh failed, so no usableEntry() filter here.
+  const entries = await Promise.all(
+    keys.map((k) => (inflight.has(k) ? inflight.get(k) : memory.get(k))),
+  );
+  return withoutIgnored(entries.flatMap((e) => (e ? e.rows : [])), ignored);
+}
+
+// Discards every cached representation: the next fetchSalesRows() call
+// downloads its whole history again, fixing any row corrected upstream. The
+// breakdown columns are tried again too, in case the table gained them.
+export function invalidateSalesRows() {
+  staleBefore = Date.now();
+  selectByUrl.clear();
+  reprobeSelects = true;
+}
+
+// Live mode: syncs `recordIds` incrementally whatever their freshness and
+// resolves to the rows added or changed since the last sync (the newest day is
+// always re-read, so today's row moving during a show day is picked up). Syncs
+// already running for them are awaited first, so no row is downloaded twice.
+export async function pollSalesRows({ supabaseUrl, supabaseAnonKey, baseId, recordIds }) {
+  const ids = [...new Set(recordIds)].filter(Boolean);
+  if (!supabaseUrl || !supabaseAnonKey || !ids.length) return [];
+  const keys = ids.map((rid) => entryKey(baseId, rid));
+  await Promise.all(keys.map((k) => inflight.get(k)).filter(Boolean).map((p) => p.catch(() => {})));
+  await loadSelect(supabaseUrl);
+  await loadEntries(keys);
+  return startSync({ supabaseUrl, supabaseAnonKey, baseId }, ids);
+}
+
+// Adds rows pushed by Supabase realtime (inserts and updates) to the cache,
+// trimmed to the entry's columns. A row dated like a cached one replaces it;
+// rows identical to the cached copy are dropped. Returns the rows kept;
+// representations not cached yet are left to their next sync.
+export function appendSalesRows(baseId, rows) {
+  const kept = [];
+  const updated = new Map();
+  rows.forEach((pushed) => {
+    const key = entryKey(baseId, pushed.record_id);
+    const entry = updated.get(key) || memory.get(key);
+    if (!entry) return;
+    const row = Object.fromEntries(entry.select.split(",").map((c) => [c, pushed[c] ?? null]));
+    const i = entry.rows.findIndex((r) => r.date === row.date);
+    if (i >= 0 && sameRow(entry.rows[i], row)) return;
+    const nextRows =
+      i >= 0
+        ? entry.rows.map((r, j) => (j === i ? row : r))
+        : entry.rows.concat(row).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    const next = { ...entry, rows: nextRows, lastDate: nextRows[nextRows.length - 1].date };
+    memory.set(key, next);
+    updated.set(key, next);
+    kept.push(row);
+  });
+  saveEntries([...updated.values()]);
+  return kept;
+}
+
+// `prev` with `rows` folded in: a row for a (record_id, date) already there
+// replaces it, the others are appended.
+export function mergeSalesRows(prev, rows) {
+  const incoming = new Map(rows.map((r) => [`${r.record_id}:${r.date}`, r]));
+  const merged = prev.map((r) => {
+    const k = `${r.record_id}:${r.date}`;
+    const next = incoming.get(k);
+    if (!next) return r;
+    incoming.delete(k);
+    return next;
+  });
+  return merged.concat([...incoming.values()]);
+}
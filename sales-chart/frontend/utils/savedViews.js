@@ -0,0 +1,45 @@
+import { presetRange } from "./format";
+
+// --- Saved views ("Vues enregistrées") ---
+// A view is a named snapshot of the detail page: spectacle, city/venue filters,
+// "show all" toggle, date range and selected representations. Views live in
+// globalConfig under SAVED_VIEWS_KEY, so every collaborator of the interface
+// picks from the same list.
+//
+// Stored shape: { id, name, spectacleId, spectacleName, showAll, filterVille,
+// filterSalle, filterGroup, datePreset, dateFrom, dateTo, selectedRepIds: [] }.
+// When a preset was active, `datePreset` wins over the stored bounds so
+// "3 derniers mois" stays relative to the day the view is opened.
+
+export const SAVED_VIEWS_KEY = "savedViews";
+
+// Reads the stored list (globalConfig.get(SAVED_VIEWS_KEY)) defensively: it is
+// user-writable JSON, so anything that is not a named view with a spectacle is
+// dropped.
+export function readSavedViews(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((v) => v && typeof v === "object" && v.id && v.name && v.spectacleId)
+    .map((v) => ({
+      ...v,
+      selectedRepIds: Array.isArray(v.selectedRepIds) ? v.selectedRepIds : [],
+      filterGroup: v.filterGroup && Array.isArray(v.filterGroup.conditions) ? v.filterGroup : null,
+    }));
+}
+
+// Inserts `view`, replacing any view with the same name (case-insensitive),
+// and keeps the list sorted by name.
+export function upsertView(views, view) {
+  const key = view.name.trim().toLowerCase();
+  return [...views.filter((v) => v.id !== view.id && v.name.trim().toLowerCase() !== key), view].sort(
+    (a, b) => a.name.localeCompare(b.name, "fr"),
+  );
+}
+
+export const newViewId = () => `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// { from, to } a view restores.
+export function viewDateRange(view) {
+  if (view.datePreset) return presetRange(view.datePreset);
+  return { from: view.dateFrom || "", to: view.dateTo || "" };
+}
@@ -0,0 +1,114 @@
+import { formatDate, toLocalIso } from "./format";
+
+// --- Time buckets for cumulative sales grids ---
+// A grid column is a bucket, read as the cumulative `sold` at its last day:
+// - calendar buckets: the last `count` days / weeks (Monday → Sunday) / months
+//   ending with the current one, shared by every show;
+// - aligned buckets: J-x offsets before each show's own date (cohort view), so
+//   a column compares every show at the same distance from its date. Weeks are
+//   7-day steps and months 30-day steps, the last bucket being J-0.
+// String-based date math on local calendar dates, as in salesData.js.
+
+export const GRANULARITIES = [
+  { key: "day", label: "Jour", plural: "jours", step: 1 },
+  { key: "week", label: "Semaine", plural: "semaines", step: 7 },
+  { key: "month", label: "Mois", plural: "mois", step: 30 },
+];
+
+// Window lengths offered per granularity.
+export const WINDOW_OPTIONS = {
+  day: [14, 30, 60, 90],
+  week: [8, 16, 26, 52],
+  month: [6, 12, 24],
+};
+
+export const DEFAULT_WINDOW = { day: 30, week: 16, month: 12 };
+
+function shiftIso(dateIso, days) {
+  const [y, m, d] = dateIso.split("-").map(Number);
+  return toLocalIso(new Date(y, m - 1, d + days));
+}
+
+// The last `count` calendar buckets, oldest → newest, the newest holding
+// `ref`. Each: { key: startIso, startIso, endIso } (endIso may be in the
+// future for the current bucket).
+export function calendarBuckets(count, granularity, ref = new Date()) {
+  const day = new Date(ref.getFullYear(), ref.getMonth(), ref.getDate());
+  const out = [];
+  for (let i = count - 1; i >= 0; i--) {
+    let start;
+    let end;
+    if (granularity === "month") {
+      start = new Date(day.getFullYear(), day.getMonth() - i, 1);
+      end = new Date(day.getFullYear(), day.getMonth() - i + 1, 0);
+    } else if (granularity === "week") {
+      const dow = (day.getDay() + 6) % 7; // 0 = Monday
+      start = new Date(day.getFullYear(), day.getMonth(), day.getDate() - dow - i * 7);
+      end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+    } else {
+      start = new Date(day.getFullYear(), day.getMonth(), day.getDate() - i);
+      end = start;
+    }
+    out.push({ key: toLocalIso(start), startIso: toLocalIso(start), endIso: toLocalIso(end) });
+  }
+  return out;
+}
+
+// `count` J-x buckets, farthest first, ending at J-0. Each: { key: "J-x",
+// daysBefore }.
+export function alignedBuckets(count, granularity) {
+  const step = (GRANULARITIES.find((g) => g.key === granularity) || GRANULARITIES[0]).step;
+  const out = [];
+  for (let i = count - 1; i >= 0; i--) out.push({ key: `J-${i * step}`, daysBefore: i * step });
+  return out;
+}
+
+// Column header for a bucket.
+export function bucketLabel(bucket, granularity) {
+  if (bucket.daysBefore != null) return bucket.key;
+  if (granularity === "month") {
+    const [y, m] = bucket.startIso.split("-").map(Number);
+    return new Date(y, m - 1, 1).toLocaleDateString("fr-FR", { month: "short", year: "2-digit" });
+  }
+  return formatDate(bucket.startIso);
+}
+
+// Last day of each bucket for one show: the calendar end dates, or the show
+// date minus each offset. Ascending in both cases; null for an aligned bucket
+// set when the show has no date.
+export function bucketTargets(buckets, showIso) {
+  if (!buckets.length || buckets[0].daysBefore == null) return buckets.map((b) => b.endIso);
+  if (!showIso) return null;
+  return buckets.map((b) => shiftIso(showIso, -b.daysBefore));
+}
+
+// Per-record cumulative `sold` (running max) as of each target ISO date.
+// rows: [{ record_id, date, sold }]; `targetsFor(recordId)` returns ascending
+// ISO dates (or null to skip the record). Returns { record_id: [soldAtTarget0,
+// soldAtTarget1, ...] }. Single pass per record since both the rows and the
+// targets are processed in date order.
+export function cumulativeSoldAt(rows, targetsFor) {
+  const byRec = {};
+  for (const r of rows) {
+    const day = r.date ? r.date.split("T")[0] : r.date;
+    (byRec[r.record_id] = byRec[r.record_id] || []).push({ day, sold: Number(r.sold) || 0 });
+  }
+  const out = {};
+  for (const rid in byRec) {
+    const targets = targetsFor(rid);
+    if (!targets) continue;
+    const list = byRec[rid].sort((a, b) => a.day.localeCompare(b.day));
+    const series = [];
+    let idx = 0;
+    let run = 0;
+    for (const target of targets) {
+      while (idx < list.length && list[idx].day <= target) {
+        if (list[idx].sold > run) run = list[idx].sold;
+        idx++;
+      }
+      series.push(run);
+    }
+    out[rid] = series;
+  }
+  return out;
+}
@@ -0,0 +1,188 @@
+import { computeWeekDeltas } from "./salesData";
+import { cumulativeSoldAt } from "./timeBuckets";
+import { formatDate, toLocalIso } from "./format";
+
+// --- "Rapport hebdomadaire": weekly sales digest per artist ---
+// Built from the same `artists` hierarchy as the artists page, over calendar
+// weeks (calendarBuckets(n, "week")) whatever the grid shows. Per show and per
+// week: cumulative sold at the week's end, the week-over-week delta, and that
+// delta priced at the show's net unit price — computeWeekDeltas, so the digest
+// agrees with the table's "Revenus (sem.)".
+// The data object feeds both the XLSX writer below and WeeklyReportPdf.
+
+// The Sunday before a Monday ISO date: the bound a week's delta starts from.
+function dayBefore(mondayIso) {
+  const [y, m, d] = mondayIso.split("-").map(Number);
+  return toLocalIso(new Date(y, m - 1, d - 1));
+}
+
+// rows: raw sales_report rows of every show; weeks: calendarBuckets(n, "week").
+// Returns { generatedIso, weeks, artists: [{ name, shows: [{ spectacle, date,
+// ville, salle, capacity, sold[], delta[], revenue[], fill }], totals: { sold[],
+// delta[], revenue[], capacity } }] }. `fill` is the latest cumulative ÷
+// capacity (null without capacity); revenue entries are null without a price.
+export function buildWeeklyReport(artists, weeks, rows) {
+  const ends = weeks.map((w) => w.endIso);
+  const soldByRec = cumulativeSoldAt(rows, () => ends);
+  const deltasByWeek = weeks.map((w) => computeWeekDeltas(rows, dayBefore(w.startIso), w.endIso));
+  const zeros = () => weeks.map(() => 0);
+
+  return {
+    generatedIso: toLocalIso(new Date()),
+    weeks: weeks.map((w) => w.startIso),
+    artists: artists.map((artist) => {
+      const totals = { sold: zeros(), delta: zeros(), revenue: zeros(), capacity: 0 };
+      const shows = [];
+      artist.spectacles.forEach((spec) => {
+        spec.shows.forEach((show) => {
+          const sold = soldByRec[show.id] || zeros();
+          const delta = deltasByWeek.map((d) => d[show.id]?.sold || 0);
+          const revenue = deltasByWeek.map((d) => d[show.id]?.revenue ?? null);
+          const capacity = show.capacity || show.colCapacite || null;
+          const last = sold[sold.length - 1] || 0;
+          sold.forEach((v, i) => {
+            totals.sold[i] += v;
+            totals.delta[i] += delta[i];
+            totals.revenue[i] += revenue[i] || 0;
+          });
+          totals.capacity += capacity || 0;
+          shows.push({
+            spectacle: spec.projetName,
+            date: show.dateRepIso || show.colDateRep || "",
+            ville: show.colVille || "",
+            salle: show.colSalle || "",
+            capacity,
+            sold,
+            delta,
+            revenue,
+            fill: capacity ? last / capacity : null,
+          });
+        });
+      });
+      return { name: artist.name, shows, totals };
+    }),
+  };
+}
+
+// Excel sheet names: ≤ 31 chars, none of []:*?/\ and unique per workbook.
+function sheetName(name, used) {
+  const base = (name || "Sans nom").replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 28) || "Sans nom";
+  let out = base;
+  for (let n = 2; used.has(out.toLowerCase()); n++) out = `${base} ${n}`;
+  used.add(out.toLowerCase());
+  return out;
+}
+
+const HEADER_FILL = { type: "pattern", pattern: "solid", fgColor: { argb: "FFF2F4F8" } };
+const SECTION_FONT = { bold: true, size: 12, color: { argb: "FF13324B" } };
+const NUM_FMT = "#,##0";
+const CUR_FMT = '#,##0 "$"';
+const PCT_FMT = "0.0%";
+
+// Multi-sheet XLSX: a "Résumé" sheet (one line per artist, last week) then one
+// sheet per artist with three stacked tables — cumulative sold, weekly delta,
+// weekly revenue — shows as rows and weeks as columns.
+export async function downloadWeeklyReportXlsx(report) {
+  const { default: ExcelJS } = await import("exceljs");
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date();
+  const weekLabels = report.weeks.map(formatDate);
+  const lastIdx = report.weeks.length - 1;
+  const used = new Set(["résumé"]);
+
+  const summary = wb.addWorksheet("Résumé");
+  summary.addRow([`Rapport hebdomadaire — semaine du ${formatDate(report.weeks[lastIdx])}`]).font = SECTION_FONT;
+  summary.addRow([`Généré le ${report.generatedIso}`]);
+  summary.addRow([]);
+  const sumHeader = summary.addRow([
+    "Artiste",
+    "Représentations",
+    "Billets vendus",
+    "Vendus (sem.)",
+    "Revenus (sem.)",
+    "Remplissage",
+  ]);
+  sumHeader.font = { bold: true };
+  sumHeader.eachCell((c) => (c.fill = HEADER_FILL));
+  report.artists.forEach((a) => {
+    const row = summary.addRow([
+      a.name,
+      a.shows.length,
+      a.totals.sold[lastIdx] || 0,
+      a.totals.delta[lastIdx] || 0,
+      a.totals.revenue[lastIdx] || 0,
+      a.totals.capacity ? (a.totals.sold[lastIdx] || 0) / a.totals.capacity : null,
+    ]);
+    row.getCell(3).numFmt = NUM_FMT;
+    row.getCell(4).numFmt = NUM_FMT;
+    row.getCell(5).numFmt = CUR_FMT;
+    row.getCell(6).numFmt = PCT_FMT;
+  });
+  summary.columns.forEach((col, i) => (col.width = i === 0 ? 32 : 16));
+
+  report.artists.forEach((artist) => {
+    const ws = wb.addWorksheet(sheetName(artist.name, used));
+    ws.addRow([artist.name]).font = { ...SECTION_FONT, size: 14 };
+    const sections = [
+      { title: "Billets vendus (cumul)", key: "sold", fmt: NUM_FMT, withFill: true },
+      { title: "Variation hebdomadaire", key: "delta", fmt: NUM_FMT },
+      { title: "Revenus hebdomadaires ($)", key: "revenue", fmt: CUR_FMT },
+    ];
+    sections.forEach((sec) => {
+      ws.addRow([]);
+      ws.addRow([sec.title]).font = SECTION_FONT;
+      const header = ws.addRow([
+        "Spectacle",
+        "Date",
+        "Ville",
+        "Salle",
+        "Capacité",
+        ...weekLabels,
+        ...(sec.withFill ? ["Remplissage"] : []),
+      ]);
+      header.font = { bold: true };
+      header.eachCell((c) => (c.fill = HEADER_FILL));
+      artist.shows.forEach((show) => {
+        const row = ws.addRow([
+          show.spectacle,
+          show.date,
+          show.ville,
+          show.salle,
+          show.capacity,
+          ...show[sec.key],
+          ...(sec.withFill ? [show.fill] : []),
+        ]);
+        for (let i = 0; i < weekLabels.length; i++) row.getCell(6 + i).numFmt = sec.fmt;
+        if (sec.withFill) row.getCell(6 + weekLabels.length).numFmt = PCT_FMT;
+      });
+      const total = ws.addRow([
+        "Total",
+        "",
+        "",
+        "",
+        artist.totals.capacity || null,
+        ...artist.totals[sec.key],
+      ]);
+      total.font = { bold: true };
+      for (let i = 0; i < weekLabels.length; i++) total.getCell(6 + i).numFmt = sec.fmt;
+    });
+    ws.columns.forEach((col, i) => (col.width = i === 0 ? 30 : i < 4 ? 14 : 10));
+    ws.views = [{ state: "frozen", xSplit: 1 }];
+  });
+
+  const out = await wb.xlsx.writeBuffer();
+  const blob = new Blob([out], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+  triggerDownload(blob, `rapport-hebdomadaire-${report.generatedIso}.xlsx`);
+}
+
+// Shared by the XLSX and PDF downloads.
+export function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}